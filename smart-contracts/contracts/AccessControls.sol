@@ -7,6 +7,9 @@ import "@openzeppelin/contracts/access/AccessControl.sol";
 contract AccessControls is AccessControl {
     // Role definitions
     bytes32 public constant WHITELISTED_ROLE = keccak256("WHITELISTED_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAYROLL_MANAGER_ROLE = keccak256("PAYROLL_MANAGER_ROLE");
 
     // Events
     event AdminRoleGranted(
@@ -29,6 +32,53 @@ contract AccessControls is AccessControl {
         address indexed caller
     );
 
+    event PauserRoleGranted(
+        address indexed beneficiary,
+        address indexed caller
+    );
+
+    event PauserRoleRemoved(
+        address indexed beneficiary,
+        address indexed caller
+    );
+
+    event TreasurerRoleGranted(
+        address indexed beneficiary,
+        address indexed caller
+    );
+
+    event TreasurerRoleRemoved(
+        address indexed beneficiary,
+        address indexed caller
+    );
+
+    event PayrollManagerRoleGranted(
+        address indexed beneficiary,
+        address indexed caller
+    );
+
+    event PayrollManagerRoleRemoved(
+        address indexed beneficiary,
+        address indexed caller
+    );
+
+    event AdminTransferProposed(
+        address indexed currentAdmin,
+        address indexed newAdmin
+    );
+
+    event AdminTransferCancelled(
+        address indexed currentAdmin
+    );
+
+    event AdminTransferred(
+        address indexed previousAdmin,
+        address indexed newAdmin
+    );
+
+    /// @notice Admin -> address they have offered their admin role to, which has to accept it
+    mapping(address => address) public pendingAdminTransfer;
+
     modifier onlyAdminRole() {
         require(hasRole(DEFAULT_ADMIN_ROLE, _msgSender()), "AccessControls: sender must be an admin");
         _;
@@ -50,6 +100,39 @@ contract AccessControls is AccessControl {
         return hasRole(WHITELISTED_ROLE, _address);
     }
 
+    function hasPauserRole(address _address) external view returns (bool) {
+        return hasRole(PAUSER_ROLE, _address);
+    }
+
+    function hasTreasurerRole(address _address) external view returns (bool) {
+        return hasRole(TREASURER_ROLE, _address);
+    }
+
+    function hasPayrollManagerRole(address _address) external view returns (bool) {
+        return hasRole(PAYROLL_MANAGER_ROLE, _address);
+    }
+
+    function adminCount() external view returns (uint256) {
+        return getRoleMemberCount(DEFAULT_ADMIN_ROLE);
+    }
+
+    function admins() external view returns (address[] memory) {
+        return getRoleMembers(DEFAULT_ADMIN_ROLE);
+    }
+
+    function whitelistedAddresses() external view returns (address[] memory) {
+        return getRoleMembers(WHITELISTED_ROLE);
+    }
+
+    function getRoleMembers(bytes32 _role) public view returns (address[] memory) {
+        uint256 count = getRoleMemberCount(_role);
+        address[] memory members = new address[](count);
+        for (uint i = 0; i < count; i++) {
+            members[i] = getRoleMember(_role, i);
+        }
+        return members;
+    }
+
     ///////////////
     // Modifiers //
     ///////////////
@@ -73,4 +156,92 @@ contract AccessControls is AccessControl {
         revokeRole(WHITELISTED_ROLE, _address);
         emit WhitelistRoleRemoved(_address, _msgSender());
     }
+
+    function addPauserRole(address _address) external onlyAdminRole {
+        _setupRole(PAUSER_ROLE, _address);
+        emit PauserRoleGranted(_address, _msgSender());
+    }
+
+    function removePauserRole(address _address) external onlyAdminRole {
+        revokeRole(PAUSER_ROLE, _address);
+        emit PauserRoleRemoved(_address, _msgSender());
+    }
+
+    function addTreasurerRole(address _address) external onlyAdminRole {
+        _setupRole(TREASURER_ROLE, _address);
+        emit TreasurerRoleGranted(_address, _msgSender());
+    }
+
+    function removeTreasurerRole(address _address) external onlyAdminRole {
+        revokeRole(TREASURER_ROLE, _address);
+        emit TreasurerRoleRemoved(_address, _msgSender());
+    }
+
+    function addPayrollManagerRole(address _address) external onlyAdminRole {
+        _setupRole(PAYROLL_MANAGER_ROLE, _address);
+        emit PayrollManagerRoleGranted(_address, _msgSender());
+    }
+
+    function removePayrollManagerRole(address _address) external onlyAdminRole {
+        revokeRole(PAYROLL_MANAGER_ROLE, _address);
+        emit PayrollManagerRoleRemoved(_address, _msgSender());
+    }
+
+    ////////////////////
+    // Admin handover //
+    ////////////////////
+
+    /// @notice Offers the caller's admin role to `_newAdmin`, the caller keeps it until `_newAdmin` accepts
+    function proposeAdminTransfer(address _newAdmin) external onlyAdminRole {
+        require(_newAdmin != address(0), "AccessControls: new admin cannot be address zero");
+        require(!hasRole(DEFAULT_ADMIN_ROLE, _newAdmin), "AccessControls: new admin is already an admin");
+
+        pendingAdminTransfer[_msgSender()] = _newAdmin;
+        emit AdminTransferProposed(_msgSender(), _newAdmin);
+    }
+
+    function cancelAdminTransfer() external {
+        require(pendingAdminTransfer[_msgSender()] != address(0), "AccessControls: no admin transfer proposed");
+
+        delete pendingAdminTransfer[_msgSender()];
+        emit AdminTransferCancelled(_msgSender());
+    }
+
+    /// @notice Called by the proposed address to take over the admin role of `_currentAdmin`
+    function acceptAdminTransfer(address _currentAdmin) external {
+        require(
+            _currentAdmin != address(0) && pendingAdminTransfer[_currentAdmin] == _msgSender(),
+            "AccessControls: no admin transfer proposed to sender"
+        );
+        require(hasRole(DEFAULT_ADMIN_ROLE, _currentAdmin), "AccessControls: proposer is no longer an admin");
+
+        delete pendingAdminTransfer[_currentAdmin];
+
+        // grant before revoking so the admin count never drops
+        _setupRole(DEFAULT_ADMIN_ROLE, _msgSender());
+        revokeRole(DEFAULT_ADMIN_ROLE, _currentAdmin);
+
+        emit AdminTransferred(_currentAdmin, _msgSender());
+    }
+
+    ///////////////
+    // Overrides //
+    ///////////////
+
+    function revokeRole(bytes32 _role, address _account) public override {
+        _checkNotLastAdmin(_role, _account);
+        super.revokeRole(_role, _account);
+    }
+
+    function renounceRole(bytes32 _role, address _account) public override {
+        _checkNotLastAdmin(_role, _account);
+        super.renounceRole(_role, _account);
+    }
+
+    function _checkNotLastAdmin(bytes32 _role, address _account) internal view {
+        require(
+            _role != DEFAULT_ADMIN_ROLE || !hasRole(_role, _account) || getRoleMemberCount(_role) > 1,
+            "AccessControls: cannot remove the last admin"
+        );
+    }
 }
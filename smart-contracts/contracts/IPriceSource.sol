@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+/// @notice Prices tokens in the reference currency that payroll salaries are set in (USD)
+interface IPriceSource {
+    /// @return _price of one whole `_token` in the reference currency, to 18 decimal places
+    function price(address _token) external view returns (uint256 _price);
+}
@@ -4,12 +4,22 @@ pragma solidity 0.7.6;
 
 import "@openzeppelin/contracts/math/SafeMath.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/EnumerableSet.sol";
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/drafts/EIP712.sol";
 
 import {AccessControls} from "./AccessControls.sol";
-
-contract Payroll is ReentrancyGuard {
+import {IPriceSource} from "./IPriceSource.sol";
+import {SalaryTables} from "./SalaryTables.sol";
+import {PayrollTimelock} from "./PayrollTimelock.sol";
+import {PayrollFreezes} from "./PayrollFreezes.sol";
+import {PayrollBatch} from "./PayrollBatch.sol";
+import {PayrollPositions} from "./PayrollPositions.sol";
+import {PayrollVotes} from "./PayrollVotes.sol";
+
+contract Payroll is ReentrancyGuard, EIP712 {
     using SafeMath for uint256;
     using EnumerableSet for EnumerableSet.UintSet;
 
@@ -27,6 +37,104 @@ contract Payroll is ReentrancyGuard {
         uint256 indexed _time
     );
 
+    event ScheduleCancelled(
+        address indexed _beneficiary,
+        uint256 indexed _id,
+        uint256 _cancelledAt,
+        uint256 _unvestedAmount
+    );
+
+    event BeneficiaryChangeProposed(
+        address indexed _beneficiary,
+        address indexed _newBeneficiary
+    );
+
+    event BeneficiaryChangeCancelled(
+        address indexed _beneficiary
+    );
+
+    event BeneficiaryChanged(
+        address indexed _oldBeneficiary,
+        address indexed _newBeneficiary,
+        uint256 indexed _id
+    );
+
+    event ScheduleUpdated(
+        uint256 indexed _id,
+        uint256 _oldAmount,
+        uint256 _newAmount,
+        uint256 _oldEnd,
+        uint256 _newEnd,
+        uint256 _oldDrawDownRate,
+        uint256 _newDrawDownRate
+    );
+
+    /// @dev Changes made through the timelock leave out the caller as it is always the timelock, the admin who queued
+    /// them is in the ActionQueued event of the PayrollTimelock action
+    event WorkerExperienceLevelSalaryUpdated(
+        uint256 indexed _level,
+        uint256 _oldSalary,
+        uint256 _newSalary
+    );
+
+    event TokenWhitelisted(
+        address indexed _token
+    );
+
+    event TokenRemovedFromWhitelist(
+        address indexed _token
+    );
+
+    event DurationAndCliffUpdated(
+        uint256 _durationInDays,
+        uint256 _cliffDurationInDays
+    );
+
+    event Withdrawn(
+        address indexed _token,
+        address indexed _to,
+        uint256 _amount
+    );
+
+    event EtherWithdrawn(
+        address indexed _to,
+        uint256 _amount
+    );
+
+    event PriceSourceUpdated(
+        address indexed _token,
+        address _priceSource
+    );
+
+    event OperatorUpdated(
+        address indexed _beneficiary,
+        address indexed _operator,
+        bool _approved
+    );
+
+    event PayoutRecipientUpdated(
+        address indexed _beneficiary,
+        address indexed _recipient
+    );
+
+    event SalaryTablesUpdated(
+        address _salaryTables
+    );
+
+    event PositionsEnabled(
+        address _positions
+    );
+
+    /// @notice How a schedule's amount is released between its start and end. All curves pay nothing until the cliff
+    /// LINEAR - vests per second from the start, anything accrued before the cliff is released at the cliff
+    /// MONTHLY_STEP - vests in equal steps at the end of every 30 days from the start
+    /// CLIFF_UNLOCK - a percentage of the amount is released at the cliff and the rest vests per second until the end
+    enum VestingCurve {
+        LINEAR,
+        MONTHLY_STEP,
+        CLIFF_UNLOCK
+    }
+
     struct Schedule {
         address token;
         address beneficiary;
@@ -34,30 +142,96 @@ contract Payroll is ReentrancyGuard {
         uint256 end;
         uint256 cliff;
         uint256 amount;
-        uint256 drawDownRate;
+        uint256 drawDownRate; // informational only, vesting is worked out from the amount and elapsed time
+        VestingCurve curve;
+        uint256 cliffUnlockPercentage;
     }
 
     AccessControls public accessControls;
 
+    /// @notice Withdrawals, whitelist, salary, price source and duration changes have to be queued here
+    PayrollTimelock public timelock;
+
+    /// @notice Per schedule, beneficiary and token freezes, on top of the global `pause`
+    PayrollFreezes public freezes;
+
+    /// @notice Batch variants of the create functions, it can create schedules for callers it has checked are whitelisted
+    PayrollBatch public batch;
+
+    /// @notice Checkpoints the DXD each beneficiary holds in Payroll so it can be counted as voting weight
+    PayrollVotes public votes;
+
+    /// @notice Optional ERC-721 positions, once set every new schedule is minted as a token owned by its beneficiary
+    PayrollPositions public positions;
+
     Schedule[] vestingSchedules;
 
     address public dxdToken;
 
+    /// @notice Experience level -> monthly salary in the reference currency (USD) to 18 decimal places
     mapping(uint256 => uint256) public workerExperienceLevelToSalary;
 
+    /// @notice Named salary bands per token, used by `createPayrollForBand`
+    SalaryTables public salaryTables;
+
+    /// @notice Token -> source used to convert salaries into the token, payroll schedules cannot be created in tokens without one
+    mapping(address => IPriceSource) public priceSources;
+
+    /// @notice Schedule ID -> reference currency price of one whole token used to work out a payroll schedule's amount
+    mapping(uint256 => uint256) public tokenPriceForSchedule;
+
     /// @notice Schedule ID -> totalDrawn by beneficiary
     mapping(uint256 => uint256) public totalDrawn;
 
     /// @notice Schedule ID -> last drawn timestamp
     mapping(uint256 => uint256) public lastDrawnAt;
 
+    /// @notice Schedule ID -> time the schedule was last amended
+    mapping(uint256 => uint256) public lastUpdatedAt;
+
+    /// @notice Schedule ID -> amount accrued when the schedule was last amended, linear vesting restarts from here
+    mapping(uint256 => uint256) public accruedAtLastUpdate;
+
+    /// @notice Schedule ID -> whether the schedule has been cancelled by an admin
+    mapping(uint256 => bool) public cancelledSchedules;
+
     // Beneficiary -> IDs of all associated vesting schedules
     mapping(address => EnumerableSet.UintSet) beneficiaryVestingSchedules;
 
+    /// @notice Beneficiary -> new address they have asked an admin to move their schedules to
+    mapping(address => address) public pendingBeneficiaryChange;
+
+    /// @notice Beneficiary -> operator -> whether the operator can call `drawDownAllFor` for the beneficiary
+    mapping(address => mapping(address => bool)) public isOperator;
+
+    /// @notice Beneficiary -> address their draw downs are paid to, address zero pays the beneficiary
+    mapping(address => address) public payoutRecipient;
+
+    /// @notice Beneficiary -> nonce of the next signed claim, incremented on every use so a signature only works once
+    mapping(address => uint256) public claimNonces;
+
     mapping(address => bool) public whitelistedTokens;
 
+    /// @notice Token -> sum of all schedule amounts the contract has committed to paying out
+    mapping(address => uint256) public totalCommittedForToken;
+
+    /// @notice Token -> sum of all amounts drawn down by beneficiaries
+    mapping(address => uint256) public totalDrawnForToken;
+
+    /// @notice Beneficiary -> DXD in their schedules that has not been drawn down, checkpointed in `votes`
+    mapping(address => uint256) public totalDxdForBeneficiary;
+
     uint256 constant PERIOD_ONE_DAY_IN_SECONDS = 1 days;
 
+    uint256 constant PERIOD_ONE_MONTH_IN_SECONDS = 30 days;
+
+    uint256 constant DEFAULT_TIMELOCK_DELAY = 2 days;
+
+    bytes32 public constant CLAIM_TYPEHASH = keccak256("Claim(address beneficiary,uint256 nonce,uint256 deadline)");
+
+    /// @notice Stands in for a token address when a schedule vests native ETH
+    address public constant ETH = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
+
     bool public paused;
 
     // this is for DXD (not payroll)
@@ -74,7 +248,7 @@ contract Payroll is ReentrancyGuard {
         AccessControls _accessControls,
         uint256[] memory _experienceLevels,
         uint256[] memory _salaries
-    ) {
+    ) EIP712("Payroll", "1") {
         require(_experienceLevels.length > 0, "No experience configs supplied");
         require(_salaries.length == _experienceLevels.length, "Inconsistent experience level array lengths");
         require(_whitelistedTokens.length > 0, "At least 1 token must be whitelisted");
@@ -94,6 +268,10 @@ contract Payroll is ReentrancyGuard {
         }
 
         accessControls = _accessControls;
+        timelock = new PayrollTimelock(_accessControls, DEFAULT_TIMELOCK_DELAY);
+        freezes = new PayrollFreezes(_accessControls);
+        batch = new PayrollBatch();
+        votes = new PayrollVotes();
     }
 
     function createPayroll(
@@ -105,22 +283,15 @@ contract Payroll is ReentrancyGuard {
         uint256 _durationInDays,
         uint256 _cliffDurationInDays
     ) public {
-        uint256 monthlySalary = workerExperienceLevelToSalary[_experienceLevel];
-        require(monthlySalary > 0, "createPayroll: Invalid experience level");
-
-        uint256 yearlySalary = monthlySalary.mul(12);
-        uint256 dailyAmount = yearlySalary.div(365);
-        uint256 fullAmountToVest = durationInDays.mul(dailyAmount);
-
-        uint256 amountToVest = fullAmountToVest.div(100).mul(_percentageWorked);
-
-        _createVestingSchedule(
+        _createPayrollSchedule(
             _token,
             _beneficiary,
-            amountToVest,
+            _payrollAmount(_experienceLevel, _percentageWorked, _durationInDays),
             _start,
             _durationInDays,
-            _cliffDurationInDays
+            _cliffDurationInDays,
+            VestingCurve.LINEAR,
+            0
         );
     }
 
@@ -140,6 +311,73 @@ contract Payroll is ReentrancyGuard {
         );
     }
 
+    function createPayrollWithCurve(
+        address _token,
+        address _beneficiary,
+        uint256 _experienceLevel,
+        uint256 _percentageWorked,
+        uint256 _start,
+        uint256 _durationInDays,
+        uint256 _cliffDurationInDays,
+        VestingCurve _curve,
+        uint256 _cliffUnlockPercentage
+    ) external {
+        _createPayrollSchedule(
+            _token,
+            _beneficiary,
+            _payrollAmount(_experienceLevel, _percentageWorked, _durationInDays),
+            _start,
+            _durationInDays,
+            _cliffDurationInDays,
+            _curve,
+            _cliffUnlockPercentage
+        );
+    }
+
+    /// @notice Creates a payroll schedule using the `_band` salary table for `_token` instead of the default salaries
+    function createPayrollForBand(
+        bytes32 _band,
+        address _token,
+        address _beneficiary,
+        uint256 _experienceLevel,
+        uint256 _percentageWorked,
+        uint256 _start,
+        uint256 _durationInDays,
+        uint256 _cliffDurationInDays
+    ) external {
+        require(address(salaryTables) != address(0), "Payroll.createPayrollForBand: Salary tables not set");
+
+        _createPayrollSchedule(
+            _token,
+            _beneficiary,
+            _salaryAmount(salaryTables.salary(_band, _token, _experienceLevel), _percentageWorked, _durationInDays),
+            _start,
+            _durationInDays,
+            _cliffDurationInDays,
+            VestingCurve.LINEAR,
+            0
+        );
+    }
+
+    function createDxdWithCurve(
+        address _beneficiary,
+        uint256 _start,
+        uint256 _dxdAmount,
+        VestingCurve _curve,
+        uint256 _cliffUnlockPercentage
+    ) external {
+        _createVestingSchedule(
+            dxdToken,
+            _beneficiary,
+            _dxdAmount,
+            _start,
+            durationInDays,
+            cliffDurationInDays,
+            _curve,
+            _cliffUnlockPercentage
+        );
+    }
+
     function createPayrollAndDxd(
         address _token,
         address _beneficiary,
@@ -150,23 +388,16 @@ contract Payroll is ReentrancyGuard {
         uint256 _payrollCliffDurationInDays,
         uint256 _dxdAmount
     ) external {
-        uint256 monthlySalary = workerExperienceLevelToSalary[_experienceLevel];
-        require(monthlySalary > 0, "createPayroll: Invalid experience level");
-
-        uint256 yearlySalary = monthlySalary.mul(12);
-        uint256 dailyAmount = yearlySalary.div(365);
-        uint256 fullAmountToVest = durationInDays.mul(dailyAmount);
-
-        uint256 amountToVest = fullAmountToVest.div(100).mul(_percentageWorked);
-
         // Payroll
-        _createVestingSchedule(
+        _createPayrollSchedule(
             _token,
             _beneficiary,
-            amountToVest,
+            _payrollAmount(_experienceLevel, _percentageWorked, _payrollDurationInDays),
             _start,
             _payrollDurationInDays,
-            _payrollCliffDurationInDays
+            _payrollCliffDurationInDays,
+            VestingCurve.LINEAR,
+            0
         );
 
         // DXD
@@ -180,64 +411,260 @@ contract Payroll is ReentrancyGuard {
         );
     }
 
+    /// @notice Amends the amount and end of a live schedule. Whatever has accrued up to now is kept and the
+    /// remainder of the new amount vests linearly between now and the new end
+    function updateSchedule(uint256 _scheduleId, uint256 _amount, uint256 _end) external {
+        _updateSchedule(_scheduleId, _amount, _end);
+    }
+
+    /// @notice Re-prices the rest of a payroll schedule for a new experience level or percentage worked.
+    /// The salary for the time left until `_end` is converted into the schedule's token at the current price
+    function updatePayrollSchedule(
+        uint256 _scheduleId,
+        uint256 _experienceLevel,
+        uint256 _percentageWorked,
+        uint256 _end
+    ) external {
+        // only payroll schedules have a price, DXD grants are not salaries
+        require(tokenPriceForSchedule[_scheduleId] > 0, "Payroll.updatePayrollSchedule: Not a payroll schedule");
+
+        Schedule storage schedule = vestingSchedules[_scheduleId];
+        uint256 from = _getNow() > schedule.start ? _getNow() : schedule.start;
+        require(_end > from, "Payroll.updateSchedule: End must be in the future");
+
+        // pro rata to the second, as the salary vests until `_end` rather than the last whole day before it
+        uint256 remainingSalary = _payrollAmount(_experienceLevel, _percentageWorked, _end.sub(from)).div(PERIOD_ONE_DAY_IN_SECONDS);
+        (uint256 remainingAmount, uint256 price) = _toTokenAmount(schedule.token, remainingSalary);
+
+        _updateSchedule(_scheduleId, _accruedAmountAt(_scheduleId, _getNow()).add(remainingAmount), _end);
+        tokenPriceForSchedule[_scheduleId] = price;
+    }
+
+    /// @notice Asks an admin to move all of the caller's schedules to `_newBeneficiary`, e.g. a new wallet or multisig
+    function proposeBeneficiaryChange(address _newBeneficiary) external {
+        require(_newBeneficiary != address(0), "Payroll.proposeBeneficiaryChange: Cannot be address zero");
+        require(_newBeneficiary != msg.sender, "Payroll.proposeBeneficiaryChange: Already the beneficiary");
+        require(beneficiaryVestingSchedules[msg.sender].length() > 0, "Payroll.proposeBeneficiaryChange: No schedules to move");
+
+        pendingBeneficiaryChange[msg.sender] = _newBeneficiary;
+
+        emit BeneficiaryChangeProposed(msg.sender, _newBeneficiary);
+    }
+
+    function cancelBeneficiaryChange() external {
+        require(pendingBeneficiaryChange[msg.sender] != address(0), "Payroll.cancelBeneficiaryChange: Nothing proposed");
+
+        delete pendingBeneficiaryChange[msg.sender];
+
+        emit BeneficiaryChangeCancelled(msg.sender);
+    }
+
+    /// @dev `_newBeneficiary` must match the proposal so an admin never approves an address they have not checked
+    function approveBeneficiaryChange(address _beneficiary, address _newBeneficiary) external {
+        require(accessControls.hasAdminRole(msg.sender), "Payroll.approveBeneficiaryChange: Only admin");
+        require(
+            _newBeneficiary != address(0) && pendingBeneficiaryChange[_beneficiary] == _newBeneficiary,
+            "Payroll.approveBeneficiaryChange: Does not match the proposed address"
+        );
+
+        _moveSchedules(_beneficiary, _newBeneficiary);
+    }
+
+    /// @notice Emergency reassignment for a beneficiary that can no longer propose a change themselves. It goes through the
+    /// timelock so the beneficiary has the delay to object before their schedules are moved
+    function reassignBeneficiary(address _beneficiary, address _newBeneficiary) external {
+        require(msg.sender == address(timelock), "Payroll.reassignBeneficiary: Only timelock");
+        require(_newBeneficiary != address(0), "Payroll.reassignBeneficiary: Cannot be address zero");
+        require(_newBeneficiary != _beneficiary, "Payroll.reassignBeneficiary: Already the beneficiary");
+
+        _moveSchedules(_beneficiary, _newBeneficiary);
+    }
+
     function updateWorkerExperienceLevelSalary(uint256 _level, uint256 _salary) external {
-        require(accessControls.hasAdminRole(msg.sender), "Payroll.updateWorkerExperienceLevelSalary: Only admin");
+        require(msg.sender == address(timelock), "Payroll.updateWorkerExperienceLevelSalary: Only timelock");
+        emit WorkerExperienceLevelSalaryUpdated(_level, workerExperienceLevelToSalary[_level], _salary);
         workerExperienceLevelToSalary[_level] = _salary;
     }
 
+    /// @notice Sets where salaries for `_token` are priced from, see `PeggedPriceSource` for stable coins. A payroll manager
+    /// can set the first source for a token directly as nothing can be paid in it until then, replacing or removing it
+    /// changes what salaries are worth so has to go through the timelock
+    function setPriceSource(address _token, IPriceSource _priceSource) external {
+        require(
+            msg.sender == address(timelock)
+            || (address(priceSources[_token]) == address(0) && accessControls.hasPayrollManagerRole(msg.sender)),
+            "Payroll.setPriceSource: Only timelock"
+        );
+        priceSources[_token] = _priceSource;
+        emit PriceSourceUpdated(_token, address(_priceSource));
+    }
+
+    /// @notice A payroll manager can set the first salary tables directly as no salary is priced from them yet,
+    /// replacing them changes band salaries so has to go through the timelock
+    function setSalaryTables(SalaryTables _salaryTables) external {
+        require(
+            msg.sender == address(timelock)
+            || (address(salaryTables) == address(0) && accessControls.hasPayrollManagerRole(msg.sender)),
+            "Payroll.setSalaryTables: Only timelock"
+        );
+        salaryTables = _salaryTables;
+        emit SalaryTablesUpdated(address(_salaryTables));
+    }
+
+    /// @notice Turns on ERC-721 positions. It can only be done once as the tokens and schedules have to stay in sync, and
+    /// only through the timelock as the positions contract can move any schedule to a new beneficiary
+    function enablePositions(PayrollPositions _positions) external {
+        require(msg.sender == address(timelock), "Payroll.enablePositions: Only timelock");
+        require(address(positions) == address(0), "Payroll.enablePositions: Already enabled");
+        require(address(_positions.payroll()) == address(this), "Payroll.enablePositions: Positions belong to another payroll");
+        positions = _positions;
+        emit PositionsEnabled(address(_positions));
+    }
+
+    /// @notice Called by `positions` when a position token changes hands so the schedule follows it
+    function transferSchedule(uint256 _scheduleId, address _newBeneficiary) external {
+        require(msg.sender == address(positions), "Payroll.transferSchedule: Only positions");
+
+        Schedule storage schedule = vestingSchedules[_scheduleId];
+        beneficiaryVestingSchedules[schedule.beneficiary].remove(_scheduleId);
+        beneficiaryVestingSchedules[_newBeneficiary].add(_scheduleId);
+
+        emit BeneficiaryChanged(schedule.beneficiary, _newBeneficiary, _scheduleId);
+
+        uint256 remaining = schedule.amount.sub(totalDrawn[_scheduleId]);
+        _decreaseVotes(schedule.beneficiary, schedule.token, remaining);
+        _increaseVotes(_newBeneficiary, schedule.token, remaining);
+
+        schedule.beneficiary = _newBeneficiary;
+    }
+
+    /// @notice Lets `_operator`, e.g. a relayer or another wallet, draw down all of the caller's schedules
+    function setOperator(address _operator, bool _approved) external {
+        require(_operator != address(0), "Payroll.setOperator: Cannot be address zero");
+        isOperator[msg.sender][_operator] = _approved;
+        emit OperatorUpdated(msg.sender, _operator, _approved);
+    }
+
+    /// @notice Pays the caller's future draw downs to `_recipient`, address zero goes back to paying the caller
+    function setPayoutRecipient(address _recipient) external {
+        payoutRecipient[msg.sender] = _recipient;
+        emit PayoutRecipientUpdated(msg.sender, _recipient);
+    }
+
     function drawDownAll() whenNotPaused nonReentrant external {
-        address beneficiary = msg.sender;
-        uint256[] memory activeWorkerScheduleIdsForBeneficiary_ = activeScheduleIdsForBeneficiary(beneficiary);
+        _drawDownAll(msg.sender);
+    }
 
-        for (uint i = 0; i < activeWorkerScheduleIdsForBeneficiary_.length; i++) {
-            uint256 scheduleId = activeWorkerScheduleIdsForBeneficiary_[i];
-            _drawDown(scheduleId);
-        }
+    function drawDownAllFor(address _beneficiary) whenNotPaused nonReentrant external {
+        require(
+            msg.sender == _beneficiary || isOperator[_beneficiary][msg.sender],
+            "Payroll.drawDownAllFor: Only beneficiary or operator"
+        );
+        _drawDownAll(_beneficiary);
+    }
+
+    /// @notice Draws down all of `_beneficiary`'s schedules with an EIP-712 `Claim` they signed, so anyone can
+    /// relay the claim and pay the gas. Funds only ever go to the beneficiary or their payout recipient
+    function drawDownAllWithSig(
+        address _beneficiary,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) whenNotPaused nonReentrant external {
+        require(block.timestamp <= _deadline, "Payroll.drawDownAllWithSig: Signature expired");
+
+        bytes32 structHash = keccak256(abi.encode(CLAIM_TYPEHASH, _beneficiary, claimNonces[_beneficiary], _deadline));
+        require(
+            ECDSA.recover(_hashTypedDataV4(structHash), _v, _r, _s) == _beneficiary,
+            "Payroll.drawDownAllWithSig: Invalid signature"
+        );
+
+        claimNonces[_beneficiary] = claimNonces[_beneficiary].add(1);
+
+        _drawDownAll(_beneficiary);
     }
 
     function drawDown(uint256 _scheduleId) whenNotPaused nonReentrant public {
         _drawDown(_scheduleId);
     }
 
+    /// @notice Stops a schedule vesting at `_cancelAt`. The beneficiary keeps whatever has vested by then and the
+    /// unvested remainder is no longer committed, so it becomes free balance the DAO can recover with a timelocked `withdraw`
+    function cancelSchedule(uint256 _scheduleId, uint256 _cancelAt) external {
+        require(accessControls.hasAdminRole(msg.sender), "Payroll.cancelSchedule: Only admin");
+        require(!cancelledSchedules[_scheduleId], "Payroll.cancelSchedule: Schedule already cancelled");
+
+        Schedule storage schedule = vestingSchedules[_scheduleId];
+        require(_cancelAt >= _getNow(), "Payroll.cancelSchedule: Cannot cancel in the past");
+        require(_cancelAt < schedule.end, "Payroll.cancelSchedule: Schedule has already ended");
+        require(
+            schedule.curve == VestingCurve.LINEAR || _cancelAt == _getNow(),
+            "Payroll.cancelSchedule: Only linear schedules can be cancelled in the future"
+        );
+
+        uint256 vestedAmount = _vestedAmountAt(_scheduleId, _cancelAt);
+        uint256 unvestedAmount = schedule.amount.sub(vestedAmount);
+
+        // Checkpointing now and shrinking the schedule to finish at the cancellation time leaves vesting up to then unchanged
+        _checkpoint(_scheduleId, _getNow());
+        cancelledSchedules[_scheduleId] = true;
+        schedule.amount = vestedAmount;
+        schedule.end = _cancelAt;
+
+        totalCommittedForToken[schedule.token] = totalCommittedForToken[schedule.token].sub(unvestedAmount);
+        _decreaseVotes(schedule.beneficiary, schedule.token, unvestedAmount);
+
+        emit ScheduleCancelled(schedule.beneficiary, _scheduleId, _cancelAt, unvestedAmount);
+    }
+
     function pause() external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.pause: Only admin");
+        require(accessControls.hasPauserRole(msg.sender), "Vesting.pause: Only pauser");
 
         paused = true;
         emit Paused(msg.sender);
     }
 
     function unpause() external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.unpause: Only admin");
+        require(accessControls.hasPauserRole(msg.sender), "Vesting.unpause: Only pauser");
 
         paused = false;
         emit Unpaused(msg.sender);
     }
 
     function withdraw(IERC20 _token, address _to, uint256 _amount) external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.withdraw: Only admin");
+        require(msg.sender == address(timelock), "Vesting.withdraw: Only timelock");
+        require(_amount <= freeBalance(address(_token)), "Vesting.withdraw: Amount exceeds uncommitted balance");
         _token.transfer(_to, _amount);
+        emit Withdrawn(address(_token), _to, _amount);
     }
 
-    function withdrawEther(address payable _to, uint256 _amount) external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.withdrawEther: Only admin");
-        _to.transfer(_amount);
+    /// @dev Sent with all the gas left rather than `transfer` so that contract wallets such as multisigs can receive it
+    function withdrawEther(address _to, uint256 _amount) external {
+        require(msg.sender == address(timelock), "Vesting.withdrawEther: Only timelock");
+        require(_amount <= freeBalance(ETH), "Vesting.withdrawEther: Amount exceeds uncommitted balance");
+        require(_transfer(ETH, _to, _amount), "Vesting.withdrawEther: Transfer failed");
+        emit EtherWithdrawn(_to, _amount);
     }
 
     function whitelistToken(address _tokenAddress) external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.whitelistToken: Only admin");
+        require(msg.sender == address(timelock), "Vesting.whitelistToken: Only timelock");
         require(address(_tokenAddress) != address(0), "Vesting.whitelistToken: Cannot be address zero");
         whitelistedTokens[_tokenAddress] = true;
+        emit TokenWhitelisted(_tokenAddress);
     }
 
     function removeTokenFromWhitelist(address _tokenAddress) external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.removeTokenFromWhitelist: Only admin");
+        require(msg.sender == address(timelock), "Vesting.removeTokenFromWhitelist: Only timelock");
         whitelistedTokens[_tokenAddress] = false;
+        emit TokenRemovedFromWhitelist(_tokenAddress);
     }
 
     function setDurationAndCliffInDays(uint256 _durationInDays, uint256 _cliffDurationInDays) external {
-        require(accessControls.hasAdminRole(msg.sender), "Vesting.setDurationAndCliffInDays: Only admin");
+        require(msg.sender == address(timelock), "Vesting.setDurationAndCliffInDays: Only timelock");
         durationInDays = _durationInDays;
         cliffDurationInDays = _cliffDurationInDays;
+        emit DurationAndCliffUpdated(_durationInDays, _cliffDurationInDays);
     }
 
     receive() payable external {}
@@ -254,7 +681,9 @@ contract Payroll is ReentrancyGuard {
         uint256 _end,
         uint256 _cliff,
         uint256 _amount,
-        uint256 _drawDownRate
+        uint256 _drawDownRate,
+        VestingCurve _curve,
+        uint256 _cliffUnlockPercentage
     ) {
         Schedule storage schedule = vestingSchedules[_scheduleId];
 
@@ -265,56 +694,162 @@ contract Payroll is ReentrancyGuard {
         schedule.end,
         schedule.cliff,
         schedule.amount,
-        schedule.drawDownRate
+        schedule.drawDownRate,
+        schedule.curve,
+        schedule.cliffUnlockPercentage
         );
     }
 
+    function vestingScheduleCount() external view returns (uint256 _count) {
+        return vestingSchedules.length;
+    }
+
     function activeScheduleIdsForBeneficiary(address _beneficiary) public view returns (uint256[] memory _activeScheduleIds) {
         EnumerableSet.UintSet storage activeOrFutureScheduleIds = beneficiaryVestingSchedules[_beneficiary];
         uint256 activeOrFutureScheduleIdsSetSize = activeOrFutureScheduleIds.length();
 
-
-        if (activeOrFutureScheduleIdsSetSize == 0) {
-            uint256[] memory tmp = new uint256[](0);
-            return tmp;
-        }
-
+        // sized for every schedule then trimmed, so each schedule is only checked once
+        uint256[] memory activeScheduleIds = new uint256[](activeOrFutureScheduleIdsSetSize);
         uint256 activeCount;
         for (uint i = 0; i < activeOrFutureScheduleIdsSetSize; i++) {
             uint256 scheduleId = activeOrFutureScheduleIds.at(i);
-            uint256 drawDownAmount = _availableDrawDownAmount(scheduleId);
 
             // if there is an available amount then either an unclaimed or active schedule
-            if (drawDownAmount > 0) {
+            if (_isClaimable(scheduleId)) {
+                activeScheduleIds[activeCount] = scheduleId;
                 activeCount = activeCount.add(1);
             }
         }
 
-        // loop needed twice to allocate memory for the array
-        uint256[] memory activeScheduleIds = new uint256[](activeCount);
-        uint256 nextIndex;
-        for (uint j = 0; j < activeOrFutureScheduleIdsSetSize; j++) {
-            uint256 scheduleId = activeOrFutureScheduleIds.at(j);
-            uint256 availableDrawDownAmount_ = _availableDrawDownAmount(scheduleId);
-
-            // if there is an available amount then either an unclaimed or active schedule
-            if (availableDrawDownAmount_ > 0) {
-                activeScheduleIds[nextIndex] = scheduleId;
-                nextIndex = nextIndex.add(1);
-            }
+        assembly {
+            mstore(activeScheduleIds, activeCount)
         }
 
         return activeScheduleIds;
     }
 
+    /// @notice IDs of every schedule of a beneficiary, including pre-cliff, finished and cancelled ones
+    function scheduleIdsForBeneficiary(address _beneficiary) external view returns (uint256[] memory _scheduleIds) {
+        EnumerableSet.UintSet storage scheduleIds = beneficiaryVestingSchedules[_beneficiary];
+        uint256 count = scheduleIds.length();
+        uint256[] memory ids = new uint256[](count);
+        for (uint i = 0; i < count; i++) {
+            ids[i] = scheduleIds.at(i);
+        }
+        return ids;
+    }
+
     function availableDrawDownAmount(uint256 _scheduleId) external view returns (uint256 _amount) {
         return _availableDrawDownAmount(_scheduleId);
     }
 
+    /// @notice The amount, draw down rate and token price a payroll schedule in `_token` would be created with
+    function previewPayroll(
+        address _token,
+        uint256 _experienceLevel,
+        uint256 _percentageWorked,
+        uint256 _durationInDays
+    ) external view returns (uint256 _amount, uint256 _drawDownRate, uint256 _price) {
+        require(_durationInDays > 0, "Payroll.previewPayroll: Duration cannot be empty");
+
+        (uint256 amount, uint256 price) = _toTokenAmount(
+            _token,
+            _payrollAmount(_experienceLevel, _percentageWorked, _durationInDays)
+        );
+        return (amount, amount.div(_durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS)), price);
+    }
+
+    /// @notice Amount of a token held by the contract that is not owed to any schedule
+    function freeBalance(address _token) public view returns (uint256 _amount) {
+        uint256 balance = _token == ETH ? address(this).balance : IERC20(_token).balanceOf(address(this));
+        uint256 outstanding = totalCommittedForToken[_token].sub(totalDrawnForToken[_token]);
+
+        if (balance <= outstanding) {
+            return 0;
+        }
+
+        return balance.sub(outstanding);
+    }
+
+    function tokenBalances(address _token) external view returns (
+        uint256 _committed,
+        uint256 _drawn,
+        uint256 _free
+    ) {
+        return (
+        totalCommittedForToken[_token],
+        totalDrawnForToken[_token],
+        freeBalance(_token)
+        );
+    }
+
     //////////////
     // Internal //
     //////////////
 
+    /// @dev Salary owed in the reference currency, see `_toTokenAmount` for the conversion into a token
+    function _payrollAmount(
+        uint256 _experienceLevel,
+        uint256 _percentageWorked,
+        uint256 _durationInDays
+    ) internal view returns (uint256 _amount) {
+        uint256 monthlySalary = workerExperienceLevelToSalary[_experienceLevel];
+        require(monthlySalary > 0, "createPayroll: Invalid experience level");
+
+        return _salaryAmount(monthlySalary, _percentageWorked, _durationInDays);
+    }
+
+    function _salaryAmount(
+        uint256 _monthlySalary,
+        uint256 _percentageWorked,
+        uint256 _durationInDays
+    ) internal pure returns (uint256 _amount) {
+        uint256 yearlySalary = _monthlySalary.mul(12);
+
+        // multiply everything out before dividing so that rounding only happens once
+        return yearlySalary.mul(_durationInDays).mul(_percentageWorked).div(365).div(100);
+    }
+
+    /// @dev Converts a reference currency amount into `_token` using its price source and decimals
+    function _toTokenAmount(address _token, uint256 _referenceAmount) internal view returns (uint256 _amount, uint256 _price) {
+        // checked before the token is called as it may not be a contract
+        require(whitelistedTokens[_token], "Vesting.createVestingSchedule: token not whitelisted");
+
+        IPriceSource priceSource = priceSources[_token];
+        require(address(priceSource) != address(0), "Payroll.toTokenAmount: No price source");
+        uint256 price = priceSource.price(_token);
+        require(price > 0, "Payroll.toTokenAmount: No price for token");
+
+        uint256 oneToken = 10 ** uint256(_token == ETH ? 18 : ERC20(_token).decimals());
+        return (_referenceAmount.mul(oneToken).div(price), price);
+    }
+
+    function _createPayrollSchedule(
+        address _token,
+        address _beneficiary,
+        uint256 _referenceAmount,
+        uint256 _start,
+        uint256 _durationInDays,
+        uint256 _cliffDurationInDays,
+        VestingCurve _curve,
+        uint256 _cliffUnlockPercentage
+    ) private {
+        (uint256 amount, uint256 price) = _toTokenAmount(_token, _referenceAmount);
+
+        uint256 scheduleId = _createVestingSchedule(
+            _token,
+            _beneficiary,
+            amount,
+            _start,
+            _durationInDays,
+            _cliffDurationInDays,
+            _curve,
+            _cliffUnlockPercentage
+        );
+
+        tokenPriceForSchedule[scheduleId] = price;
+    }
+
     function _createVestingSchedule(
         address _token,
         address _beneficiary,
@@ -322,14 +857,47 @@ contract Payroll is ReentrancyGuard {
         uint256 _start,
         uint256 _durationInDays,
         uint256 _cliffDurationInDays
-    ) private {
-        require(accessControls.hasWhitelistRole(msg.sender), "Vesting.createVestingSchedule: Only whitelist");
+    ) private returns (uint256 _scheduleId) {
+        return _createVestingSchedule(
+            _token,
+            _beneficiary,
+            _amount,
+            _start,
+            _durationInDays,
+            _cliffDurationInDays,
+            VestingCurve.LINEAR,
+            0
+        );
+    }
+
+    function _createVestingSchedule(
+        address _token,
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _start,
+        uint256 _durationInDays,
+        uint256 _cliffDurationInDays,
+        VestingCurve _curve,
+        uint256 _cliffUnlockPercentage
+    ) private returns (uint256 _scheduleId) {
+        require(
+            msg.sender == address(batch) || accessControls.hasWhitelistRole(msg.sender),
+            "Vesting.createVestingSchedule: Only whitelist"
+        );
 
         require(whitelistedTokens[_token], "Vesting.createVestingSchedule: token not whitelisted");
         require(_beneficiary != address(0), "Vesting.createVestingSchedule: Beneficiary cannot be empty");
         require(_amount > 0, "Vesting.createVestingSchedule: Amount cannot be empty");
         require(_durationInDays > 0, "Vesting.createVestingSchedule: Duration cannot be empty");
         require(_cliffDurationInDays <= _durationInDays, "Vesting.createVestingSchedule: Cliff can not be bigger than duration");
+        require(_amount <= freeBalance(_token), "Vesting.createVestingSchedule: Insufficient token balance to fund schedule");
+        require(_cliffUnlockPercentage <= 100, "Vesting.createVestingSchedule: Cliff unlock percentage cannot exceed 100");
+        require(
+            _curve == VestingCurve.CLIFF_UNLOCK || _cliffUnlockPercentage == 0,
+            "Vesting.createVestingSchedule: Cliff unlock percentage only applies to the cliff unlock curve"
+        );
+
+        totalCommittedForToken[_token] = totalCommittedForToken[_token].add(_amount);
 
         // Create schedule
         uint256 durationInSecs = _durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
@@ -343,13 +911,115 @@ contract Payroll is ReentrancyGuard {
             end : _start.add(durationInSecs),
             cliff : _start.add(cliffDurationInSecs),
             amount : _amount,
-            drawDownRate : _amount.div(durationInSecs)
+            drawDownRate : _amount.div(durationInSecs),
+            curve : _curve,
+            cliffUnlockPercentage : _cliffUnlockPercentage
             })
         );
 
         beneficiaryVestingSchedules[_beneficiary].add(scheduleId);
 
+        if (address(positions) != address(0)) {
+            positions.mint(_beneficiary, scheduleId);
+        }
+
+        _increaseVotes(_beneficiary, _token, _amount);
+
         emit ScheduleCreated(_beneficiary, scheduleId);
+
+        return scheduleId;
+    }
+
+    function _updateSchedule(uint256 _scheduleId, uint256 _amount, uint256 _end) private {
+        require(
+            accessControls.hasAdminRole(msg.sender) || accessControls.hasWhitelistRole(msg.sender),
+            "Payroll.updateSchedule: Only admin or whitelist"
+        );
+        require(!cancelledSchedules[_scheduleId], "Payroll.updateSchedule: Schedule cancelled");
+
+        Schedule storage schedule = vestingSchedules[_scheduleId];
+        require(schedule.curve == VestingCurve.LINEAR, "Payroll.updateSchedule: Only linear schedules can be amended");
+
+        uint256 now_ = _getNow();
+        require(now_ < schedule.end, "Payroll.updateSchedule: Schedule has ended");
+
+        uint256 from = now_ > schedule.start ? now_ : schedule.start;
+        require(_end > from, "Payroll.updateSchedule: End must be in the future");
+        require(_end >= schedule.cliff, "Payroll.updateSchedule: End cannot be before the cliff");
+
+        uint256 accrued = _accruedAmountAt(_scheduleId, now_);
+        require(_amount > accrued, "Payroll.updateSchedule: Amount must be more than the amount already accrued");
+
+        if (_amount > schedule.amount) {
+            uint256 increase = _amount.sub(schedule.amount);
+            require(increase <= freeBalance(schedule.token), "Payroll.updateSchedule: Insufficient token balance to fund schedule");
+            totalCommittedForToken[schedule.token] = totalCommittedForToken[schedule.token].add(increase);
+            _increaseVotes(schedule.beneficiary, schedule.token, increase);
+        } else {
+            uint256 decrease = schedule.amount.sub(_amount);
+            totalCommittedForToken[schedule.token] = totalCommittedForToken[schedule.token].sub(decrease);
+            _decreaseVotes(schedule.beneficiary, schedule.token, decrease);
+        }
+
+        // Checkpoint what has accrued so far so the new amount and end only apply from now on
+        _checkpoint(_scheduleId, now_);
+
+        uint256 newDrawDownRate = _amount.sub(accrued).div(_end.sub(from));
+
+        emit ScheduleUpdated(_scheduleId, schedule.amount, _amount, schedule.end, _end, schedule.drawDownRate, newDrawDownRate);
+
+        schedule.amount = _amount;
+        schedule.end = _end;
+        schedule.drawDownRate = newDrawDownRate;
+    }
+
+    function _checkpoint(uint256 _scheduleId, uint256 _now) private {
+        if (_now > vestingSchedules[_scheduleId].start) {
+            accruedAtLastUpdate[_scheduleId] = _accruedAmountAt(_scheduleId, _now);
+            lastUpdatedAt[_scheduleId] = _now;
+        }
+    }
+
+    function _moveSchedules(address _beneficiary, address _newBeneficiary) private {
+        EnumerableSet.UintSet storage scheduleIds = beneficiaryVestingSchedules[_beneficiary];
+        uint256 scheduleCount = scheduleIds.length();
+        require(scheduleCount > 0, "Payroll.moveSchedules: No schedules to move");
+
+        delete pendingBeneficiaryChange[_beneficiary];
+
+        // copy across in order first, then empty the old set from the end so nothing is shuffled mid loop
+        for (uint i = 0; i < scheduleCount; i++) {
+            uint256 scheduleId = scheduleIds.at(i);
+            vestingSchedules[scheduleId].beneficiary = _newBeneficiary;
+            beneficiaryVestingSchedules[_newBeneficiary].add(scheduleId);
+
+            // keep any position token with its schedule
+            if (address(positions) != address(0)) {
+                positions.moveWithSchedule(scheduleId, _newBeneficiary);
+            }
+
+            emit BeneficiaryChanged(_beneficiary, _newBeneficiary, scheduleId);
+        }
+
+        for (uint i = scheduleCount; i > 0; i--) {
+            scheduleIds.remove(scheduleIds.at(i - 1));
+        }
+
+        // every schedule moves, so does all of the DXD
+        uint256 dxdTotal = totalDxdForBeneficiary[_beneficiary];
+        if (dxdTotal > 0) {
+            _checkpointVotes(_beneficiary, 0);
+            _checkpointVotes(_newBeneficiary, totalDxdForBeneficiary[_newBeneficiary].add(dxdTotal));
+        }
+    }
+
+    function _drawDownAll(address _beneficiary) private {
+        uint256[] memory activeWorkerScheduleIdsForBeneficiary_ = activeScheduleIdsForBeneficiary(_beneficiary);
+
+        for (uint i = 0; i < activeWorkerScheduleIdsForBeneficiary_.length; i++) {
+            uint256 scheduleId = activeWorkerScheduleIdsForBeneficiary_[i];
+            _drawDown(scheduleId);
+        }
     }
 
     function _drawDown(uint256 _scheduleId) internal {
@@ -357,6 +1027,8 @@ contract Payroll is ReentrancyGuard {
         require(schedule.amount > 0, "Vesting.drawDown: There is no schedule currently in flight");
         // FIXME can you hit this?
 
+        require(!_isFrozen(_scheduleId), "Vesting.drawDown: Schedule is frozen");
+
         // available right now
         uint256 amount = _availableDrawDownAmount(_scheduleId);
         require(amount > 0, "Vesting.drawDown: Nothing to withdraw");
@@ -366,44 +1038,115 @@ contract Payroll is ReentrancyGuard {
 
         // Increase total drawn amount
         totalDrawn[_scheduleId] = totalDrawn[_scheduleId].add(amount);
+        totalDrawnForToken[schedule.token] = totalDrawnForToken[schedule.token].add(amount);
+        _decreaseVotes(schedule.beneficiary, schedule.token, amount);
 
-        // Issue tokens to beneficiary
+        // Issue tokens to beneficiary, or the address they want to be paid at
+        address recipient = payoutRecipient[schedule.beneficiary];
         require(
-            IERC20(schedule.token).transfer(schedule.beneficiary, amount),
+            _transfer(schedule.token, recipient == address(0) ? schedule.beneficiary : recipient, amount),
             "Vesting.drawDown: Unable to transfer tokens"
         );
 
         emit DrawDown(schedule.beneficiary, amount, _getNow());
     }
 
+    /// @dev Only DXD counts towards voting weight
+    function _increaseVotes(address _beneficiary, address _token, uint256 _amount) private {
+        if (_token == dxdToken) {
+            _checkpointVotes(_beneficiary, totalDxdForBeneficiary[_beneficiary].add(_amount));
+        }
+    }
+
+    function _decreaseVotes(address _beneficiary, address _token, uint256 _amount) private {
+        if (_token == dxdToken) {
+            _checkpointVotes(_beneficiary, totalDxdForBeneficiary[_beneficiary].sub(_amount));
+        }
+    }
+
+    /// @dev Totals are kept up to date by each change rather than summed over schedules, so checkpointing costs the
+    /// same however many schedules a beneficiary has
+    function _checkpointVotes(address _beneficiary, uint256 _total) private {
+        totalDxdForBeneficiary[_beneficiary] = _total;
+        votes.checkpoint(_beneficiary, _total);
+    }
+
+    /// @dev Sends ETH with a call, forwarding all gas, so contract wallets can receive it
+    function _transfer(address _token, address _to, uint256 _amount) private returns (bool) {
+        if (_token == ETH) {
+            (bool success,) = _to.call{value : _amount}("");
+            return success;
+        }
+
+        return IERC20(_token).transfer(_to, _amount);
+    }
+
+    function _isFrozen(uint256 _scheduleId) internal view returns (bool) {
+        Schedule storage schedule = vestingSchedules[_scheduleId];
+        return freezes.isFrozen(_scheduleId, schedule.beneficiary, schedule.token);
+    }
+
+    /// @dev Something to draw down and not frozen
+    function _isClaimable(uint256 _scheduleId) internal view returns (bool) {
+        return _availableDrawDownAmount(_scheduleId) > 0 && !_isFrozen(_scheduleId);
+    }
+
     function _getNow() internal view virtual returns (uint256) {
         return block.timestamp;
     }
 
-    function _availableDrawDownAmount(uint256 _scheduleId) internal view returns (uint256 _amount) {
+    function _vestedAmountAt(uint256 _scheduleId, uint256 _time) internal view returns (uint256 _amount) {
         Schedule storage schedule = vestingSchedules[_scheduleId];
 
-        // Cliff
-
-        // the cliff period has not ended, therefore, no tokens to draw down
-        if (_getNow() <= schedule.cliff) {
+        // nothing vests until the cliff has passed
+        if (_time <= schedule.cliff) {
             return 0;
         }
 
-        // Ended
-        if (_getNow() > schedule.end) {
-            return schedule.amount.sub(totalDrawn[_scheduleId]);
+        if (_time >= schedule.end) {
+            return schedule.amount;
         }
 
-        // Active
+        if (schedule.curve == VestingCurve.MONTHLY_STEP) {
+            uint256 totalSteps = schedule.end.sub(schedule.start).add(PERIOD_ONE_MONTH_IN_SECONDS - 1).div(PERIOD_ONE_MONTH_IN_SECONDS);
+            uint256 stepsPassed = _time.sub(schedule.start).div(PERIOD_ONE_MONTH_IN_SECONDS);
+            return schedule.amount.mul(stepsPassed).div(totalSteps);
+        }
 
-        // Work out when the last invocation was
-        uint256 timeLastDrawnOrStart = lastDrawnAt[_scheduleId] == 0 ? schedule.start : lastDrawnAt[_scheduleId];
+        if (schedule.curve == VestingCurve.CLIFF_UNLOCK) {
+            uint256 unlockedAtCliff = schedule.amount.mul(schedule.cliffUnlockPercentage).div(100);
+            uint256 vestedSinceCliff = schedule.amount.sub(unlockedAtCliff)
+                .mul(_time.sub(schedule.cliff))
+                .div(schedule.end.sub(schedule.cliff));
+            return unlockedAtCliff.add(vestedSinceCliff);
+        }
 
-        // Find out how much time has past since last invocation
-        uint256 timePassedSinceLastInvocation = _getNow().sub(timeLastDrawnOrStart);
+        return _accruedAmountAt(_scheduleId, _time);
+    }
+
+    /// @dev Amount accrued linearly by `_time` ignoring the cliff. Only valid for times at or after the last amendment
+    function _accruedAmountAt(uint256 _scheduleId, uint256 _time) internal view returns (uint256 _amount) {
+        Schedule storage schedule = vestingSchedules[_scheduleId];
 
-        // Work out how many due tokens - time passed * rate per second
-        return timePassedSinceLastInvocation.mul(schedule.drawDownRate);
+        if (_time <= schedule.start) {
+            return 0;
+        }
+
+        if (_time >= schedule.end) {
+            return schedule.amount;
+        }
+
+        uint256 from = lastUpdatedAt[_scheduleId] == 0 ? schedule.start : lastUpdatedAt[_scheduleId];
+        uint256 accruedAtFrom = accruedAtLastUpdate[_scheduleId];
+
+        // amount * elapsed / duration, multiplying first so nothing is lost to rounding part way through
+        return accruedAtFrom.add(
+            schedule.amount.sub(accruedAtFrom).mul(_time.sub(from)).div(schedule.end.sub(from))
+        );
+    }
+
+    function _availableDrawDownAmount(uint256 _scheduleId) internal view returns (uint256 _amount) {
+        // everything vested to date that has not been drawn yet
+        return _vestedAmountAt(_scheduleId, _getNow()).sub(totalDrawn[_scheduleId]);
     }
 }
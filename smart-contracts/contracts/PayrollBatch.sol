@@ -0,0 +1,103 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {Payroll} from "./Payroll.sol";
+
+/// @notice Batch variants of the Payroll schedule creation functions, so a single DAO proposal can onboard a whole
+/// payroll cycle. Every schedule is created through Payroll, which lets this contract create schedules on behalf of
+/// whitelisted callers, so a batch is created atomically with one `ScheduleCreated` per schedule
+contract PayrollBatch {
+
+    Payroll public payroll;
+
+    modifier onlyWhitelist() {
+        require(payroll.accessControls().hasWhitelistRole(msg.sender), "PayrollBatch: Only whitelist");
+        _;
+    }
+
+    /// @dev Deployed by Payroll, which trusts this contract to have checked the caller is whitelisted
+    constructor() {
+        payroll = Payroll(msg.sender);
+    }
+
+    function createPayrollBatch(
+        address _token,
+        address[] memory _beneficiaries,
+        uint256[] memory _experienceLevels,
+        uint256[] memory _percentagesWorked,
+        uint256[] memory _starts,
+        uint256 _durationInDays,
+        uint256 _cliffDurationInDays
+    ) external onlyWhitelist {
+        uint256 count = _beneficiaries.length;
+        require(count > 0, "PayrollBatch.createPayrollBatch: No beneficiaries supplied");
+        require(
+            _experienceLevels.length == count && _percentagesWorked.length == count && _starts.length == count,
+            "PayrollBatch.createPayrollBatch: Inconsistent array lengths"
+        );
+
+        for (uint i = 0; i < count; i++) {
+            payroll.createPayroll(
+                _token,
+                _beneficiaries[i],
+                _experienceLevels[i],
+                _percentagesWorked[i],
+                _starts[i],
+                _durationInDays,
+                _cliffDurationInDays
+            );
+        }
+    }
+
+    function createDxdBatch(
+        address[] memory _beneficiaries,
+        uint256[] memory _starts,
+        uint256[] memory _dxdAmounts
+    ) external onlyWhitelist {
+        uint256 count = _beneficiaries.length;
+        require(count > 0, "PayrollBatch.createDxdBatch: No beneficiaries supplied");
+        require(
+            _starts.length == count && _dxdAmounts.length == count,
+            "PayrollBatch.createDxdBatch: Inconsistent array lengths"
+        );
+
+        for (uint i = 0; i < count; i++) {
+            payroll.createDxd(_beneficiaries[i], _starts[i], _dxdAmounts[i]);
+        }
+    }
+
+    function createPayrollAndDxdBatch(
+        address _token,
+        address[] memory _beneficiaries,
+        uint256[] memory _experienceLevels,
+        uint256[] memory _percentagesWorked,
+        uint256[] memory _starts,
+        uint256 _payrollDurationInDays,
+        uint256 _payrollCliffDurationInDays,
+        uint256[] memory _dxdAmounts
+    ) external onlyWhitelist {
+        uint256 count = _beneficiaries.length;
+        require(count > 0, "PayrollBatch.createPayrollAndDxdBatch: No beneficiaries supplied");
+        require(
+            _experienceLevels.length == count
+            && _percentagesWorked.length == count
+            && _starts.length == count
+            && _dxdAmounts.length == count,
+            "PayrollBatch.createPayrollAndDxdBatch: Inconsistent array lengths"
+        );
+
+        for (uint i = 0; i < count; i++) {
+            payroll.createPayrollAndDxd(
+                _token,
+                _beneficiaries[i],
+                _experienceLevels[i],
+                _percentagesWorked[i],
+                _starts[i],
+                _payrollDurationInDays,
+                _payrollCliffDurationInDays,
+                _dxdAmounts[i]
+            );
+        }
+    }
+}
@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import {AccessControls} from "./AccessControls.sol";
+
+/// @notice Stops draw downs for individual schedules, beneficiaries or tokens without pausing the whole of Payroll,
+/// e.g. for a compromised token or a contributor under dispute. Every freeze carries a reason code (e.g. "DISPUTE")
+/// and is managed by accounts with the pauser role
+contract PayrollFreezes {
+
+    event ScheduleFrozen(
+        address indexed _admin,
+        uint256 indexed _scheduleId,
+        bytes32 _reason
+    );
+
+    event ScheduleUnfrozen(
+        address indexed _admin,
+        uint256 indexed _scheduleId
+    );
+
+    event BeneficiaryFrozen(
+        address indexed _admin,
+        address indexed _beneficiary,
+        bytes32 _reason
+    );
+
+    event BeneficiaryUnfrozen(
+        address indexed _admin,
+        address indexed _beneficiary
+    );
+
+    event TokenFrozen(
+        address indexed _admin,
+        address indexed _token,
+        bytes32 _reason
+    );
+
+    event TokenUnfrozen(
+        address indexed _admin,
+        address indexed _token
+    );
+
+    AccessControls public accessControls;
+
+    /// @notice Schedule ID -> reason the schedule is frozen, empty when it is not
+    mapping(uint256 => bytes32) public scheduleFreezes;
+
+    /// @notice Beneficiary -> reason all of their schedules are frozen, empty when they are not
+    mapping(address => bytes32) public beneficiaryFreezes;
+
+    /// @notice Token -> reason all schedules in the token are frozen, empty when they are not
+    mapping(address => bytes32) public tokenFreezes;
+
+    modifier onlyPauser() {
+        require(accessControls.hasPauserRole(msg.sender), "PayrollFreezes: Only pauser");
+        _;
+    }
+
+    modifier withReason(bytes32 _reason) {
+        require(_reason != bytes32(0), "PayrollFreezes: Reason required");
+        _;
+    }
+
+    /// @dev Deployed by Payroll
+    constructor(AccessControls _accessControls) {
+        accessControls = _accessControls;
+    }
+
+    function freezeSchedule(uint256 _scheduleId, bytes32 _reason) external onlyPauser withReason(_reason) {
+        scheduleFreezes[_scheduleId] = _reason;
+        emit ScheduleFrozen(msg.sender, _scheduleId, _reason);
+    }
+
+    function unfreezeSchedule(uint256 _scheduleId) external onlyPauser {
+        require(scheduleFreezes[_scheduleId] != bytes32(0), "PayrollFreezes.unfreezeSchedule: Not frozen");
+        delete scheduleFreezes[_scheduleId];
+        emit ScheduleUnfrozen(msg.sender, _scheduleId);
+    }
+
+    function freezeBeneficiary(address _beneficiary, bytes32 _reason) external onlyPauser withReason(_reason) {
+        beneficiaryFreezes[_beneficiary] = _reason;
+        emit BeneficiaryFrozen(msg.sender, _beneficiary, _reason);
+    }
+
+    function unfreezeBeneficiary(address _beneficiary) external onlyPauser {
+        require(beneficiaryFreezes[_beneficiary] != bytes32(0), "PayrollFreezes.unfreezeBeneficiary: Not frozen");
+        delete beneficiaryFreezes[_beneficiary];
+        emit BeneficiaryUnfrozen(msg.sender, _beneficiary);
+    }
+
+    function freezeToken(address _token, bytes32 _reason) external onlyPauser withReason(_reason) {
+        tokenFreezes[_token] = _reason;
+        emit TokenFrozen(msg.sender, _token, _reason);
+    }
+
+    function unfreezeToken(address _token) external onlyPauser {
+        require(tokenFreezes[_token] != bytes32(0), "PayrollFreezes.unfreezeToken: Not frozen");
+        delete tokenFreezes[_token];
+        emit TokenUnfrozen(msg.sender, _token);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /// @notice Whether a schedule is frozen on its own, through its beneficiary or through its token
+    function isFrozen(uint256 _scheduleId, address _beneficiary, address _token) external view returns (bool) {
+        return scheduleFreezes[_scheduleId] != bytes32(0)
+            || beneficiaryFreezes[_beneficiary] != bytes32(0)
+            || tokenFreezes[_token] != bytes32(0);
+    }
+}
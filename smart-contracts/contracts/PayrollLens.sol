@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/math/Math.sol";
+
+import {Payroll} from "./Payroll.sol";
+
+/// @notice Read only views over Payroll for front ends. Each page returns the full schedule along with what has been
+/// drawn and what is available to draw down, so a page of schedules takes a single call
+contract PayrollLens {
+    using SafeMath for uint256;
+
+    struct ScheduleInfo {
+        uint256 id;
+        address token;
+        address beneficiary;
+        uint256 start;
+        uint256 end;
+        uint256 cliff;
+        uint256 amount;
+        uint256 drawDownRate;
+        Payroll.VestingCurve curve;
+        uint256 cliffUnlockPercentage;
+        uint256 drawn;
+        uint256 available;
+        uint256 lastDrawnAt;
+        bool cancelled;
+        bool frozen;
+    }
+
+    Payroll public payroll;
+
+    constructor(Payroll _payroll) {
+        payroll = _payroll;
+    }
+
+    /// @notice Up to `_limit` schedules in ID order starting from ID `_offset`
+    function schedules(uint256 _offset, uint256 _limit) external view returns (ScheduleInfo[] memory _schedules) {
+        uint256 end = Math.min(_offset.add(_limit), payroll.vestingScheduleCount());
+        uint256 count = end > _offset ? end - _offset : 0;
+
+        _schedules = new ScheduleInfo[](count);
+        for (uint i = 0; i < count; i++) {
+            _schedules[i] = schedule(_offset.add(i));
+        }
+    }
+
+    /// @notice Up to `_limit` of a beneficiary's schedules starting from their `_offset`th one. Unlike
+    /// `Payroll.activeScheduleIdsForBeneficiary` this includes pre-cliff, finished and cancelled schedules
+    function schedulesForBeneficiary(
+        address _beneficiary,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (ScheduleInfo[] memory _schedules, uint256 _total) {
+        uint256[] memory ids = payroll.scheduleIdsForBeneficiary(_beneficiary);
+        uint256 end = Math.min(_offset.add(_limit), ids.length);
+        uint256 count = end > _offset ? end - _offset : 0;
+
+        _schedules = new ScheduleInfo[](count);
+        for (uint i = 0; i < count; i++) {
+            _schedules[i] = schedule(ids[_offset.add(i)]);
+        }
+
+        return (_schedules, ids.length);
+    }
+
+    /// @notice Up to `_limit` schedules in `_token`, searching in ID order from ID `_cursor`. Pass the returned
+    /// `_nextCursor` to get the next page, which is the schedule count once there are no more schedules to search
+    function schedulesForToken(
+        address _token,
+        uint256 _cursor,
+        uint256 _limit
+    ) external view returns (ScheduleInfo[] memory _schedules, uint256 _nextCursor) {
+        uint256 scheduleCount = payroll.vestingScheduleCount();
+
+        ScheduleInfo[] memory matches = new ScheduleInfo[](_limit);
+        uint256 matchCount;
+        uint256 id = _cursor;
+        for (; id < scheduleCount && matchCount < _limit; id++) {
+            (address token,,,,,,,,) = payroll.vestingSchedule(id);
+            if (token == _token) {
+                matches[matchCount] = schedule(id);
+                matchCount++;
+            }
+        }
+
+        // trim to the schedules found
+        assembly {
+            mstore(matches, matchCount)
+        }
+
+        return (matches, Math.min(id, scheduleCount));
+    }
+
+    function schedule(uint256 _scheduleId) public view returns (ScheduleInfo memory _schedule) {
+        _schedule.id = _scheduleId;
+
+        // read in two halves to stay within the stack limit
+        (_schedule.token, _schedule.beneficiary, _schedule.start, _schedule.end, _schedule.cliff,,,,) = payroll.vestingSchedule(_scheduleId);
+        (,,,,, _schedule.amount, _schedule.drawDownRate, _schedule.curve, _schedule.cliffUnlockPercentage) = payroll.vestingSchedule(_scheduleId);
+
+        _schedule.drawn = payroll.totalDrawn(_scheduleId);
+        _schedule.available = payroll.availableDrawDownAmount(_scheduleId);
+        _schedule.lastDrawnAt = payroll.lastDrawnAt(_scheduleId);
+        _schedule.cancelled = payroll.cancelledSchedules(_scheduleId);
+        _schedule.frozen = payroll.freezes().isFrozen(_scheduleId, _schedule.beneficiary, _schedule.token);
+    }
+}
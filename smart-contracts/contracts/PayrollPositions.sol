@@ -0,0 +1,118 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+
+import {Payroll} from "./Payroll.sol";
+
+/// @notice Vesting positions as ERC-721 tokens, the token ID being the schedule ID. Whoever holds the token is the
+/// schedule's beneficiary in Payroll and receives its draw downs. Positions cannot be transferred unless an admin
+/// allows it for the schedule's token or for the schedule itself, and never while the schedule is frozen
+contract PayrollPositions is ERC721 {
+
+    event TokenTransferabilityUpdated(
+        address indexed _admin,
+        address indexed _token,
+        bool _transferable
+    );
+
+    event ScheduleTransferabilityUpdated(
+        address indexed _admin,
+        uint256 indexed _scheduleId,
+        Transferability _transferability
+    );
+
+    /// @dev `DEFAULT` follows the setting for the schedule's token
+    enum Transferability {
+        DEFAULT,
+        ALLOWED,
+        BLOCKED
+    }
+
+    Payroll public payroll;
+
+    /// @notice Token -> whether positions in schedules paying out the token can be transferred
+    mapping(address => bool) public transferableTokens;
+
+    /// @notice Schedule ID -> setting that overrides the one for the schedule's token
+    mapping(uint256 => Transferability) public scheduleTransferability;
+
+    modifier onlyAdmin() {
+        require(payroll.accessControls().hasAdminRole(msg.sender), "PayrollPositions: Only admin");
+        _;
+    }
+
+    modifier onlyPayroll() {
+        require(msg.sender == address(payroll), "PayrollPositions: Only payroll");
+        _;
+    }
+
+    constructor(Payroll _payroll) ERC721("DXdao Payroll Position", "DXPP") {
+        payroll = _payroll;
+    }
+
+    function mint(address _beneficiary, uint256 _scheduleId) external onlyPayroll {
+        _mint(_beneficiary, _scheduleId);
+    }
+
+    /// @notice Mints the position of a schedule created before positions were enabled to its current beneficiary
+    function mintExisting(uint256 _scheduleId) external {
+        (, address beneficiary,,,,,,,) = payroll.vestingSchedule(_scheduleId);
+        _mint(beneficiary, _scheduleId);
+    }
+
+    /// @dev Called by Payroll when an admin moves a beneficiary's schedules
+    function moveWithSchedule(uint256 _scheduleId, address _newBeneficiary) external onlyPayroll {
+        if (_exists(_scheduleId)) {
+            _transfer(ownerOf(_scheduleId), _newBeneficiary, _scheduleId);
+        }
+    }
+
+    function setTokenTransferable(address _token, bool _transferable) external onlyAdmin {
+        transferableTokens[_token] = _transferable;
+        emit TokenTransferabilityUpdated(msg.sender, _token, _transferable);
+    }
+
+    function setScheduleTransferability(uint256 _scheduleId, Transferability _transferability) external onlyAdmin {
+        scheduleTransferability[_scheduleId] = _transferability;
+        emit ScheduleTransferabilityUpdated(msg.sender, _scheduleId, _transferability);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    function isTransferable(uint256 _scheduleId) public view returns (bool) {
+        Transferability transferability = scheduleTransferability[_scheduleId];
+        if (transferability != Transferability.DEFAULT) {
+            return transferability == Transferability.ALLOWED;
+        }
+
+        return transferableTokens[_scheduleToken(_scheduleId)];
+    }
+
+    //////////////
+    // Internal //
+    //////////////
+
+    /// @dev Moves the schedule in Payroll along with the token, unless the token is being minted or Payroll is the
+    /// one moving it
+    function _beforeTokenTransfer(address _from, address _to, uint256 _scheduleId) internal override {
+        if (_from == address(0) || msg.sender == address(payroll)) {
+            return;
+        }
+
+        require(isTransferable(_scheduleId), "PayrollPositions: Position is not transferable");
+        require(
+            !payroll.freezes().isFrozen(_scheduleId, _from, _scheduleToken(_scheduleId)),
+            "PayrollPositions: Position is frozen"
+        );
+
+        payroll.transferSchedule(_scheduleId, _to);
+    }
+
+    function _scheduleToken(uint256 _scheduleId) internal view returns (address _token) {
+        (_token,,,,,,,,) = payroll.vestingSchedule(_scheduleId);
+    }
+}
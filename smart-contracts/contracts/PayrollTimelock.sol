@@ -0,0 +1,195 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/EnumerableSet.sol";
+
+import {AccessControls} from "./AccessControls.sol";
+import {Payroll} from "./Payroll.sol";
+
+/// @notice Delays sensitive Payroll admin calls (withdrawals, whitelist, salary, price source and duration changes) so
+/// that contributors can see what is coming and react before it executes. A call is queued, executed once the delay has
+/// passed or cancelled at any point before then by accounts with the role for it: treasurers handle withdrawals,
+/// payroll managers salary, price source and duration changes and admins everything else. An action that is not executed
+/// within the grace period after its delay expires, so old approvals cannot be run long after they were queued
+contract PayrollTimelock {
+    using SafeMath for uint256;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    event ActionQueued(
+        bytes32 indexed _actionId,
+        address indexed _admin,
+        address indexed _target,
+        bytes _data,
+        uint256 _eta
+    );
+
+    event ActionExecuted(
+        bytes32 indexed _actionId,
+        address indexed _admin
+    );
+
+    event ActionCancelled(
+        bytes32 indexed _actionId,
+        address indexed _admin
+    );
+
+    event DelayUpdated(
+        uint256 _oldDelay,
+        uint256 _newDelay
+    );
+
+    struct Action {
+        address target;
+        bytes data;
+        uint256 eta;
+    }
+
+    uint256 public constant MINIMUM_DELAY = 1 days;
+    uint256 public constant MAXIMUM_DELAY = 30 days;
+    uint256 public constant GRACE_PERIOD = 14 days;
+
+    AccessControls public accessControls;
+
+    address public payroll;
+
+    uint256 public delay;
+
+    /// @notice Incremented on every queue so the same call can be queued more than once
+    uint256 public actionNonce;
+
+    // Action ID -> queued call
+    mapping(bytes32 => Action) actions;
+
+    // IDs of actions that are queued and have not been executed or cancelled
+    EnumerableSet.Bytes32Set pendingActions;
+
+    /// @dev Deployed by Payroll, which becomes the contract calls are forwarded to
+    constructor(AccessControls _accessControls, uint256 _delay) {
+        require(_delay >= MINIMUM_DELAY && _delay <= MAXIMUM_DELAY, "PayrollTimelock: Invalid delay");
+
+        accessControls = _accessControls;
+        payroll = msg.sender;
+        delay = _delay;
+    }
+
+    /// @notice Queues a call to Payroll, its salary tables or this contract (to change the delay), that can be executed
+    /// after the delay
+    function queue(address _target, bytes calldata _data) external returns (bytes32 _actionId) {
+        require(_target == payroll || _target == address(this) || _isSalaryTables(_target), "PayrollTimelock.queue: Invalid target");
+        require(
+            accessControls.hasRole(requiredRole(_target, _data), msg.sender),
+            "PayrollTimelock.queue: Missing role for action"
+        );
+
+        actionNonce = actionNonce.add(1);
+        uint256 eta = block.timestamp.add(delay);
+        bytes32 actionId = keccak256(abi.encode(actionNonce, _target, _data, eta));
+
+        actions[actionId] = Action({target : _target, data : _data, eta : eta});
+        pendingActions.add(actionId);
+
+        emit ActionQueued(actionId, msg.sender, _target, _data, eta);
+
+        return actionId;
+    }
+
+    function execute(bytes32 _actionId) external {
+        require(pendingActions.remove(_actionId), "PayrollTimelock.execute: Action not queued");
+
+        Action memory action = actions[_actionId];
+        require(
+            accessControls.hasRole(requiredRole(action.target, action.data), msg.sender),
+            "PayrollTimelock.execute: Missing role for action"
+        );
+        require(block.timestamp >= action.eta, "PayrollTimelock.execute: Delay has not passed");
+        require(block.timestamp <= action.eta.add(GRACE_PERIOD), "PayrollTimelock.execute: Action expired");
+
+        delete actions[_actionId];
+
+        (bool success, bytes memory result) = action.target.call(action.data);
+        if (!success) {
+            // bubble up the revert reason of the call
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit ActionExecuted(_actionId, msg.sender);
+    }
+
+    function cancel(bytes32 _actionId) external {
+        require(pendingActions.remove(_actionId), "PayrollTimelock.cancel: Action not queued");
+
+        Action storage action = actions[_actionId];
+        require(
+            accessControls.hasRole(requiredRole(action.target, action.data), msg.sender),
+            "PayrollTimelock.cancel: Missing role for action"
+        );
+
+        delete actions[_actionId];
+
+        emit ActionCancelled(_actionId, msg.sender);
+    }
+
+    /// @notice Can only be reached by queueing a call to this contract
+    function setDelay(uint256 _delay) external {
+        require(msg.sender == address(this), "PayrollTimelock.setDelay: Only timelock");
+        require(_delay >= MINIMUM_DELAY && _delay <= MAXIMUM_DELAY, "PayrollTimelock.setDelay: Invalid delay");
+
+        emit DelayUpdated(delay, _delay);
+        delay = _delay;
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /// @notice Role needed to queue, execute or cancel a call
+    function requiredRole(address _target, bytes memory _data) public view returns (bytes32 _role) {
+        if (_target == payroll && _data.length >= 4) {
+            bytes4 selector;
+            assembly {
+                selector := mload(add(_data, 32))
+            }
+
+            if (selector == Payroll.withdraw.selector || selector == Payroll.withdrawEther.selector) {
+                return accessControls.TREASURER_ROLE();
+            }
+
+            if (
+                selector == Payroll.updateWorkerExperienceLevelSalary.selector
+                || selector == Payroll.setDurationAndCliffInDays.selector
+                || selector == Payroll.setPriceSource.selector
+                || selector == Payroll.setSalaryTables.selector
+            ) {
+                return accessControls.PAYROLL_MANAGER_ROLE();
+            }
+        }
+
+        if (_isSalaryTables(_target)) {
+            return accessControls.PAYROLL_MANAGER_ROLE();
+        }
+
+        return accessControls.DEFAULT_ADMIN_ROLE();
+    }
+
+    function _isSalaryTables(address _target) internal view returns (bool) {
+        return _target != address(0) && _target == address(Payroll(payable(payroll)).salaryTables());
+    }
+
+    function pendingActionIds() external view returns (bytes32[] memory _actionIds) {
+        uint256 count = pendingActions.length();
+        bytes32[] memory ids = new bytes32[](count);
+        for (uint i = 0; i < count; i++) {
+            ids[i] = pendingActions.at(i);
+        }
+        return ids;
+    }
+
+    function action(bytes32 _actionId) external view returns (address _target, bytes memory _data, uint256 _eta) {
+        Action storage queued = actions[_actionId];
+        return (queued.target, queued.data, queued.eta);
+    }
+}
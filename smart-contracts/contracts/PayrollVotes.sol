@@ -0,0 +1,110 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/utils/SafeCast.sol";
+
+import {Payroll} from "./Payroll.sol";
+
+/// @notice DXD held in Payroll for each beneficiary, so governance can count DXD that has not been drawn down yet.
+/// Payroll checkpoints a beneficiary's total whenever it changes, which lets it be read at any past block
+contract PayrollVotes {
+    using SafeMath for uint256;
+
+    event DxdCheckpointed(
+        address indexed _beneficiary,
+        uint256 _previousTotal,
+        uint256 _newTotal
+    );
+
+    struct Checkpoint {
+        uint128 fromBlock;
+        uint128 total;
+    }
+
+    Payroll public payroll;
+
+    /// @notice Beneficiary -> their total DXD in Payroll from each block it changed in, oldest first
+    mapping(address => Checkpoint[]) public checkpoints;
+
+    /// @dev Deployed by Payroll, which checkpoints every beneficiary whose DXD changes
+    constructor() {
+        payroll = Payroll(msg.sender);
+    }
+
+    /// @notice Records the beneficiary's new total, which Payroll keeps in `totalDxdForBeneficiary`
+    function checkpoint(address _beneficiary, uint256 _total) external {
+        require(msg.sender == address(payroll), "PayrollVotes.checkpoint: Only payroll");
+
+        uint256 previousTotal = currentTotal(_beneficiary);
+        if (_total == previousTotal) {
+            return;
+        }
+
+        Checkpoint[] storage beneficiaryCheckpoints = checkpoints[_beneficiary];
+        uint256 count = beneficiaryCheckpoints.length;
+        if (count > 0 && beneficiaryCheckpoints[count - 1].fromBlock == block.number) {
+            beneficiaryCheckpoints[count - 1].total = SafeCast.toUint128(_total);
+        } else {
+            beneficiaryCheckpoints.push(Checkpoint({
+                fromBlock : SafeCast.toUint128(block.number),
+                total : SafeCast.toUint128(_total)
+            }));
+        }
+
+        emit DxdCheckpointed(_beneficiary, previousTotal, _total);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /// @notice DXD in the beneficiary's schedules that has not been drawn down, split into what is available to draw
+    /// down now and what is still to vest. Cancelled schedules only count what vested before the cancellation
+    function dxdBalanceOf(address _beneficiary) public view returns (uint256 _vested, uint256 _unvested, uint256 _total) {
+        address dxdToken = payroll.dxdToken();
+        uint256[] memory scheduleIds = payroll.scheduleIdsForBeneficiary(_beneficiary);
+
+        for (uint i = 0; i < scheduleIds.length; i++) {
+            (address token,,,,, uint256 amount,,,) = payroll.vestingSchedule(scheduleIds[i]);
+            if (token == dxdToken) {
+                _total = _total.add(amount.sub(payroll.totalDrawn(scheduleIds[i])));
+                _vested = _vested.add(payroll.availableDrawDownAmount(scheduleIds[i]));
+            }
+        }
+
+        _unvested = _total.sub(_vested);
+    }
+
+    function numCheckpoints(address _beneficiary) external view returns (uint256) {
+        return checkpoints[_beneficiary].length;
+    }
+
+    /// @notice The beneficiary's total DXD as of the last checkpoint
+    function currentTotal(address _beneficiary) public view returns (uint256) {
+        uint256 count = checkpoints[_beneficiary].length;
+        return count == 0 ? 0 : checkpoints[_beneficiary][count - 1].total;
+    }
+
+    /// @notice The beneficiary's total DXD at the end of `_blockNumber`, which must already be mined
+    function getPastTotal(address _beneficiary, uint256 _blockNumber) external view returns (uint256) {
+        require(_blockNumber < block.number, "PayrollVotes.getPastTotal: Block not yet mined");
+
+        Checkpoint[] storage beneficiaryCheckpoints = checkpoints[_beneficiary];
+
+        // binary search for the last checkpoint at or before the block
+        uint256 low = 0;
+        uint256 high = beneficiaryCheckpoints.length;
+        while (low < high) {
+            uint256 mid = low.add(high) / 2;
+            if (beneficiaryCheckpoints[mid].fromBlock > _blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        return high == 0 ? 0 : beneficiaryCheckpoints[high - 1].total;
+    }
+}
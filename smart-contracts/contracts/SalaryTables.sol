@@ -0,0 +1,154 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import "@openzeppelin/contracts/utils/EnumerableSet.sol";
+
+import {AccessControls} from "./AccessControls.sol";
+import {Payroll} from "./Payroll.sol";
+
+/// @notice Salary tables keyed by a named band (e.g. "core contributor") and the token the salary is paid in.
+/// Each table maps an experience level to a monthly salary in the reference currency (USD) to 18 decimal places.
+/// Payroll managers fill in the tables until Payroll prices salaries from them, after which changes are queued in the
+/// Payroll timelock like every other salary change
+contract SalaryTables {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    event SalarySet(
+        bytes32 indexed _band,
+        address indexed _token,
+        uint256 indexed _level,
+        uint256 _salary
+    );
+
+    event SalaryRemoved(
+        bytes32 indexed _band,
+        address indexed _token,
+        uint256 indexed _level
+    );
+
+    AccessControls public accessControls;
+
+    Payroll public payroll;
+
+    // Names of all bands with at least one table
+    EnumerableSet.Bytes32Set bandNames;
+
+    // Band -> tokens with a table in the band
+    mapping(bytes32 => EnumerableSet.AddressSet) bandTokens;
+
+    // Band -> token -> configured experience levels
+    mapping(bytes32 => mapping(address => EnumerableSet.UintSet)) tableLevels;
+
+    /// @notice Band -> token -> experience level -> monthly salary
+    mapping(bytes32 => mapping(address => mapping(uint256 => uint256))) public salaries;
+
+    constructor(Payroll _payroll) {
+        payroll = _payroll;
+        accessControls = _payroll.accessControls();
+    }
+
+    /// @notice Adds or overwrites salaries in the `_band` table for `_token`, creating the table if needed
+    function setSalaries(
+        bytes32 _band,
+        address _token,
+        uint256[] calldata _levels,
+        uint256[] calldata _salaries
+    ) external {
+        require(_canUpdate(), "SalaryTables.setSalaries: Only payroll manager or timelock");
+        require(_band != bytes32(0), "SalaryTables.setSalaries: Band cannot be empty");
+        require(_token != address(0), "SalaryTables.setSalaries: Token cannot be address zero");
+        require(_levels.length > 0, "SalaryTables.setSalaries: No levels supplied");
+        require(_salaries.length == _levels.length, "SalaryTables.setSalaries: Inconsistent array lengths");
+
+        bandNames.add(_band);
+        bandTokens[_band].add(_token);
+
+        for (uint i = 0; i < _levels.length; i++) {
+            require(_salaries[i] > 0, "SalaryTables.setSalaries: Salary cannot be zero");
+
+            tableLevels[_band][_token].add(_levels[i]);
+            salaries[_band][_token][_levels[i]] = _salaries[i];
+
+            emit SalarySet(_band, _token, _levels[i], _salaries[i]);
+        }
+    }
+
+    /// @notice Removes levels from a table, dropping the table and then the band once they are empty
+    function removeSalaries(bytes32 _band, address _token, uint256[] calldata _levels) external {
+        require(_canUpdate(), "SalaryTables.removeSalaries: Only payroll manager or timelock");
+        require(_levels.length > 0, "SalaryTables.removeSalaries: No levels supplied");
+
+        EnumerableSet.UintSet storage levels = tableLevels[_band][_token];
+        for (uint i = 0; i < _levels.length; i++) {
+            require(levels.remove(_levels[i]), "SalaryTables.removeSalaries: Level not configured");
+            delete salaries[_band][_token][_levels[i]];
+
+            emit SalaryRemoved(_band, _token, _levels[i]);
+        }
+
+        if (levels.length() == 0) {
+            bandTokens[_band].remove(_token);
+
+            if (bandTokens[_band].length() == 0) {
+                bandNames.remove(_band);
+            }
+        }
+    }
+
+    /// @dev Once Payroll uses these tables a change would re-price new band schedules straight away, so only the timelock can make it
+    function _canUpdate() internal view returns (bool) {
+        if (address(payroll.salaryTables()) == address(this)) {
+            return msg.sender == address(payroll.timelock());
+        }
+
+        return accessControls.hasPayrollManagerRole(msg.sender);
+    }
+
+    ///////////////
+    // Accessors //
+    ///////////////
+
+    /// @notice Monthly salary for a level, reverts if the level is not in the table
+    function salary(bytes32 _band, address _token, uint256 _level) external view returns (uint256 _salary) {
+        uint256 monthlySalary = salaries[_band][_token][_level];
+        require(monthlySalary > 0, "SalaryTables.salary: Level not configured");
+        return monthlySalary;
+    }
+
+    function bands() external view returns (bytes32[] memory _bands) {
+        uint256 count = bandNames.length();
+        bytes32[] memory names = new bytes32[](count);
+        for (uint i = 0; i < count; i++) {
+            names[i] = bandNames.at(i);
+        }
+        return names;
+    }
+
+    function tokensForBand(bytes32 _band) external view returns (address[] memory _tokens) {
+        EnumerableSet.AddressSet storage tokens = bandTokens[_band];
+        uint256 count = tokens.length();
+        address[] memory addresses = new address[](count);
+        for (uint i = 0; i < count; i++) {
+            addresses[i] = tokens.at(i);
+        }
+        return addresses;
+    }
+
+    /// @notice Every configured level in a table with its monthly salary
+    function salaryTable(bytes32 _band, address _token) external view returns (
+        uint256[] memory _levels,
+        uint256[] memory _salaries
+    ) {
+        EnumerableSet.UintSet storage levels = tableLevels[_band][_token];
+        uint256 count = levels.length();
+        _levels = new uint256[](count);
+        _salaries = new uint256[](count);
+        for (uint i = 0; i < count; i++) {
+            _levels[i] = levels.at(i);
+            _salaries[i] = salaries[_band][_token][_levels[i]];
+        }
+    }
+}
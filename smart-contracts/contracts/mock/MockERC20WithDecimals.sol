@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+contract MockERC20WithDecimals is ERC20("MockERC20WithDecimals", "MCKD") {
+
+    uint256 public constant INITIAL_SUPPLY = 50000000;
+
+    constructor(uint8 _decimals) {
+        _setupDecimals(_decimals);
+        _mint(msg.sender, INITIAL_SUPPLY * (10 ** uint256(_decimals)));
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+// A contract that needs more than the 2300 gas stipend of `transfer` to receive ETH, like a multisig recording deposits
+contract MockEtherReceiver {
+    uint256 public received;
+
+    receive() external payable {
+        received = received + msg.value;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+// A contract beneficiary that cannot receive ETH
+contract MockEtherRejecter {
+    receive() external payable {
+        revert("MockEtherRejecter: ETH not accepted");
+    }
+
+    // lets tests act as this contract, e.g. to set a payout recipient
+    function execute(address _target, bytes calldata _data) external {
+        (bool success,) = _target.call(_data);
+        require(success, "MockEtherRejecter: Call failed");
+    }
+}
@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity 0.7.6;
+
+import { IPriceSource } from "../IPriceSource.sol";
+
+contract MockPriceSource is IPriceSource {
+    mapping(address => uint256) public prices;
+
+    function setPrice(address _token, uint256 _price) external {
+        prices[_token] = _price;
+    }
+
+    function price(address _token) external view override returns (uint256 _price) {
+        return prices[_token];
+    }
+}
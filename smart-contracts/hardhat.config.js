@@ -5,8 +5,17 @@ require('solidity-coverage');
 require('hardhat-gas-reporter');
 require('@nomiclabs/hardhat-solhint');
 
+require('./tasks/deploy');
+require('./tasks/schedules');
+require('./tasks/audit');
+require('./tasks/timelock');
+require('./tasks/csv');
+require('./tasks/proposal');
+require('./tasks/gas');
+
 const INFURA_PROJECT_ID = process.env.INFURA_PROJECT_ID;
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const FORK_URL = process.env.FORK_URL;
 
 let nonDevelopmentNetworks = {}
 
@@ -32,6 +41,19 @@ if (PRIVATE_KEY) {
   }
 }
 
+// Forking lets proposals be dry run against live state, e.g. FORK_URL=https://mainnet.infura.io/v3/<id>
+let developmentNetworks = {}
+
+if (FORK_URL) {
+  developmentNetworks = {
+    hardhat: {
+      forking: {
+        url: FORK_URL
+      }
+    }
+  }
+}
+
 module.exports = {
   solidity: {
     version: "0.7.6",
@@ -48,6 +70,7 @@ module.exports = {
     gasPrice: 50
   },
   networks: {
+    ...developmentNetworks,
     ...nonDevelopmentNetworks,
     coverage: {
       url: 'http://localhost:8555',
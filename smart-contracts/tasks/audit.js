@@ -0,0 +1,180 @@
+const {task, types} = require('hardhat/config');
+
+const {getPayroll, formatDate} = require('./schedules');
+const {getTimelock} = require('./timelock');
+
+// Payroll events that record an admin changing configuration, moving funds or amending schedules
+const AUDIT_EVENTS = [
+  'Paused',
+  'Unpaused',
+  'WorkerExperienceLevelSalaryUpdated',
+  'TokenWhitelisted',
+  'TokenRemovedFromWhitelist',
+  'DurationAndCliffUpdated',
+  'Withdrawn',
+  'EtherWithdrawn',
+  'PriceSourceUpdated',
+  'SalaryTablesUpdated',
+  'PositionsEnabled',
+  'ScheduleUpdated',
+  'ScheduleCancelled',
+  'BeneficiaryChanged',
+  // PayrollTimelock
+  'ActionQueued',
+  'ActionExecuted',
+  'ActionCancelled',
+  'DelayUpdated',
+  // PayrollFreezes
+  'ScheduleFrozen',
+  'ScheduleUnfrozen',
+  'BeneficiaryFrozen',
+  'BeneficiaryUnfrozen',
+  'TokenFrozen',
+  'TokenUnfrozen',
+  // PayrollPositions
+  'TokenTransferabilityUpdated',
+  'ScheduleTransferabilityUpdated',
+  // AccessControls, where RoleGranted and RoleRevoked also catch roles changed through grantRole, revokeRole and renounceRole
+  'RoleGranted',
+  'RoleRevoked',
+  'AdminTransferProposed',
+  'AdminTransferCancelled',
+  'AdminTransferred',
+  // SalaryTables
+  'SalarySet',
+  'SalaryRemoved',
+];
+
+const ROLES = ['WHITELISTED_ROLE', 'PAUSER_ROLE', 'TREASURER_ROLE', 'PAYROLL_MANAGER_ROLE'];
+
+// role hashes -> role names, as AccessControl events only carry the hash
+const getRoleNames = ({utils, constants}) => {
+  return ROLES.reduce((names, role) => ({...names, [utils.id(role)]: role}), {[constants.HashZero]: 'DEFAULT_ADMIN_ROLE'});
+};
+
+// named event arguments with numbers as decimal strings so entries can be written straight to JSON
+const decodeArgs = (contract, event) => {
+  return contract.interface.getEvent(event.event).inputs.reduce((args, input, i) => {
+    const value = event.args[i];
+    args[input.name] = value._isBigNumber ? value.toString() : value;
+    return args;
+  }, {});
+};
+
+// every salary tables contract Payroll has used up to `toBlock`, as well as the current one
+const getSalaryTables = async (hre, payroll, toBlock) => {
+  const addresses = new Set();
+  for (const log of await payroll.queryFilter(payroll.filters.SalaryTablesUpdated(), 0, toBlock)) {
+    addresses.add(log.args._salaryTables);
+  }
+  addresses.add(await payroll.salaryTables());
+  addresses.delete(hre.ethers.constants.AddressZero);
+
+  return Promise.all([...addresses].map((address) => hre.ethers.getContractAt('SalaryTables', address)));
+};
+
+/**
+ * Decodes the Payroll, PayrollTimelock, PayrollFreezes, AccessControls and, once set, PayrollPositions and SalaryTables logs in a block range into an ordered audit trail of the events in `events`.
+ * Entries from a transaction that executed a timelock action carry the admin who queued it in `queuedBy`
+ */
+const getAuditTrail = async (hre, payroll, {fromBlock = 0, toBlock = 'latest', events = AUDIT_EVENTS} = {}) => {
+  const timelock = await getTimelock(hre, payroll);
+  const freezes = await hre.ethers.getContractAt('PayrollFreezes', await payroll.freezes());
+  const accessControls = await hre.ethers.getContractAt('AccessControls', await payroll.accessControls());
+
+  const contracts = [payroll, timelock, freezes, accessControls];
+  const positions = await payroll.positions();
+  if (positions !== hre.ethers.constants.AddressZero) {
+    contracts.push(await hre.ethers.getContractAt('PayrollPositions', positions));
+  }
+  contracts.push(...await getSalaryTables(hre, payroll, toBlock));
+
+  const roleNames = getRoleNames(hre.ethers);
+
+  const logs = [];
+  for (const contract of contracts) {
+    const contractLogs = await contract.queryFilter('*', fromBlock, toBlock);
+    logs.push(...contractLogs.map((log) => ({log, contract})));
+  }
+
+  // Payroll events for timelocked changes leave out the admin, so entries from the transaction that executed an action
+  // are given the admin who queued it
+  const queuedBy = {};
+  for (const {log, contract} of logs) {
+    if (contract === timelock && log.event === 'ActionExecuted') {
+      const queued = await timelock.queryFilter(timelock.filters.ActionQueued(log.args._actionId), 0, log.blockNumber);
+      queuedBy[log.transactionHash] = queued[queued.length - 1].args._admin;
+    }
+  }
+
+  const blockTimestamps = {};
+  const transactionSenders = {};
+
+  const trail = [];
+  for (const {log, contract} of logs) {
+    if (!log.event || !events.includes(log.event)) {
+      continue;
+    }
+
+    if (!blockTimestamps[log.blockNumber]) {
+      blockTimestamps[log.blockNumber] = (await hre.ethers.provider.getBlock(log.blockNumber)).timestamp;
+    }
+
+    if (!transactionSenders[log.transactionHash]) {
+      transactionSenders[log.transactionHash] = (await hre.ethers.provider.getTransaction(log.transactionHash)).from;
+    }
+
+    const args = decodeArgs(contract, log);
+    if (args.role && roleNames[args.role]) {
+      args.role = roleNames[args.role];
+    }
+
+    trail.push({
+      blockNumber: log.blockNumber,
+      logIndex: log.logIndex,
+      transactionHash: log.transactionHash,
+      timestamp: blockTimestamps[log.blockNumber],
+      sender: transactionSenders[log.transactionHash],
+      ...(queuedBy[log.transactionHash] ? {queuedBy: queuedBy[log.transactionHash]} : {}),
+      address: log.address,
+      event: log.event,
+      args,
+    });
+  }
+
+  return trail.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+const formatAuditEntry = (entry, {BigNumber}) => {
+  const args = Object.entries(entry.args).map(([name, value]) => `${name}=${value}`).join(' ');
+  const queuedBy = entry.queuedBy ? `  queued by ${entry.queuedBy}` : '';
+  return `${formatDate(BigNumber.from(entry.timestamp))}  #${entry.blockNumber}  ${entry.event}  ${args}${queuedBy}`;
+};
+
+task('audit:log', 'Prints the audit trail of admin changes made to Payroll, its timelock, roles and salary tables')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .addOptionalParam('fromBlock', 'First block to read logs from', 0, types.int)
+  .addOptionalParam('toBlock', 'Last block to read logs from, defaults to the latest block', undefined, types.int)
+  .addFlag('json', 'Print the trail as JSON')
+  .setAction(async ({payroll, fromBlock, toBlock, json}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    const trail = await getAuditTrail(hre, contract, {fromBlock, toBlock});
+
+    if (json) {
+      console.log(JSON.stringify(trail, null, 2));
+      return;
+    }
+
+    if (trail.length === 0) {
+      console.log('No admin changes found');
+      return;
+    }
+
+    console.log(trail.map((entry) => formatAuditEntry(entry, hre.ethers)).join('\n'));
+  });
+
+module.exports = {
+  AUDIT_EVENTS,
+  getAuditTrail,
+  formatAuditEntry,
+};
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const {task, types} = require('hardhat/config');
+
+const {getPayroll, getBatch, getTokenMetadata, getScheduleIds, getSchedules, formatDate} = require('./schedules');
+
+// spreadsheet header (lowercased, letters and digits only) -> payroll row field
+const CSV_COLUMNS = {
+  address: 'address',
+  beneficiary: 'address',
+  level: 'level',
+  experiencelevel: 'level',
+  worked: 'percentageWorked',
+  percentworked: 'percentageWorked',
+  percentageworked: 'percentageWorked',
+  start: 'start',
+  dxd: 'dxdAmount',
+  dxdamount: 'dxdAmount',
+};
+
+const REQUIRED_FIELDS = ['address', 'level', 'percentageWorked', 'start', 'dxdAmount'];
+
+const EXPORT_COLUMNS = [
+  'id', 'beneficiary', 'token', 'symbol', 'start', 'cliff', 'end', 'amount', 'vested', 'drawn', 'available', 'status', 'cancelled',
+];
+
+// each row creates two schedules, so 10 rows use about 4.9M gas, well under the 16,777,216 gas a transaction can use
+// since Osaka (see the gas:batch task)
+const DEFAULT_BATCH_SIZE = 10;
+
+// splits a line on commas outside of double quotes, as spreadsheets quote any value holding a comma
+const parseCsvLine = (line) => {
+  const values = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      value += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      values.push(value.trim());
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  values.push(value.trim());
+  return values;
+};
+
+const toCsvValue = (value) => {
+  const text = value.toString();
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => `${rows.map((row) => row.map(toCsvValue).join(',')).join('\n')}\n`;
+
+/**
+ * Reads the address, level, % worked, start and DXD amount columns of a payroll spreadsheet export. Values are left as
+ * strings, along with the line number of each row for error messages
+ */
+const parsePayrollCsv = (text) => {
+  const lines = text.split(/\r?\n/).map((line, i) => ({line: i + 1, text: line})).filter(({text}) => text.trim() !== '');
+  if (lines.length === 0) {
+    throw new Error('CSV: no header row');
+  }
+
+  const fields = parseCsvLine(lines[0].text).map((header) => CSV_COLUMNS[header.toLowerCase().replace(/[^a-z0-9]/g, '')]);
+  const missing = REQUIRED_FIELDS.filter((field) => !fields.includes(field));
+  if (missing.length > 0) {
+    throw new Error(`CSV: missing columns ${missing.join(', ')}`);
+  }
+
+  return lines.slice(1).map(({line, text}) => {
+    const values = parseCsvLine(text);
+    return fields.reduce((row, field, i) => (field ? {...row, [field]: values[i] || ''} : row), {line});
+  });
+};
+
+// unix timestamps are used as they are, anything else is parsed as a date (`YYYY-MM-DD` being midnight UTC)
+const parseStart = (value) => {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? undefined : Math.floor(time / 1000);
+};
+
+/**
+ * Checks parsed rows against Payroll, i.e. that every experience level has a salary in
+ * `workerExperienceLevelToSalary` and that the payroll token and DXD are whitelisted, and converts them into
+ * `createPayrollAndDxd` arguments. Every problem found is reported in a single error
+ */
+const validatePayrollRows = async (hre, payroll, rows, {token, durationInDays, cliffDurationInDays = 0}) => {
+  const {utils, constants, BigNumber} = hre.ethers;
+  const errors = [];
+
+  if (rows.length === 0) {
+    errors.push('no rows to import');
+  }
+
+  const dxdToken = await payroll.dxdToken();
+  if (!utils.isAddress(token || '')) {
+    errors.push(`invalid token "${token}"`);
+  } else if (!await payroll.whitelistedTokens(token)) {
+    errors.push(`token ${token} is not whitelisted`);
+  }
+
+  if (!await payroll.whitelistedTokens(dxdToken)) {
+    errors.push(`DXD token ${dxdToken} is not whitelisted`);
+  }
+
+  if (!(durationInDays > 0)) {
+    errors.push('payroll duration must be at least 1 day');
+  } else if (cliffDurationInDays > durationInDays) {
+    errors.push('payroll cliff cannot be longer than its duration');
+  }
+
+  const {decimals: dxdDecimals} = await getTokenMetadata(hre, dxdToken);
+  const salaries = {};
+
+  const validRows = [];
+  for (const row of rows) {
+    const rowErrors = [];
+
+    if (!utils.isAddress(row.address) || row.address === constants.AddressZero) {
+      rowErrors.push(`invalid address "${row.address}"`);
+    }
+
+    if (!/^\d+$/.test(row.level)) {
+      rowErrors.push(`invalid level "${row.level}"`);
+    } else {
+      if (!salaries[row.level]) {
+        salaries[row.level] = await payroll.workerExperienceLevelToSalary(row.level);
+      }
+
+      if (salaries[row.level].isZero()) {
+        rowErrors.push(`experience level ${row.level} has no salary`);
+      }
+    }
+
+    const percentageWorked = Number(row.percentageWorked.replace(/%$/, ''));
+    if (!Number.isInteger(percentageWorked) || percentageWorked < 1 || percentageWorked > 100) {
+      rowErrors.push(`% worked must be a whole number from 1 to 100, got "${row.percentageWorked}"`);
+    }
+
+    const start = parseStart(row.start);
+    if (start === undefined) {
+      rowErrors.push(`invalid start "${row.start}"`);
+    }
+
+    let dxdAmount;
+    try {
+      dxdAmount = utils.parseUnits(row.dxdAmount, dxdDecimals);
+    } catch (e) {
+      rowErrors.push(`invalid DXD amount "${row.dxdAmount}"`);
+    }
+
+    if (dxdAmount && dxdAmount.isZero()) {
+      rowErrors.push('DXD amount cannot be zero');
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors.map((error) => `line ${row.line}: ${error}`));
+      continue;
+    }
+
+    validRows.push({
+      line: row.line,
+      beneficiary: utils.getAddress(row.address),
+      experienceLevel: BigNumber.from(row.level),
+      percentageWorked: BigNumber.from(percentageWorked),
+      start: BigNumber.from(start),
+      dxdAmount,
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`CSV validation failed:\n  ${errors.join('\n  ')}`);
+  }
+
+  return validRows;
+};
+
+/**
+ * Compares what the rows would commit, at today's prices, with the free balance of the payroll token and DXD and
+ * returns a message for each token that falls short
+ */
+const getFundingShortfalls = async (hre, payroll, rows, {token, durationInDays}) => {
+  const {BigNumber, utils} = hre.ethers;
+  const payrollToken = utils.getAddress(token);
+  const dxdToken = await payroll.dxdToken();
+
+  // the payroll token may be DXD itself
+  const needed = {[payrollToken]: BigNumber.from(0), [dxdToken]: BigNumber.from(0)};
+  for (const row of rows) {
+    const {_amount} = await payroll.previewPayroll(payrollToken, row.experienceLevel, row.percentageWorked, durationInDays);
+    needed[payrollToken] = needed[payrollToken].add(_amount);
+    needed[dxdToken] = needed[dxdToken].add(row.dxdAmount);
+  }
+
+  const shortfalls = [];
+  for (const [address, amount] of Object.entries(needed)) {
+    const free = await payroll.freeBalance(address);
+    if (free.lt(amount)) {
+      shortfalls.push(`${address}: ${amount.toString()} needed, ${free.toString()} free`);
+    }
+  }
+
+  return shortfalls;
+};
+
+/**
+ * Encodes the rows as `PayrollBatch.createPayrollAndDxdBatch` calls of up to `batchSize` rows each, ready to be
+ * submitted or put into a DAO proposal
+ */
+const encodePayrollRows = (batch, rows, {token, durationInDays, cliffDurationInDays = 0, batchSize = DEFAULT_BATCH_SIZE}) => {
+  if (!(batchSize >= 1)) {
+    throw new Error(`CSV: batch size must be at least 1, got ${batchSize}`);
+  }
+
+  const calls = [];
+  for (let i = 0; i < rows.length; i += batchSize) {
+    const batchRows = rows.slice(i, i + batchSize);
+    calls.push({
+      to: batch.address,
+      value: '0',
+      data: batch.interface.encodeFunctionData('createPayrollAndDxdBatch', [
+        token,
+        batchRows.map((row) => row.beneficiary),
+        batchRows.map((row) => row.experienceLevel),
+        batchRows.map((row) => row.percentageWorked),
+        batchRows.map((row) => row.start),
+        durationInDays,
+        cliffDurationInDays,
+        batchRows.map((row) => row.dxdAmount),
+      ]),
+    });
+  }
+  return calls;
+};
+
+// one row per schedule with amounts in token units, see `getScheduleDetails`
+const formatSchedulesCsv = (schedules, {utils}) => {
+  return toCsv([
+    EXPORT_COLUMNS,
+    ...schedules.map((details) => [
+      details.id.toString(),
+      details.beneficiary,
+      details.token,
+      details.symbol,
+      formatDate(details.start),
+      formatDate(details.cliff),
+      formatDate(details.end),
+      utils.formatUnits(details.amount, details.decimals),
+      utils.formatUnits(details.vested, details.decimals),
+      utils.formatUnits(details.drawn, details.decimals),
+      utils.formatUnits(details.available, details.decimals),
+      details.status,
+      details.cancelled,
+    ]),
+  ]);
+};
+
+task('csv:import', 'Validates a payroll CSV (address, level, % worked, start, DXD amount) and creates its schedules')
+  .addParam('file', 'The CSV file')
+  .addParam('token', 'Token the salaries are paid in')
+  .addParam('duration', 'Payroll duration in days', undefined, types.int)
+  .addOptionalParam('cliff', 'Payroll cliff in days', 0, types.int)
+  .addOptionalParam('batchSize', 'Rows per createPayrollAndDxdBatch call', DEFAULT_BATCH_SIZE, types.int)
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .addFlag('calldata', 'Print the calls as JSON for a DAO proposal instead of sending them')
+  .setAction(async ({file, token, duration, cliff, batchSize, payroll, calldata}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    const options = {token, durationInDays: duration, cliffDurationInDays: cliff, batchSize};
+
+    const rows = await validatePayrollRows(hre, contract, parsePayrollCsv(fs.readFileSync(file, 'utf8')), options);
+    console.log(`${rows.length} rows valid`);
+
+    const shortfalls = await getFundingShortfalls(hre, contract, rows, options);
+    if (shortfalls.length > 0 && !calldata) {
+      throw new Error(`Insufficient free balance:\n  ${shortfalls.join('\n  ')}`);
+    }
+
+    const calls = encodePayrollRows(await getBatch(hre, contract), rows, options);
+
+    if (calldata) {
+      shortfalls.forEach((shortfall) => console.warn(`Warning: Payroll needs funding before execution, ${shortfall}`));
+      console.log(JSON.stringify(calls, null, 2));
+      return;
+    }
+
+    const [signer] = await hre.ethers.getSigners();
+    for (const call of calls) {
+      const tx = await signer.sendTransaction({to: call.to, data: call.data});
+      await tx.wait();
+      console.log(`Submitted ${tx.hash}`);
+    }
+  });
+
+task('csv:export', 'Writes every schedule with its drawn and available amounts to CSV')
+  .addOptionalParam('out', 'File to write to, defaults to printing the CSV')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .setAction(async ({out, payroll}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    const csv = formatSchedulesCsv(await getSchedules(hre, contract, await getScheduleIds(contract)), hre.ethers);
+
+    if (!out) {
+      process.stdout.write(csv);
+      return;
+    }
+
+    fs.writeFileSync(out, csv);
+    console.log(`Schedules written to ${out}`);
+  });
+
+module.exports = {
+  parsePayrollCsv,
+  validatePayrollRows,
+  getFundingShortfalls,
+  encodePayrollRows,
+  formatSchedulesCsv,
+};
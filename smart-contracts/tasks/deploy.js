@@ -0,0 +1,215 @@
+const fs = require('fs');
+const {task} = require('hardhat/config');
+
+const {DEFAULT_DEPLOYMENTS_DIR, writeDeployment} = require('./deployments');
+
+const loadDeployConfig = (file) => {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+// config key -> AccessControls role granted to every address listed under it
+const ROLE_GRANTS = {
+  pausers: 'addPauserRole',
+  treasurers: 'addTreasurerRole',
+  payrollManagers: 'addPayrollManagerRole',
+};
+
+const PEGGED = 'pegged';
+
+const validateDeployConfig = (config, {utils}) => {
+  const {tokens, salaries, dao, admins = []} = config;
+
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    throw new Error('Deploy config: at least 1 token must be supplied (DXD first)');
+  }
+
+  if (!salaries || Object.keys(salaries).length === 0) {
+    throw new Error('Deploy config: no experience level salaries supplied');
+  }
+
+  if (!Array.isArray(admins)) {
+    throw new Error('Deploy config: admins must be an array of addresses');
+  }
+
+  const roleHolders = [];
+  for (const key of Object.keys(ROLE_GRANTS)) {
+    const holders = config[key] || [];
+    if (!Array.isArray(holders)) {
+      throw new Error(`Deploy config: ${key} must be an array of addresses`);
+    }
+    roleHolders.push(...holders);
+  }
+
+  if (config.removeDeployerAdmin && admins.length === 0) {
+    throw new Error('Deploy config: at least 1 admin must be supplied when removing the deployer admin');
+  }
+
+  const {salaryTables = {}, priceSources = {}} = config;
+  const salaryTableTokens = Object.values(salaryTables).reduce((all, tables) => [...all, ...Object.keys(tables)], []);
+
+  // token -> IPriceSource address, or "pegged" for a token paid 1:1 through PeggedPriceSource
+  const priceSourceAddresses = [
+    ...Object.keys(priceSources),
+    ...Object.values(priceSources).filter((source) => source !== PEGGED),
+  ];
+
+  [...tokens, dao, ...admins, ...roleHolders, ...salaryTableTokens, ...priceSourceAddresses].forEach((address) => {
+    if (!utils.isAddress(address || '')) {
+      throw new Error(`Deploy config: invalid address "${address}"`);
+    }
+  });
+};
+
+/**
+ * Deploys AccessControls, Payroll, SalaryTables and PayrollLens, plus PayrollPositions when `positions` is set (with
+ * `enablePositions` queued in the timelock). Sets the configured price sources, fills in any configured salary bands,
+ * grants the DAO the whitelist role and the configured admins, pausers, treasurers and payroll managers their roles,
+ * then records the deployed addresses in deployments/<network>.json
+ */
+const deployPayroll = async (hre, config, {deploymentsDir = DEFAULT_DEPLOYMENTS_DIR, log = () => {}} = {}) => {
+  const {ethers, network} = hre;
+
+  validateDeployConfig(config, ethers);
+
+  const [deployer] = await ethers.getSigners();
+  log(`Deploying to ${network.name} from ${deployer.address}`);
+
+  const AccessControls = await ethers.getContractFactory('AccessControls');
+  const accessControls = await AccessControls.deploy();
+  await accessControls.deployed();
+  log(`AccessControls deployed at ${accessControls.address}`);
+
+  const experienceLevels = Object.keys(config.salaries);
+  const salaries = experienceLevels.map((level) => config.salaries[level]);
+
+  const Payroll = await ethers.getContractFactory('Payroll');
+  const payroll = await Payroll.deploy(config.tokens, accessControls.address, experienceLevels, salaries);
+  await payroll.deployed();
+  log(`Payroll deployed at ${payroll.address}`);
+
+  const SalaryTables = await ethers.getContractFactory('SalaryTables');
+  const salaryTables = await SalaryTables.deploy(payroll.address);
+  await salaryTables.deployed();
+  log(`SalaryTables deployed at ${salaryTables.address}`);
+
+  const PayrollLens = await ethers.getContractFactory('PayrollLens');
+  const payrollLens = await PayrollLens.deploy(payroll.address);
+  await payrollLens.deployed();
+  log(`PayrollLens deployed at ${payrollLens.address}`);
+
+  // the deployer is a payroll manager only for as long as it takes to wire up the price sources and salary tables. The
+  // bands are filled in first as changes to salary tables in use by Payroll have to go through the timelock
+  await (await accessControls.addPayrollManagerRole(deployer.address)).wait();
+
+  let peggedPriceSource;
+  for (const [token, source] of Object.entries(config.priceSources || {})) {
+    if (source === PEGGED && !peggedPriceSource) {
+      const PeggedPriceSource = await ethers.getContractFactory('PeggedPriceSource');
+      peggedPriceSource = await PeggedPriceSource.deploy();
+      await peggedPriceSource.deployed();
+      log(`PeggedPriceSource deployed at ${peggedPriceSource.address}`);
+    }
+
+    await (await payroll.setPriceSource(token, source === PEGGED ? peggedPriceSource.address : source)).wait();
+    log(`Price source for ${token} set to ${source === PEGGED ? 'PeggedPriceSource' : source}`);
+  }
+
+  for (const [band, tables] of Object.entries(config.salaryTables || {})) {
+    for (const [token, bandSalaries] of Object.entries(tables)) {
+      const levels = Object.keys(bandSalaries);
+      await (await salaryTables.setSalaries(
+        ethers.utils.formatBytes32String(band),
+        token,
+        levels,
+        levels.map((level) => bandSalaries[level])
+      )).wait();
+      log(`Salary band "${band}" set for ${token}`);
+    }
+  }
+
+  await (await payroll.setSalaryTables(salaryTables.address)).wait();
+  await (await accessControls.removePayrollManagerRole(deployer.address)).wait();
+
+  let payrollPositions;
+  let positionsActionId;
+  if (config.positions) {
+    const PayrollPositions = await ethers.getContractFactory('PayrollPositions');
+    payrollPositions = await PayrollPositions.deploy(payroll.address);
+    await payrollPositions.deployed();
+    log(`PayrollPositions deployed at ${payrollPositions.address}`);
+
+    // positions can move any schedule so they are only enabled through the timelock, by an admin once the delay has passed
+    const timelock = await ethers.getContractAt('PayrollTimelock', await payroll.timelock());
+    const receipt = await (await timelock.queue(
+      payroll.address,
+      payroll.interface.encodeFunctionData('enablePositions', [payrollPositions.address])
+    )).wait();
+    positionsActionId = receipt.events.find(({event}) => event === 'ActionQueued').args._actionId;
+    log(`enablePositions queued in the timelock as ${positionsActionId}`);
+  }
+
+  await (await accessControls.addWhitelistRole(config.dao)).wait();
+  log(`Whitelist role granted to DAO ${config.dao}`);
+
+  for (const admin of config.admins || []) {
+    await (await accessControls.addAdminRole(admin)).wait();
+    log(`Admin role granted to ${admin}`);
+  }
+
+  for (const [key, grant] of Object.entries(ROLE_GRANTS)) {
+    for (const holder of config[key] || []) {
+      await (await accessControls[grant](holder)).wait();
+      log(`${grant.replace(/^add|Role$/g, '')} role granted to ${holder}`);
+    }
+  }
+
+  if (config.removeDeployerAdmin) {
+    await (await accessControls.removeAdminRole(deployer.address)).wait();
+    log(`Admin role removed from deployer ${deployer.address}`);
+  }
+
+  const {chainId} = await ethers.provider.getNetwork();
+  const deployment = {
+    network: network.name,
+    chainId,
+    deployer: deployer.address,
+    dao: config.dao,
+    dxdToken: config.tokens[0],
+    AccessControls: accessControls.address,
+    Payroll: payroll.address,
+    PayrollTimelock: await payroll.timelock(),
+    PayrollFreezes: await payroll.freezes(),
+    PayrollBatch: await payroll.batch(),
+    PayrollVotes: await payroll.votes(),
+    SalaryTables: salaryTables.address,
+    PayrollLens: payrollLens.address,
+  };
+
+  if (peggedPriceSource) {
+    deployment.PeggedPriceSource = peggedPriceSource.address;
+  }
+
+  if (payrollPositions) {
+    deployment.PayrollPositions = payrollPositions.address;
+    deployment.enablePositionsActionId = positionsActionId;
+  }
+
+  const file = writeDeployment(network.name, deployment, deploymentsDir);
+  log(`Deployment written to ${file}`);
+
+  return deployment;
+};
+
+task('deploy', 'Deploys and configures AccessControls, Payroll and SalaryTables')
+  .addParam('deployConfig', 'Path to the JSON deploy config')
+  .addOptionalParam('deploymentsDir', 'Directory the deployed addresses are written to', DEFAULT_DEPLOYMENTS_DIR)
+  .setAction(async ({deployConfig, deploymentsDir}, hre) => {
+    await hre.run('compile');
+    await deployPayroll(hre, loadDeployConfig(deployConfig), {deploymentsDir, log: console.log});
+  });
+
+module.exports = {
+  loadDeployConfig,
+  validateDeployConfig,
+  deployPayroll,
+};
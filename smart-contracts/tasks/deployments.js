@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments');
+
+const deploymentPath = (network, dir = DEFAULT_DEPLOYMENTS_DIR) => {
+  return path.join(dir, `${network}.json`);
+};
+
+const writeDeployment = (network, deployment, dir = DEFAULT_DEPLOYMENTS_DIR) => {
+  fs.mkdirSync(dir, {recursive: true});
+
+  const file = deploymentPath(network, dir);
+  fs.writeFileSync(file, `${JSON.stringify(deployment, null, 2)}\n`);
+  return file;
+};
+
+const readDeployment = (network, dir = DEFAULT_DEPLOYMENTS_DIR) => {
+  const file = deploymentPath(network, dir);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment found for network "${network}" at ${file}`);
+  }
+
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+module.exports = {
+  DEFAULT_DEPLOYMENTS_DIR,
+  deploymentPath,
+  writeDeployment,
+  readDeployment,
+};
@@ -0,0 +1,138 @@
+const {task} = require('hardhat/config');
+
+// Osaka (EIP-7825) caps the gas a single transaction can use, whatever the block gas limit
+const TRANSACTION_GAS_CAP = 16777216;
+
+const BATCH_METHODS = ['createPayrollBatch', 'createDxdBatch', 'createPayrollAndDxdBatch'];
+
+const DURATION_IN_DAYS = 365;
+
+// running out of gas under the cap, or a node turning away a gas limit above it, means the batch does not fit
+const OVER_CAP_ERRORS = /out of gas|greater than the cap/i;
+
+/**
+ * Measures each PayrollBatch function creating `sizes` entries (level 5, 100% worked, each entry on a new beneficiary)
+ * against freshly deployed contracts, then reports the gas per extra entry and the largest batch under the transaction
+ * gas cap. Everything is rolled back afterwards
+ */
+const measureBatchGas = async (hre, sizes) => {
+  const {ethers, network} = hre;
+  if (network.name !== 'hardhat') {
+    throw new Error('Gas is measured against fresh deployments on the in-process hardhat network');
+  }
+
+  const snapshot = await network.provider.send('evm_snapshot');
+
+  try {
+    const [deployer] = await ethers.getSigners();
+
+    const accessControls = await (await ethers.getContractFactory('AccessControls')).deploy();
+    await (await accessControls.addWhitelistRole(deployer.address)).wait();
+
+    const MockERC20 = await ethers.getContractFactory('MockERC20');
+    const dxdToken = await MockERC20.deploy();
+    const token = await MockERC20.deploy();
+
+    const payroll = await (await ethers.getContractFactory('Payroll')).deploy(
+      [dxdToken.address, token.address],
+      accessControls.address,
+      ['5'],
+      [ethers.utils.parseEther('8000')]
+    );
+    await (await dxdToken.transfer(payroll.address, await dxdToken.balanceOf(deployer.address))).wait();
+    await (await token.transfer(payroll.address, await token.balanceOf(deployer.address))).wait();
+
+    // payroll schedules are paid 1:1 in the token
+    await (await accessControls.addPayrollManagerRole(deployer.address)).wait();
+    const peggedPriceSource = await (await ethers.getContractFactory('PeggedPriceSource')).deploy();
+    await (await payroll.setPriceSource(token.address, peggedPriceSource.address)).wait();
+
+    const batch = await ethers.getContractAt('PayrollBatch', await payroll.batch());
+
+    const args = (method, beneficiaries) => {
+      const count = beneficiaries.length;
+      const levels = Array(count).fill('5');
+      const percentages = Array(count).fill('100');
+      const starts = Array(count).fill('0');
+      const dxdAmounts = Array(count).fill(ethers.utils.parseEther('100'));
+
+      if (method === 'createPayrollBatch') {
+        return [token.address, beneficiaries, levels, percentages, starts, DURATION_IN_DAYS, '0'];
+      }
+      if (method === 'createDxdBatch') {
+        return [beneficiaries, starts, dxdAmounts];
+      }
+      return [token.address, beneficiaries, levels, percentages, starts, DURATION_IN_DAYS, '0', dxdAmounts];
+    };
+
+    const rows = [];
+    for (const method of BATCH_METHODS) {
+      const gasUsed = [];
+      for (const size of sizes) {
+        const beneficiaries = [...Array(size)].map(() => ethers.Wallet.createRandom().address);
+
+        // anything over the cap is reported without a figure, any other failure is a problem with the measurement
+        let gas;
+        try {
+          const tx = await batch[method](...args(method, beneficiaries), {gasLimit: TRANSACTION_GAS_CAP});
+          gas = (await tx.wait()).gasUsed.toNumber();
+        } catch (e) {
+          if (!OVER_CAP_ERRORS.test(e.message)) {
+            throw e;
+          }
+          gas = undefined;
+        }
+        gasUsed.push({size, gas});
+      }
+
+      // the gas per extra entry, from the smallest and largest batches that fit
+      const measured = gasUsed.filter(({gas}) => gas !== undefined);
+      const smallest = measured[0];
+      const largest = measured[measured.length - 1];
+      const perEntry = measured.length > 1 ? Math.ceil((largest.gas - smallest.gas) / (largest.size - smallest.size)) : undefined;
+
+      rows.push({
+        method,
+        gasUsed,
+        perEntry,
+        maxEntries: perEntry ? smallest.size + Math.floor((TRANSACTION_GAS_CAP - smallest.gas) / perEntry) : undefined,
+      });
+    }
+
+    return rows;
+  } finally {
+    await network.provider.send('evm_revert', [snapshot]);
+  }
+};
+
+const formatBatchGas = (rows) => {
+  const lines = ['| Method | Entries | Gas used |', '|---|---|---|'];
+  for (const {method, gasUsed} of rows) {
+    for (const {size, gas} of gasUsed) {
+      lines.push(`| \`${method}\` | ${size} | ${gas === undefined ? 'over the cap' : gas} |`);
+    }
+  }
+
+  lines.push('');
+  for (const {method, perEntry, maxEntries} of rows) {
+    lines.push(perEntry === undefined
+      ? `\`${method}\`: fewer than two sizes fit under the cap, measure smaller batches for the gas per entry`
+      : `\`${method}\`: about ${perEntry} gas per entry, at most ${maxEntries} entries in one transaction`);
+  }
+
+  return lines.join('\n');
+};
+
+task('gas:batch', 'Measures the gas used by the PayrollBatch functions for a number of entries')
+  .addOptionalParam('sizes', 'Comma separated batch sizes to measure', '1,10,15,50')
+  .setAction(async ({sizes}, hre) => {
+    const rows = await measureBatchGas(hre, sizes.split(',').map((size) => parseInt(size, 10)));
+    console.log(`Transaction gas cap: ${TRANSACTION_GAS_CAP}\n`);
+    console.log(formatBatchGas(rows));
+  });
+
+module.exports = {
+  TRANSACTION_GAS_CAP,
+  measureBatchGas,
+  formatBatchGas,
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const {task} = require('hardhat/config');
+
+const {readDeployment} = require('./deployments');
+const {getPayroll, getBatch, getSchedules, formatScheduleDetails} = require('./schedules');
+const {getTimelock} = require('./timelock');
+
+// contracts a proposal call can target, by the name used in a calls file
+const getProposalContracts = async (hre, payroll) => {
+  const contracts = {
+    Payroll: payroll,
+    PayrollBatch: await getBatch(hre, payroll),
+    AccessControls: await hre.ethers.getContractAt('AccessControls', await payroll.accessControls()),
+    PayrollTimelock: await getTimelock(hre, payroll),
+  };
+
+  const salaryTables = await payroll.salaryTables();
+  if (salaryTables !== hre.ethers.constants.AddressZero) {
+    contracts.SalaryTables = await hre.ethers.getContractAt('SalaryTables', salaryTables);
+  }
+
+  return contracts;
+};
+
+/**
+ * Encodes calls such as `{contract: 'Payroll', method: 'createPayroll', args: [...]}` into `{to, value, data}` for a
+ * DAO proposal. Setting `queue` wraps the call in `PayrollTimelock.queue`, as needed by the timelocked admin actions
+ */
+const encodeProposalCalls = (contracts, calls) => {
+  return calls.map(({contract, method, args = [], value = '0', queue = false}, i) => {
+    const target = contracts[contract];
+    if (!target) {
+      throw new Error(`Call ${i}: unknown contract "${contract}", expected one of ${Object.keys(contracts).join(', ')}`);
+    }
+
+    const data = target.interface.encodeFunctionData(method, args);
+    if (!queue) {
+      return {to: target.address, value: value.toString(), data};
+    }
+
+    const timelock = contracts.PayrollTimelock;
+    return {to: timelock.address, value: '0', data: timelock.interface.encodeFunctionData('queue', [target.address, data])};
+  });
+};
+
+/**
+ * Decodes a proposal call against the ABI of the contract it targets, along with any call it queues in the timelock
+ */
+const decodeProposalCall = (contracts, {to, value = '0', data}) => {
+  const name = Object.keys(contracts).find((key) => contracts[key].address.toLowerCase() === to.toLowerCase());
+  if (!name) {
+    throw new Error(`Unknown call target ${to}`);
+  }
+
+  const call = contracts[name].interface.parseTransaction({data, value});
+  const decoded = {
+    contract: name,
+    to: contracts[name].address,
+    value: value.toString(),
+    method: call.name,
+    args: call.functionFragment.inputs.map((input, i) => ({name: input.name, value: call.args[i].toString()})),
+  };
+
+  if (name === 'PayrollTimelock' && call.name === 'queue') {
+    decoded.queued = decodeProposalCall(contracts, {to: call.args._target, data: call.args._data});
+  }
+
+  return decoded;
+};
+
+const formatProposalCall = (decoded, indent = '') => {
+  const args = decoded.args.map(({name, value}) => `${indent}    ${name}: ${value}`);
+  const lines = [
+    `${indent}${decoded.contract}.${decoded.method} (${decoded.to})`,
+    ...(decoded.value !== '0' ? [`${indent}    value: ${decoded.value}`] : []),
+    ...args,
+  ];
+
+  if (decoded.queued) {
+    lines.push(`${indent}  queues:`, formatProposalCall(decoded.queued, `${indent}    `));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Executes the calls in order from `avatar`, impersonating it on an in-process or forked hardhat network, and reports
+ * the schedules they create. Like a proposal it stops at the first call that reverts. The network is rolled back
+ * afterwards unless `keep` is set
+ */
+const dryRunProposal = async (hre, payroll, calls, {avatar, keep = false}) => {
+  const {ethers, network} = hre;
+  if (network.name !== 'hardhat') {
+    throw new Error('Dry runs need the in-process hardhat network, fork mainnet with FORK_URL to run against live state');
+  }
+
+  const snapshot = await network.provider.send('evm_snapshot');
+  await network.provider.send('hardhat_impersonateAccount', [avatar]);
+
+  // impersonated accounts still pay for gas
+  await network.provider.send('hardhat_setBalance', [avatar, ethers.utils.hexValue(ethers.utils.parseEther('1000'))]);
+
+  const firstScheduleId = (await payroll.vestingScheduleCount()).toNumber();
+  const result = {success: true, gasUsed: []};
+
+  try {
+    const signer = await ethers.getSigner(avatar);
+    for (let i = 0; i < calls.length; i++) {
+      try {
+        const receipt = await (await signer.sendTransaction(calls[i])).wait();
+        result.gasUsed.push(receipt.gasUsed);
+      } catch (e) {
+        result.success = false;
+        result.failedCall = i;
+        result.error = e.reason || e.message;
+        break;
+      }
+    }
+
+    const lastScheduleId = (await payroll.vestingScheduleCount()).toNumber();
+    const ids = [...Array(lastScheduleId - firstScheduleId).keys()].map((i) => firstScheduleId + i);
+    result.schedules = await getSchedules(hre, payroll, ids);
+  } finally {
+    await network.provider.send('hardhat_stopImpersonatingAccount', [avatar]);
+    if (!keep) {
+      await network.provider.send('evm_revert', [snapshot]);
+    }
+  }
+
+  return result;
+};
+
+task('proposal:encode', 'Encodes Payroll, PayrollBatch, AccessControls, PayrollTimelock and SalaryTables calls into DAO proposal calldata')
+  .addParam('calls', 'JSON file of calls, each {contract, method, args, value?, queue?}')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .addOptionalParam('avatar', 'Address to dry run the calls from, defaults to the DAO in deployments/<network>.json')
+  .addFlag('dryRun', 'Execute the calls on the hardhat network as the avatar and print the resulting schedules')
+  .setAction(async ({calls, payroll, avatar, dryRun}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    const contracts = await getProposalContracts(hre, contract);
+    const encoded = encodeProposalCalls(contracts, JSON.parse(fs.readFileSync(calls, 'utf8')));
+
+    console.log(JSON.stringify(encoded, null, 2));
+    console.log(`\n${encoded.map((call) => formatProposalCall(decodeProposalCall(contracts, call))).join('\n\n')}`);
+
+    if (!dryRun) {
+      return;
+    }
+
+    const from = avatar || readDeployment(hre.network.name).dao;
+    if (!from) {
+      throw new Error('No avatar to dry run from, pass --avatar');
+    }
+
+    const result = await dryRunProposal(hre, contract, encoded, {avatar: from});
+    if (!result.success) {
+      throw new Error(`Dry run failed at call ${result.failedCall}: ${result.error}`);
+    }
+
+    console.log(`\nDry run from ${from} succeeded, ${result.schedules.length} schedules created`);
+    result.schedules.forEach((details) => console.log(`\n${formatScheduleDetails(details, hre.ethers)}`));
+  });
+
+task('proposal:decode', 'Prints proposal calldata to Payroll, PayrollBatch, AccessControls, PayrollTimelock or SalaryTables for review')
+  .addParam('to', 'The called address')
+  .addParam('data', 'The calldata')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .setAction(async ({to, data, payroll}, hre) => {
+    const contracts = await getProposalContracts(hre, await getPayroll(hre, payroll));
+    console.log(formatProposalCall(decodeProposalCall(contracts, {to, data})));
+  });
+
+module.exports = {
+  getProposalContracts,
+  encodeProposalCalls,
+  decodeProposalCall,
+  formatProposalCall,
+  dryRunProposal,
+};
@@ -0,0 +1,183 @@
+const {task, types} = require('hardhat/config');
+
+const {readDeployment} = require('./deployments');
+
+const ERC20_METADATA_ABI = [
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+];
+
+// sentinel token address of native ETH schedules, mirrors Payroll.ETH
+const ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+const STATUS = {
+  PRE_CLIFF: 'pre-cliff',
+  VESTING: 'vesting',
+  ENDED: 'ended',
+  FULLY_DRAWN: 'fully drawn',
+};
+
+const getPayroll = async (hre, address) => {
+  const payrollAddress = address || readDeployment(hre.network.name).Payroll;
+  return hre.ethers.getContractAt('Payroll', payrollAddress);
+};
+
+// the PayrollBatch contract Payroll deploys for creating schedules in bulk
+const getBatch = async (hre, payroll) => {
+  return hre.ethers.getContractAt('PayrollBatch', await payroll.batch());
+};
+
+const getNow = async (hre) => {
+  const {timestamp} = await hre.ethers.provider.getBlock('latest');
+  return hre.ethers.BigNumber.from(timestamp);
+};
+
+const getTokenMetadata = async (hre, address) => {
+  if (address.toLowerCase() === ETH.toLowerCase()) {
+    return {decimals: 18, symbol: 'ETH'};
+  }
+
+  const token = await hre.ethers.getContractAt(ERC20_METADATA_ABI, address);
+  const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+  return {decimals, symbol};
+};
+
+// mirrors the cliff and end checks in Payroll._vestedAmountAt
+const scheduleStatus = ({cliff, end, amount, drawn}, now) => {
+  if (drawn.gte(amount)) {
+    return STATUS.FULLY_DRAWN;
+  }
+
+  if (now.lte(cliff)) {
+    return STATUS.PRE_CLIFF;
+  }
+
+  if (now.gte(end)) {
+    return STATUS.ENDED;
+  }
+
+  return STATUS.VESTING;
+};
+
+const getScheduleDetails = async (hre, payroll, id, {now, tokenMetadata = {}} = {}) => {
+  const [schedule, drawn, available, cancelled] = await Promise.all([
+    payroll.vestingSchedule(id),
+    payroll.totalDrawn(id),
+    payroll.availableDrawDownAmount(id),
+    payroll.cancelledSchedules(id),
+  ]);
+
+  const token = schedule._token;
+  if (!tokenMetadata[token]) {
+    tokenMetadata[token] = await getTokenMetadata(hre, token);
+  }
+
+  const details = {
+    id: hre.ethers.BigNumber.from(id),
+    token,
+    ...tokenMetadata[token],
+    beneficiary: schedule._beneficiary,
+    start: schedule._start,
+    cliff: schedule._cliff,
+    end: schedule._end,
+    amount: schedule._amount,
+    drawn,
+    available,
+    vested: drawn.add(available),
+    cancelled,
+  };
+
+  details.status = scheduleStatus(details, now || await getNow(hre));
+
+  return details;
+};
+
+const getScheduleIds = async (payroll) => {
+  const count = (await payroll.vestingScheduleCount()).toNumber();
+  return [...Array(count).keys()];
+};
+
+// every schedule of the beneficiary, including pre-cliff, finished and cancelled ones, in ID order
+const getSchedulesForBeneficiary = async (hre, payroll, beneficiary, options = {}) => {
+  const ids = (await payroll.scheduleIdsForBeneficiary(beneficiary)).map((id) => id.toNumber()).sort((a, b) => a - b);
+  return getSchedules(hre, payroll, ids, options);
+};
+
+const getSchedules = async (hre, payroll, ids, {now, tokenMetadata = {}} = {}) => {
+  const time = now || await getNow(hre);
+
+  const schedules = [];
+  for (const id of ids) {
+    schedules.push(await getScheduleDetails(hre, payroll, id, {now: time, tokenMetadata}));
+  }
+  return schedules;
+};
+
+const formatDate = (timestamp) => {
+  return new Date(timestamp.toNumber() * 1000).toISOString().replace('T', ' ').replace('.000Z', ' UTC');
+};
+
+const formatScheduleDetails = (details, {utils}) => {
+  const formatAmount = (amount) => `${utils.formatUnits(amount, details.decimals)} ${details.symbol}`;
+
+  return [
+    `Schedule #${details.id.toString()}${details.cancelled ? ' (cancelled)' : ''}`,
+    `  Beneficiary: ${details.beneficiary}`,
+    `  Token:       ${details.symbol} (${details.token})`,
+    `  Start:       ${formatDate(details.start)}`,
+    `  Cliff:       ${formatDate(details.cliff)}`,
+    `  End:         ${formatDate(details.end)}`,
+    `  Amount:      ${formatAmount(details.amount)}`,
+    `  Vested:      ${formatAmount(details.vested)}`,
+    `  Drawn:       ${formatAmount(details.drawn)}`,
+    `  Available:   ${formatAmount(details.available)}`,
+    `  Status:      ${details.status}`,
+  ].join('\n');
+};
+
+const printSchedules = (hre, schedules) => {
+  if (schedules.length === 0) {
+    console.log('No schedules found');
+    return;
+  }
+
+  console.log(schedules.map((details) => formatScheduleDetails(details, hre.ethers)).join('\n\n'));
+};
+
+task('schedules:show', 'Prints a single vesting schedule')
+  .addParam('id', 'The schedule ID', undefined, types.int)
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .setAction(async ({id, payroll}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    printSchedules(hre, [await getScheduleDetails(hre, contract, id)]);
+  });
+
+task('schedules:beneficiary', 'Prints every vesting schedule belonging to a beneficiary')
+  .addParam('address', 'The beneficiary address')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .setAction(async ({address, payroll}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    printSchedules(hre, await getSchedulesForBeneficiary(hre, contract, address));
+  });
+
+task('schedules:list', 'Prints every vesting schedule')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .setAction(async ({payroll}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    printSchedules(hre, await getSchedules(hre, contract, await getScheduleIds(contract)));
+  });
+
+module.exports = {
+  ETH,
+  STATUS,
+  getPayroll,
+  getBatch,
+  getTokenMetadata,
+  scheduleStatus,
+  getScheduleDetails,
+  getScheduleIds,
+  getSchedules,
+  getSchedulesForBeneficiary,
+  formatDate,
+  formatScheduleDetails,
+};
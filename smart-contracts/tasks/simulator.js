@@ -0,0 +1,257 @@
+const {BigNumber} = require('ethers');
+
+// mirror the constants, defaults and VestingCurve enum in Payroll
+const PERIOD_ONE_DAY_IN_SECONDS = BigNumber.from(86400);
+const PERIOD_ONE_MONTH_IN_SECONDS = PERIOD_ONE_DAY_IN_SECONDS.mul(30);
+const ONE_REFERENCE_UNIT = BigNumber.from(10).pow(18);
+const DEFAULT_DXD_DURATION_IN_DAYS = 730;
+const DEFAULT_DXD_CLIFF_DURATION_IN_DAYS = 365;
+
+const VESTING_CURVE = {
+  LINEAR: 0,
+  MONTHLY_STEP: 1,
+  CLIFF_UNLOCK: 2,
+};
+
+// accepts ethers BigNumbers, BN.js instances, numbers and decimal strings
+const toBigNumber = (value) => BigNumber.from(value.toString());
+
+// mirrors Payroll._salaryAmount, multiplying everything out before dividing
+const salaryAmount = (monthlySalary, percentageWorked, durationInDays) => {
+  return toBigNumber(monthlySalary)
+    .mul(12)
+    .mul(toBigNumber(durationInDays))
+    .mul(toBigNumber(percentageWorked))
+    .div(365)
+    .div(100);
+};
+
+// mirrors Payroll._payrollAmount, `salaries` maps each experience level to its monthly salary
+const payrollAmount = (salaries, experienceLevel, percentageWorked, durationInDays) => {
+  const monthlySalary = toBigNumber(salaries[experienceLevel.toString()] || 0);
+  if (monthlySalary.isZero()) {
+    throw new Error('createPayroll: Invalid experience level');
+  }
+
+  return salaryAmount(monthlySalary, percentageWorked, durationInDays);
+};
+
+// mirrors Payroll._toTokenAmount, without a price the token is worth one reference unit as with PeggedPriceSource
+const toTokenAmount = (referenceAmount, {price = ONE_REFERENCE_UNIT, decimals = 18} = {}) => {
+  const tokenPrice = toBigNumber(price);
+  if (tokenPrice.isZero()) {
+    throw new Error('Payroll.toTokenAmount: No price for token');
+  }
+
+  return {
+    amount: toBigNumber(referenceAmount).mul(BigNumber.from(10).pow(decimals)).div(tokenPrice),
+    price: tokenPrice,
+  };
+};
+
+// mirrors the schedule Payroll._createVestingSchedule stores, along with its amount checks
+const createSchedule = ({
+  amount,
+  start,
+  durationInDays,
+  cliffDurationInDays,
+  curve = VESTING_CURVE.LINEAR,
+  cliffUnlockPercentage = 0,
+}) => {
+  const scheduleAmount = toBigNumber(amount);
+  const duration = toBigNumber(durationInDays);
+  const cliffDuration = toBigNumber(cliffDurationInDays);
+  const unlockPercentage = toBigNumber(cliffUnlockPercentage);
+
+  if (scheduleAmount.isZero()) {
+    throw new Error('Vesting.createVestingSchedule: Amount cannot be empty');
+  }
+
+  if (duration.isZero()) {
+    throw new Error('Vesting.createVestingSchedule: Duration cannot be empty');
+  }
+
+  if (cliffDuration.gt(duration)) {
+    throw new Error('Vesting.createVestingSchedule: Cliff can not be bigger than duration');
+  }
+
+  if (unlockPercentage.gt(100)) {
+    throw new Error('Vesting.createVestingSchedule: Cliff unlock percentage cannot exceed 100');
+  }
+
+  if (Number(curve) !== VESTING_CURVE.CLIFF_UNLOCK && !unlockPercentage.isZero()) {
+    throw new Error('Vesting.createVestingSchedule: Cliff unlock percentage only applies to the cliff unlock curve');
+  }
+
+  const durationInSecs = duration.mul(PERIOD_ONE_DAY_IN_SECONDS);
+  const scheduleStart = toBigNumber(start);
+
+  return {
+    start: scheduleStart,
+    end: scheduleStart.add(durationInSecs),
+    cliff: scheduleStart.add(cliffDuration.mul(PERIOD_ONE_DAY_IN_SECONDS)),
+    amount: scheduleAmount,
+    drawDownRate: scheduleAmount.div(durationInSecs),
+    curve: Number(curve),
+    cliffUnlockPercentage: unlockPercentage,
+  };
+};
+
+/**
+ * The schedule and token price `Payroll.createPayroll` (or `createPayrollWithCurve`) would store for a salary table of
+ * experience level -> monthly salary in the reference currency. `price` is the token's price source price, left out
+ * for a pegged token
+ */
+const createPayroll = ({
+  salaries,
+  experienceLevel,
+  percentageWorked,
+  start,
+  durationInDays,
+  cliffDurationInDays,
+  price,
+  decimals,
+  curve,
+  cliffUnlockPercentage,
+}) => {
+  const referenceAmount = payrollAmount(salaries, experienceLevel, percentageWorked, durationInDays);
+  const token = toTokenAmount(referenceAmount, {price, decimals});
+
+  return {
+    ...createSchedule({amount: token.amount, start, durationInDays, cliffDurationInDays, curve, cliffUnlockPercentage}),
+    price: token.price,
+  };
+};
+
+// the schedule `Payroll.createDxd` would store, for the contract's current DXD duration and cliff
+const createDxd = ({
+  amount,
+  start,
+  durationInDays = DEFAULT_DXD_DURATION_IN_DAYS,
+  cliffDurationInDays = DEFAULT_DXD_CLIFF_DURATION_IN_DAYS,
+  curve,
+  cliffUnlockPercentage,
+}) => {
+  return createSchedule({amount, start, durationInDays, cliffDurationInDays, curve, cliffUnlockPercentage});
+};
+
+// both schedules `Payroll.createPayrollAndDxd` would store
+const createPayrollAndDxd = ({
+  salaries,
+  experienceLevel,
+  percentageWorked,
+  start,
+  payrollDurationInDays,
+  payrollCliffDurationInDays,
+  dxdAmount,
+  price,
+  decimals,
+  dxdDurationInDays,
+  dxdCliffDurationInDays,
+}) => {
+  return {
+    payroll: createPayroll({
+      salaries,
+      experienceLevel,
+      percentageWorked,
+      start,
+      durationInDays: payrollDurationInDays,
+      cliffDurationInDays: payrollCliffDurationInDays,
+      price,
+      decimals,
+    }),
+    dxd: createDxd({
+      amount: dxdAmount,
+      start,
+      durationInDays: dxdDurationInDays,
+      cliffDurationInDays: dxdCliffDurationInDays,
+    }),
+  };
+};
+
+// mirrors Payroll._accruedAmountAt, an amended schedule also needs its `lastUpdatedAt` and `accruedAtLastUpdate`
+const accruedAmountAt = (schedule, time) => {
+  const now = toBigNumber(time);
+
+  if (now.lte(schedule.start)) {
+    return BigNumber.from(0);
+  }
+
+  if (now.gte(schedule.end)) {
+    return schedule.amount;
+  }
+
+  const lastUpdatedAt = toBigNumber(schedule.lastUpdatedAt || 0);
+  const from = lastUpdatedAt.isZero() ? schedule.start : lastUpdatedAt;
+  const accruedAtFrom = toBigNumber(schedule.accruedAtLastUpdate || 0);
+
+  return accruedAtFrom.add(
+    schedule.amount.sub(accruedAtFrom).mul(now.sub(from)).div(schedule.end.sub(from))
+  );
+};
+
+// mirrors Payroll._vestedAmountAt
+const vestedAmountAt = (schedule, time) => {
+  const now = toBigNumber(time);
+
+  if (now.lte(schedule.cliff)) {
+    return BigNumber.from(0);
+  }
+
+  if (now.gte(schedule.end)) {
+    return schedule.amount;
+  }
+
+  if (schedule.curve === VESTING_CURVE.MONTHLY_STEP) {
+    const totalSteps = schedule.end.sub(schedule.start).add(PERIOD_ONE_MONTH_IN_SECONDS.sub(1)).div(PERIOD_ONE_MONTH_IN_SECONDS);
+    const stepsPassed = now.sub(schedule.start).div(PERIOD_ONE_MONTH_IN_SECONDS);
+    return schedule.amount.mul(stepsPassed).div(totalSteps);
+  }
+
+  if (schedule.curve === VESTING_CURVE.CLIFF_UNLOCK) {
+    const unlockedAtCliff = schedule.amount.mul(schedule.cliffUnlockPercentage).div(100);
+    const vestedSinceCliff = schedule.amount.sub(unlockedAtCliff)
+      .mul(now.sub(schedule.cliff))
+      .div(schedule.end.sub(schedule.cliff));
+    return unlockedAtCliff.add(vestedSinceCliff);
+  }
+
+  return accruedAmountAt(schedule, now);
+};
+
+// mirrors Payroll._availableDrawDownAmount
+const availableDrawDownAmount = (schedule, time, drawn = 0) => {
+  return vestedAmountAt(schedule, time).sub(toBigNumber(drawn));
+};
+
+/**
+ * Draws down everything available at each of `times` in turn, as `Payroll.drawDown` would, and returns the amount paid
+ * out and the running total drawn at each time. Times with nothing available pay nothing rather than reverting
+ */
+const simulateDrawDowns = (schedule, times) => {
+  let drawn = BigNumber.from(0);
+
+  return times.map((time) => {
+    const amount = availableDrawDownAmount(schedule, time, drawn);
+    drawn = drawn.add(amount);
+    return {time: toBigNumber(time), amount, drawn};
+  });
+};
+
+module.exports = {
+  PERIOD_ONE_DAY_IN_SECONDS,
+  PERIOD_ONE_MONTH_IN_SECONDS,
+  ONE_REFERENCE_UNIT,
+  VESTING_CURVE,
+  salaryAmount,
+  payrollAmount,
+  toTokenAmount,
+  createSchedule,
+  createPayroll,
+  createDxd,
+  createPayrollAndDxd,
+  accruedAmountAt,
+  vestedAmountAt,
+  availableDrawDownAmount,
+  simulateDrawDowns,
+};
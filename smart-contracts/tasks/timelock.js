@@ -0,0 +1,76 @@
+const {task} = require('hardhat/config');
+
+const {getPayroll, formatDate} = require('./schedules');
+
+const getTimelock = async (hre, payroll) => {
+  return hre.ethers.getContractAt('PayrollTimelock', await payroll.timelock());
+};
+
+// the timelock only accepts calls to Payroll, itself and the salary tables Payroll uses
+const getTargetContract = async (hre, payroll, timelock, target) => {
+  if (target === timelock.address) {
+    return timelock;
+  }
+  if (target === payroll.address) {
+    return payroll;
+  }
+  return hre.ethers.getContractAt('SalaryTables', target);
+};
+
+/**
+ * Lists the actions waiting in the Payroll timelock with their calls decoded against the target's ABI. Actions stay
+ * listed once they have expired, until they are cancelled
+ */
+const getPendingActions = async (hre, payroll) => {
+  const timelock = await getTimelock(hre, payroll);
+
+  const gracePeriod = await timelock.GRACE_PERIOD();
+
+  const actions = [];
+  for (const id of await timelock.pendingActionIds()) {
+    const {_target, _data, _eta} = await timelock.action(id);
+    const call = (await getTargetContract(hre, payroll, timelock, _target)).interface.parseTransaction({data: _data});
+
+    actions.push({
+      id,
+      target: _target,
+      method: call.name,
+      args: call.functionFragment.inputs.map((input, i) => ({name: input.name, value: call.args[i].toString()})),
+      eta: _eta,
+      expires: _eta.add(gracePeriod),
+    });
+  }
+
+  return actions;
+};
+
+const formatPendingAction = (action) => {
+  const args = action.args.map(({name, value}) => `${name}=${value}`).join(', ');
+  return [
+    `Action ${action.id}`,
+    `  Call:    ${action.method}(${args})`,
+    `  Target:  ${action.target}`,
+    `  Execute: ${formatDate(action.eta)}`,
+    `  Expires: ${formatDate(action.expires)}`,
+  ].join('\n');
+};
+
+task('timelock:pending', 'Prints the admin actions waiting in the Payroll timelock')
+  .addOptionalParam('payroll', 'Payroll address, defaults to the one in deployments/<network>.json')
+  .setAction(async ({payroll}, hre) => {
+    const contract = await getPayroll(hre, payroll);
+    const actions = await getPendingActions(hre, contract);
+
+    if (actions.length === 0) {
+      console.log('No pending actions');
+      return;
+    }
+
+    console.log(actions.map(formatPendingAction).join('\n\n'));
+  });
+
+module.exports = {
+  getTimelock,
+  getPendingActions,
+  formatPendingAction,
+};
@@ -43,6 +43,24 @@ contract('AccessControls Contract tests', function ([deployer, roleRecipient, ..
       expect(await this.accessControls.hasAdminRole(roleRecipient)).to.be.false
     })
 
+    it('Lets an admin remove their own role while another admin remains', async () => {
+      await this.accessControls.addAdminRole(roleRecipient, {from: deployer})
+
+      await this.accessControls.removeAdminRole(deployer, {from: deployer})
+
+      expect(await this.accessControls.hasAdminRole(deployer)).to.be.false
+      expect(await this.accessControls.adminCount()).to.be.bignumber.equal('1')
+    })
+
+    it('Reverts when removing the last admin', async () => {
+      await expectRevert(
+        this.accessControls.removeAdminRole(deployer, {from: deployer}),
+        "AccessControls: cannot remove the last admin"
+      )
+
+      expect(await this.accessControls.hasAdminRole(deployer)).to.be.true
+    })
+
     it('Reverts when not admin', async () => {
       await expectRevert(
         this.accessControls.removeAdminRole(roleRecipient, {from: roleRecipient}),
@@ -51,6 +69,146 @@ contract('AccessControls Contract tests', function ([deployer, roleRecipient, ..
     })
   })
 
+  describe('revokeRole() and renounceRole()', () => {
+    it('Cannot be used to get rid of the last admin', async () => {
+      const adminRole = await this.accessControls.DEFAULT_ADMIN_ROLE()
+
+      await expectRevert(
+        this.accessControls.revokeRole(adminRole, deployer, {from: deployer}),
+        "AccessControls: cannot remove the last admin"
+      )
+
+      await expectRevert(
+        this.accessControls.renounceRole(adminRole, deployer, {from: deployer}),
+        "AccessControls: cannot remove the last admin"
+      )
+    })
+
+    it('Still work for other roles and while another admin remains', async () => {
+      const adminRole = await this.accessControls.DEFAULT_ADMIN_ROLE()
+      const whitelistRole = await this.accessControls.WHITELISTED_ROLE()
+
+      await this.accessControls.addWhitelistRole(roleRecipient, {from: deployer})
+      await this.accessControls.renounceRole(whitelistRole, roleRecipient, {from: roleRecipient})
+      expect(await this.accessControls.hasWhitelistRole(roleRecipient)).to.be.false
+
+      await this.accessControls.addAdminRole(roleRecipient, {from: deployer})
+      await this.accessControls.renounceRole(adminRole, deployer, {from: deployer})
+      expect(await this.accessControls.admins()).to.be.deep.equal([roleRecipient])
+    })
+  })
+
+  describe('Admin handover', () => {
+    const [newAdmin] = otherAccounts
+
+    it('Transfers the role once the new admin accepts', async () => {
+      const proposal = await this.accessControls.proposeAdminTransfer(newAdmin, {from: deployer})
+      await expectEvent(proposal.receipt, 'AdminTransferProposed', {
+        currentAdmin: deployer,
+        newAdmin
+      })
+
+      expect(await this.accessControls.pendingAdminTransfer(deployer)).to.be.equal(newAdmin)
+
+      // nothing changes until it is accepted
+      expect(await this.accessControls.hasAdminRole(newAdmin)).to.be.false
+      expect(await this.accessControls.hasAdminRole(deployer)).to.be.true
+
+      const { receipt } = await this.accessControls.acceptAdminTransfer(deployer, {from: newAdmin})
+      await expectEvent(receipt, 'AdminTransferred', {
+        previousAdmin: deployer,
+        newAdmin
+      })
+
+      expect(await this.accessControls.admins()).to.be.deep.equal([newAdmin])
+      expect(await this.accessControls.adminCount()).to.be.bignumber.equal('1')
+      expect(await this.accessControls.pendingAdminTransfer(deployer)).to.be.equal(ZERO_ADDRESS)
+    })
+
+    it('Lets the current admin change or cancel the proposal', async () => {
+      await this.accessControls.proposeAdminTransfer(roleRecipient, {from: deployer})
+      await this.accessControls.proposeAdminTransfer(newAdmin, {from: deployer})
+
+      await expectRevert(
+        this.accessControls.acceptAdminTransfer(deployer, {from: roleRecipient}),
+        "AccessControls: no admin transfer proposed to sender"
+      )
+
+      const { receipt } = await this.accessControls.cancelAdminTransfer({from: deployer})
+      await expectEvent(receipt, 'AdminTransferCancelled', {
+        currentAdmin: deployer
+      })
+
+      await expectRevert(
+        this.accessControls.acceptAdminTransfer(deployer, {from: newAdmin}),
+        "AccessControls: no admin transfer proposed to sender"
+      )
+    })
+
+    it('Reverts accepting once the proposer is no longer an admin', async () => {
+      await this.accessControls.addAdminRole(roleRecipient, {from: deployer})
+      await this.accessControls.proposeAdminTransfer(newAdmin, {from: roleRecipient})
+      await this.accessControls.removeAdminRole(roleRecipient, {from: deployer})
+
+      await expectRevert(
+        this.accessControls.acceptAdminTransfer(roleRecipient, {from: newAdmin}),
+        "AccessControls: proposer is no longer an admin"
+      )
+    })
+
+    it('Reverts when proposing to address zero or an existing admin', async () => {
+      await expectRevert(
+        this.accessControls.proposeAdminTransfer(ZERO_ADDRESS, {from: deployer}),
+        "AccessControls: new admin cannot be address zero"
+      )
+
+      await this.accessControls.addAdminRole(roleRecipient, {from: deployer})
+      await expectRevert(
+        this.accessControls.proposeAdminTransfer(roleRecipient, {from: deployer}),
+        "AccessControls: new admin is already an admin"
+      )
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.proposeAdminTransfer(newAdmin, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+
+    it('Reverts cancelling without a proposal', async () => {
+      await expectRevert(
+        this.accessControls.cancelAdminTransfer({from: deployer}),
+        "AccessControls: no admin transfer proposed"
+      )
+    })
+  })
+
+  describe('Enumeration', () => {
+    it('Lists the admins and whitelisted addresses', async () => {
+      expect(await this.accessControls.admins()).to.be.deep.equal([deployer])
+      expect(await this.accessControls.whitelistedAddresses()).to.be.deep.equal([])
+
+      await this.accessControls.addAdminRole(roleRecipient, {from: deployer})
+      await this.accessControls.addWhitelistRole(otherAccounts[0], {from: deployer})
+      await this.accessControls.addWhitelistRole(otherAccounts[1], {from: deployer})
+
+      expect(await this.accessControls.admins()).to.be.deep.equal([deployer, roleRecipient])
+      expect(await this.accessControls.adminCount()).to.be.bignumber.equal('2')
+      expect(await this.accessControls.whitelistedAddresses()).to.be.deep.equal([otherAccounts[0], otherAccounts[1]])
+
+      await this.accessControls.removeWhitelistRole(otherAccounts[0], {from: deployer})
+      expect(await this.accessControls.whitelistedAddresses()).to.be.deep.equal([otherAccounts[1]])
+    })
+
+    it('Lists the members of any role', async () => {
+      const treasurerRole = await this.accessControls.TREASURER_ROLE()
+      await this.accessControls.addTreasurerRole(roleRecipient, {from: deployer})
+
+      expect(await this.accessControls.getRoleMembers(treasurerRole)).to.be.deep.equal([roleRecipient])
+    })
+  })
+
   describe('addWhitelistRole()', () => {
     it('Grants whitelist role from an admin account', async () => {
       const { receipt } = await this.accessControls.addWhitelistRole(roleRecipient, {from: deployer})
@@ -91,4 +249,134 @@ contract('AccessControls Contract tests', function ([deployer, roleRecipient, ..
       )
     })
   })
+
+  describe('addPauserRole()', () => {
+    it('Grants pauser role from an admin account', async () => {
+      const { receipt } = await this.accessControls.addPauserRole(roleRecipient, {from: deployer})
+      await expectEvent(receipt, 'PauserRoleGranted', {
+        beneficiary: roleRecipient,
+        caller: deployer
+      })
+
+      expect(await this.accessControls.hasPauserRole(roleRecipient)).to.be.true
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.addPauserRole(roleRecipient, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+  })
+
+  describe('removePauserRole()', () => {
+    it('Revokes pauser role from a sender admin account', async () => {
+      await this.accessControls.addPauserRole(roleRecipient, {from: deployer})
+      expect(await this.accessControls.hasPauserRole(roleRecipient)).to.be.true
+
+      const { receipt } = await this.accessControls.removePauserRole(roleRecipient, {from: deployer})
+      await expectEvent(receipt, 'PauserRoleRemoved', {
+        beneficiary: roleRecipient,
+        caller: deployer
+      })
+
+      expect(await this.accessControls.hasPauserRole(roleRecipient)).to.be.false
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.removePauserRole(roleRecipient, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+  })
+
+  describe('addTreasurerRole()', () => {
+    it('Grants treasurer role from an admin account', async () => {
+      const { receipt } = await this.accessControls.addTreasurerRole(roleRecipient, {from: deployer})
+      await expectEvent(receipt, 'TreasurerRoleGranted', {
+        beneficiary: roleRecipient,
+        caller: deployer
+      })
+
+      expect(await this.accessControls.hasTreasurerRole(roleRecipient)).to.be.true
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.addTreasurerRole(roleRecipient, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+  })
+
+  describe('removeTreasurerRole()', () => {
+    it('Revokes treasurer role from a sender admin account', async () => {
+      await this.accessControls.addTreasurerRole(roleRecipient, {from: deployer})
+      expect(await this.accessControls.hasTreasurerRole(roleRecipient)).to.be.true
+
+      const { receipt } = await this.accessControls.removeTreasurerRole(roleRecipient, {from: deployer})
+      await expectEvent(receipt, 'TreasurerRoleRemoved', {
+        beneficiary: roleRecipient,
+        caller: deployer
+      })
+
+      expect(await this.accessControls.hasTreasurerRole(roleRecipient)).to.be.false
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.removeTreasurerRole(roleRecipient, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+  })
+
+  describe('addPayrollManagerRole()', () => {
+    it('Grants payroll manager role from an admin account', async () => {
+      const { receipt } = await this.accessControls.addPayrollManagerRole(roleRecipient, {from: deployer})
+      await expectEvent(receipt, 'PayrollManagerRoleGranted', {
+        beneficiary: roleRecipient,
+        caller: deployer
+      })
+
+      expect(await this.accessControls.hasPayrollManagerRole(roleRecipient)).to.be.true
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.addPayrollManagerRole(roleRecipient, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+  })
+
+  describe('removePayrollManagerRole()', () => {
+    it('Revokes payroll manager role from a sender admin account', async () => {
+      await this.accessControls.addPayrollManagerRole(roleRecipient, {from: deployer})
+      expect(await this.accessControls.hasPayrollManagerRole(roleRecipient)).to.be.true
+
+      const { receipt } = await this.accessControls.removePayrollManagerRole(roleRecipient, {from: deployer})
+      await expectEvent(receipt, 'PayrollManagerRoleRemoved', {
+        beneficiary: roleRecipient,
+        caller: deployer
+      })
+
+      expect(await this.accessControls.hasPayrollManagerRole(roleRecipient)).to.be.false
+    })
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.accessControls.removePayrollManagerRole(roleRecipient, {from: roleRecipient}),
+        "AccessControls: sender must be an admin"
+      )
+    })
+  })
+
+  it('Does not give the deployer admin any of the other roles', async () => {
+    expect(await this.accessControls.hasAdminRole(deployer)).to.be.true
+    expect(await this.accessControls.hasPauserRole(deployer)).to.be.false
+    expect(await this.accessControls.hasTreasurerRole(deployer)).to.be.false
+    expect(await this.accessControls.hasPayrollManagerRole(deployer)).to.be.false
+  })
 })
@@ -0,0 +1,273 @@
+const hre = require('hardhat');
+const {BN, ether, send, time} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const {getPayroll} = require('../tasks/schedules');
+const {AUDIT_EVENTS, getAuditTrail, formatAuditEntry} = require('../tasks/audit');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PayrollWithFixedTime = artifacts.require('PayrollWithFixedTime');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+const PayrollFreezes = artifacts.require('PayrollFreezes');
+const PayrollPositions = artifacts.require('PayrollPositions');
+const SalaryTables = artifacts.require('SalaryTables');
+
+contract('Audit tasks tests', function ([admin, dao, beneficiary, random]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(dao, {from: admin});
+    await this.accessControls.addPauserRole(admin, {from: admin});
+    await this.accessControls.addTreasurerRole(admin, {from: admin});
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+
+    this.payrollWithFixedTime = await PayrollWithFixedTime.new(
+      [this.mockDxdToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.payrollWithFixedTime.address, to18dp('10000'));
+    await send.ether(admin, this.payrollWithFixedTime.address, ether('1'));
+
+    this.payroll = await getPayroll(hre, this.payrollWithFixedTime.address);
+    this.timelock = await PayrollTimelock.at(await this.payrollWithFixedTime.timelock());
+
+    // leaves out the role grants made while setting up
+    this.fromBlock = (await web3.eth.getBlockNumber()) + 1;
+  });
+
+  const executeViaTimelock = async (method, args) => {
+    const data = this.payrollWithFixedTime.contract.methods[method](...args).encodeABI();
+    const {logs} = await this.timelock.queue(this.payrollWithFixedTime.address, data, {from: admin});
+    await time.increase(await this.timelock.delay());
+    return this.timelock.execute(logs[0].args._actionId, {from: admin});
+  };
+
+  const payrollEvents = (trail) => trail.filter(entry => entry.address === this.payrollWithFixedTime.address);
+
+  it('Builds an ordered trail of admin changes', async () => {
+    await executeViaTimelock('whitelistToken', [this.mockToken.address]);
+    await executeViaTimelock('updateWorkerExperienceLevelSalary', ['1', to18dp('4500')]);
+    await executeViaTimelock('setDurationAndCliffInDays', ['365', '0']);
+    await executeViaTimelock('withdraw', [this.mockDxdToken.address, random, to18dp('100')]);
+    await executeViaTimelock('withdrawEther', [random, ether('0.5')]);
+    await executeViaTimelock('removeTokenFromWhitelist', [this.mockToken.address]);
+    await this.payrollWithFixedTime.pause({from: admin});
+
+    const trail = payrollEvents(await getAuditTrail(hre, this.payroll));
+
+    expect(trail.map(entry => entry.event)).to.be.deep.equal([
+      'TokenWhitelisted',
+      'WorkerExperienceLevelSalaryUpdated',
+      'DurationAndCliffUpdated',
+      'Withdrawn',
+      'EtherWithdrawn',
+      'TokenRemovedFromWhitelist',
+      'Paused',
+    ]);
+
+    expect(trail[1].args).to.be.deep.equal({
+      _level: '1',
+      _oldSalary: to18dp('4000').toString(),
+      _newSalary: to18dp('4500').toString(),
+    });
+
+    expect(trail[3].args).to.be.deep.equal({
+      _token: this.mockDxdToken.address,
+      _to: random,
+      _amount: to18dp('100').toString(),
+    });
+
+    trail.forEach((entry, i) => {
+      expect(entry.sender).to.be.equal(admin);
+      expect(entry.queuedBy).to.be.equal(entry.event === 'Paused' ? undefined : admin);
+      expect(entry.timestamp).to.be.a('number');
+      expect(entry.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+      if (i > 0) {
+        expect(entry.blockNumber).to.be.gt(trail[i - 1].blockNumber);
+      }
+    });
+  });
+
+  it('Gives changes made through the timelock the admin who queued them', async () => {
+    await this.accessControls.addTreasurerRole(random, {from: admin});
+
+    const data = this.payrollWithFixedTime.contract.methods.withdraw(this.mockDxdToken.address, random, to18dp('100')).encodeABI();
+    const {logs} = await this.timelock.queue(this.payrollWithFixedTime.address, data, {from: random});
+    await time.increase(await this.timelock.delay());
+    await this.timelock.execute(logs[0].args._actionId, {from: admin});
+
+    const [withdrawn] = payrollEvents(await getAuditTrail(hre, this.payroll, {fromBlock: this.fromBlock}));
+    expect(withdrawn.event).to.be.equal('Withdrawn');
+    expect(withdrawn.sender).to.be.equal(admin);
+    expect(withdrawn.queuedBy).to.be.equal(random);
+    expect(formatAuditEntry(withdrawn, hre.ethers)).to.match(new RegExp(`queued by ${random}$`));
+  });
+
+  it('Includes queued, executed and cancelled timelock actions', async () => {
+    const data = this.payrollWithFixedTime.contract.methods.whitelistToken(this.mockToken.address).encodeABI();
+    const {logs} = await this.timelock.queue(this.payrollWithFixedTime.address, data, {from: admin});
+    await this.timelock.cancel(logs[0].args._actionId, {from: admin});
+    await executeViaTimelock('whitelistToken', [this.mockToken.address]);
+
+    const trail = await getAuditTrail(hre, this.payroll, {fromBlock: this.fromBlock});
+    expect(trail.map(entry => entry.event)).to.be.deep.equal([
+      'ActionQueued',
+      'ActionCancelled',
+      'ActionQueued',
+      'TokenWhitelisted',
+      'ActionExecuted',
+    ]);
+
+    expect(trail[0].address).to.be.equal(this.timelock.address);
+    expect(trail[0].args._actionId).to.be.equal(logs[0].args._actionId);
+    expect(trail[0].args._data).to.be.equal(data);
+    expect(trail[3].address).to.be.equal(this.payrollWithFixedTime.address);
+  });
+
+  it('Includes freezes with their reason', async () => {
+    const freezes = await PayrollFreezes.at(await this.payrollWithFixedTime.freezes());
+    const reason = hre.ethers.utils.formatBytes32String('DISPUTE');
+    await freezes.freezeBeneficiary(beneficiary, reason, {from: admin});
+    await freezes.unfreezeBeneficiary(beneficiary, {from: admin});
+
+    const trail = await getAuditTrail(hre, this.payroll, {fromBlock: this.fromBlock});
+    expect(trail.map(entry => entry.event)).to.be.deep.equal(['BeneficiaryFrozen', 'BeneficiaryUnfrozen']);
+    expect(trail[0].address).to.be.equal(freezes.address);
+    expect(trail[0].args).to.be.deep.equal({_admin: admin, _beneficiary: beneficiary, _reason: reason});
+  });
+
+  it('Includes enabling positions and their transferability', async () => {
+    const positions = await PayrollPositions.new(this.payrollWithFixedTime.address, {from: admin});
+    await executeViaTimelock('enablePositions', [positions.address]);
+    await positions.setTokenTransferable(this.mockDxdToken.address, true, {from: admin});
+
+    const trail = await getAuditTrail(hre, this.payroll, {fromBlock: this.fromBlock});
+    expect(trail.map(entry => entry.event)).to.be.deep.equal([
+      'ActionQueued',
+      'PositionsEnabled',
+      'ActionExecuted',
+      'TokenTransferabilityUpdated',
+    ]);
+    expect(trail[3].address).to.be.equal(positions.address);
+    expect(trail[3].args).to.be.deep.equal({_admin: admin, _token: this.mockDxdToken.address, _transferable: true});
+  });
+
+  it('Includes role changes and admin handovers', async () => {
+    await this.accessControls.addTreasurerRole(random, {from: admin});
+    await this.accessControls.removeTreasurerRole(random, {from: admin});
+
+    // granted directly rather than through addPauserRole
+    await this.accessControls.grantRole(await this.accessControls.PAUSER_ROLE(), random, {from: admin});
+
+    await this.accessControls.proposeAdminTransfer(random, {from: admin});
+    await this.accessControls.acceptAdminTransfer(admin, {from: random});
+
+    const trail = await getAuditTrail(hre, this.payroll, {fromBlock: this.fromBlock});
+    expect(trail.map(entry => entry.event)).to.be.deep.equal([
+      'RoleGranted',
+      'RoleRevoked',
+      'RoleGranted',
+      'AdminTransferProposed',
+      'RoleGranted',
+      'RoleRevoked',
+      'AdminTransferred',
+    ]);
+
+    expect(trail[0].address).to.be.equal(this.accessControls.address);
+    expect(trail[0].args).to.be.deep.equal({role: 'TREASURER_ROLE', account: random, sender: admin});
+    expect(trail[2].args).to.be.deep.equal({role: 'PAUSER_ROLE', account: random, sender: admin});
+    expect(trail[5].args).to.be.deep.equal({role: 'DEFAULT_ADMIN_ROLE', account: admin, sender: random});
+    expect(trail[6].args).to.be.deep.equal({previousAdmin: admin, newAdmin: random});
+    expect(trail[6].sender).to.be.equal(random);
+  });
+
+  it('Includes salary changes in every salary tables contract Payroll has used', async () => {
+    const band = hre.ethers.utils.formatBytes32String('core contributor');
+    const salaryTables = await SalaryTables.new(this.payrollWithFixedTime.address, {from: admin});
+    await salaryTables.setSalaries(band, this.mockToken.address, ['1'], [to18dp('4000')], {from: admin});
+    await this.payrollWithFixedTime.setSalaryTables(salaryTables.address, {from: admin});
+
+    const newSalaryTables = await SalaryTables.new(this.payrollWithFixedTime.address, {from: admin});
+    await newSalaryTables.setSalaries(band, this.mockToken.address, ['1', '2'], [to18dp('4500'), to18dp('5000')], {from: admin});
+    await executeViaTimelock('setSalaryTables', [newSalaryTables.address]);
+
+    const trail = await getAuditTrail(hre, this.payroll, {
+      fromBlock: this.fromBlock,
+      events: ['SalarySet', 'SalaryRemoved', 'SalaryTablesUpdated'],
+    });
+    expect(trail.map(entry => [entry.event, entry.address])).to.be.deep.equal([
+      ['SalarySet', salaryTables.address],
+      ['SalaryTablesUpdated', this.payrollWithFixedTime.address],
+      ['SalarySet', newSalaryTables.address],
+      ['SalarySet', newSalaryTables.address],
+      ['SalaryTablesUpdated', this.payrollWithFixedTime.address],
+    ]);
+
+    expect(trail[0].args).to.be.deep.equal({
+      _band: band,
+      _token: this.mockToken.address,
+      _level: '1',
+      _salary: to18dp('4000').toString(),
+    });
+  });
+
+  it('Leaves out schedule creation and draw downs', async () => {
+    await this.payrollWithFixedTime.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+    const afterCliff = new BN('86400').muln(400);
+    await this.payrollWithFixedTime.setNow(afterCliff);
+    await this.payrollWithFixedTime.drawDown('0', {from: beneficiary});
+    await this.payrollWithFixedTime.cancelSchedule('0', afterCliff, {from: admin});
+
+    const trail = await getAuditTrail(hre, this.payroll, {fromBlock: this.fromBlock});
+    expect(trail.map(entry => entry.event)).to.be.deep.equal(['ScheduleCancelled']);
+  });
+
+  it('Reads a block range and a custom set of events', async () => {
+    await executeViaTimelock('whitelistToken', [this.mockToken.address]);
+    const {receipt} = await this.payrollWithFixedTime.pause({from: admin});
+    await this.payrollWithFixedTime.unpause({from: admin});
+
+    const fromPause = await getAuditTrail(hre, this.payroll, {fromBlock: receipt.blockNumber});
+    expect(fromPause.map(entry => entry.event)).to.be.deep.equal(['Paused', 'Unpaused']);
+
+    const pausesOnly = await getAuditTrail(hre, this.payroll, {toBlock: receipt.blockNumber, events: ['Paused']});
+    expect(pausesOnly.map(entry => entry.event)).to.be.deep.equal(['Paused']);
+  });
+
+  it('Covers every admin configuration event in the Payroll, PayrollTimelock, PayrollFreezes, PayrollPositions, AccessControls and SalaryTables ABIs', async () => {
+    const events = [
+      ...PayrollWithFixedTime.abi,
+      ...PayrollTimelock.abi,
+      ...PayrollFreezes.abi,
+      ...PayrollPositions.abi,
+      ...AccessControls.abi,
+      ...SalaryTables.abi,
+    ].filter(item => item.type === 'event').map(item => item.name);
+    AUDIT_EVENTS.forEach(event => expect(events).to.include(event));
+  });
+
+  it('Formats an entry on a single line', async () => {
+    const line = formatAuditEntry({
+      blockNumber: 12,
+      logIndex: 0,
+      timestamp: 86400,
+      event: 'TokenWhitelisted',
+      args: {_token: random},
+    }, hre.ethers);
+
+    expect(line).to.be.equal(`1970-01-02 00:00:00 UTC  #12  TokenWhitelisted  _token=${random}`);
+  });
+});
@@ -0,0 +1,316 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const hre = require('hardhat');
+const {BN} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const {getPayroll, getBatch, getScheduleIds, getSchedules} = require('../tasks/schedules');
+const {
+  parsePayrollCsv,
+  validatePayrollRows,
+  getFundingShortfalls,
+  encodePayrollRows,
+  formatSchedulesCsv,
+} = require('../tasks/csv');
+const {TRANSACTION_GAS_CAP} = require('../tasks/gas');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const Payroll = artifacts.require('Payroll');
+
+contract('CSV tasks tests', function ([admin, dao, beneficiary, beneficiary2, random]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  const csv = (...lines) => `${lines.join('\n')}\n`;
+
+  const HEADER = 'Address,Level,% Worked,Start,DXD Amount';
+
+  // runs a task with what it prints captured, so the test output only shows results
+  const runTask = async (name, args) => {
+    const output = [];
+    const {log} = console;
+    console.log = (...parts) => output.push(parts.join(' '));
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+    return output.join('\n');
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(dao, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+    this.unlistedToken = await MockERC20.new();
+
+    this.trufflePayroll = await Payroll.new(
+      [this.mockDxdToken.address, this.mockToken.address],
+      this.accessControls.address,
+      ['1', '2'],
+      [to18dp('4000'), to18dp('5000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.trufflePayroll.address, to18dp('10000'));
+    await this.mockToken.transfer(this.trufflePayroll.address, to18dp('100000'));
+
+    // salaries are paid 1:1 in the other token
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    await this.trufflePayroll.setPriceSource(this.mockToken.address, (await PeggedPriceSource.new()).address, {from: admin});
+
+    this.payroll = await getPayroll(hre, this.trufflePayroll.address);
+
+    this.options = {token: this.mockToken.address, durationInDays: 30, cliffDurationInDays: 0};
+
+    this.tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-csv-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(this.tmpDir, {recursive: true, force: true});
+  });
+
+  describe('Import', () => {
+    it('Reads the spreadsheet columns whatever their case and order', async () => {
+      const rows = parsePayrollCsv(csv(
+        'start,DXD,level,Beneficiary,percentage worked,notes',
+        `1640995200,"1500",1,${beneficiary},100,"first, of many"`,
+        '',
+        `2022-02-01,0.5,2,${beneficiary2},50%,`
+      ));
+
+      expect(rows).to.be.deep.equal([
+        {line: 2, start: '1640995200', dxdAmount: '1500', level: '1', address: beneficiary, percentageWorked: '100'},
+        {line: 4, start: '2022-02-01', dxdAmount: '0.5', level: '2', address: beneficiary2, percentageWorked: '50%'},
+      ]);
+    });
+
+    it('Rejects a CSV with missing columns', async () => {
+      expect(() => parsePayrollCsv(csv('Address,Level,Start', `${beneficiary},1,0`))).to.throw('CSV: missing columns percentageWorked, dxdAmount');
+      expect(() => parsePayrollCsv('')).to.throw('CSV: no header row');
+    });
+
+    it('Converts valid rows into schedule arguments', async () => {
+      const rows = await validatePayrollRows(hre, this.payroll, parsePayrollCsv(csv(
+        HEADER,
+        `${beneficiary.toLowerCase()},1,100,1640995200,1500`,
+        `${beneficiary2},2,50%,2022-02-01,0.5`
+      )), this.options);
+
+      expect(rows.length).to.be.equal(2);
+      expect(rows[0].beneficiary).to.be.equal(beneficiary);
+      expect(rows[0].experienceLevel.toString()).to.be.equal('1');
+      expect(rows[0].percentageWorked.toString()).to.be.equal('100');
+      expect(rows[0].start.toString()).to.be.equal('1640995200');
+      expect(rows[0].dxdAmount.toString()).to.be.equal(to18dp('1500').toString());
+
+      expect(rows[1].percentageWorked.toString()).to.be.equal('50');
+      expect(rows[1].start.toString()).to.be.equal('1643673600');
+      expect(rows[1].dxdAmount.toString()).to.be.equal(to18dp('1').divn(2).toString());
+    });
+
+    it('Reports every invalid row against the on-chain salaries', async () => {
+      const rows = parsePayrollCsv(csv(
+        HEADER,
+        `${beneficiary},1,100,1640995200,1500`,
+        `0x123,9,0,someday,0`,
+        `${beneficiary2},2,101,1640995200,lots`
+      ));
+
+      let error;
+      try {
+        await validatePayrollRows(hre, this.payroll, rows, this.options);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.be.equal([
+        'CSV validation failed:',
+        '  line 3: invalid address "0x123"',
+        '  line 3: experience level 9 has no salary',
+        '  line 3: % worked must be a whole number from 1 to 100, got "0"',
+        '  line 3: invalid start "someday"',
+        '  line 3: DXD amount cannot be zero',
+        '  line 4: % worked must be a whole number from 1 to 100, got "101"',
+        '  line 4: invalid DXD amount "lots"',
+      ].join('\n'));
+    });
+
+    it('Rejects a token that is not whitelisted', async () => {
+      const rows = parsePayrollCsv(csv(HEADER, `${beneficiary},1,100,1640995200,1500`));
+
+      let error;
+      try {
+        await validatePayrollRows(hre, this.payroll, rows, {...this.options, token: this.unlistedToken.address});
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.message).to.contain(`token ${this.unlistedToken.address} is not whitelisted`);
+    });
+
+    it('Encodes the rows as batches that create the schedules', async () => {
+      const rows = await validatePayrollRows(hre, this.payroll, parsePayrollCsv(csv(
+        HEADER,
+        `${beneficiary},1,100,1640995200,1500`,
+        `${beneficiary2},2,50,1640995200,200`,
+        `${random},1,25,1643673600,10`
+      )), this.options);
+
+      const batch = await getBatch(hre, this.payroll);
+      const calls = encodePayrollRows(batch, rows, {...this.options, batchSize: 2});
+      expect(calls.length).to.be.equal(2);
+
+      const call = batch.interface.parseTransaction({data: calls[0].data});
+      expect(calls[0].to).to.be.equal(batch.address);
+      expect(call.name).to.be.equal('createPayrollAndDxdBatch');
+      expect(call.args._beneficiaries).to.be.deep.equal([beneficiary, beneficiary2]);
+
+      for (const {to, data} of calls) {
+        await web3.eth.sendTransaction({from: dao, to, data});
+      }
+
+      expect(await this.trufflePayroll.vestingScheduleCount()).to.be.bignumber.equal('6');
+
+      const payrollSchedule = await this.trufflePayroll.vestingSchedule('2');
+      const preview = await this.trufflePayroll.previewPayroll(this.mockToken.address, '2', '50', '30');
+      expect(payrollSchedule._beneficiary).to.be.equal(beneficiary2);
+      expect(payrollSchedule._amount).to.be.bignumber.equal(preview._amount);
+
+      const dxdSchedule = await this.trufflePayroll.vestingSchedule('5');
+      expect(dxdSchedule._beneficiary).to.be.equal(random);
+      expect(dxdSchedule._token).to.be.equal(this.mockDxdToken.address);
+      expect(dxdSchedule._amount).to.be.bignumber.equal(to18dp('10'));
+    });
+
+    it('Rejects a batch size below 1', async () => {
+      const rows = await validatePayrollRows(hre, this.payroll, parsePayrollCsv(csv(
+        HEADER,
+        `${beneficiary},1,100,1640995200,1500`
+      )), this.options);
+
+      const batch = await getBatch(hre, this.payroll);
+      expect(() => encodePayrollRows(batch, rows, {...this.options, batchSize: 0})).to.throw('CSV: batch size must be at least 1, got 0');
+      expect(() => encodePayrollRows(batch, rows, {...this.options, batchSize: -1})).to.throw('CSV: batch size must be at least 1, got -1');
+    });
+
+    it('Keeps batches of the default size under the transaction gas cap', async () => {
+      const rows = await validatePayrollRows(hre, this.payroll, parsePayrollCsv(csv(
+        HEADER,
+        ...[...Array(11)].map(() => `${web3.eth.accounts.create().address},1,100,1640995200,10`)
+      )), this.options);
+
+      const batch = await getBatch(hre, this.payroll);
+      const calls = encodePayrollRows(batch, rows, this.options);
+      expect(calls.map(({data}) => batch.interface.parseTransaction({data}).args._beneficiaries.length)).to.be.deep.equal([10, 1]);
+
+      const {gasUsed} = await web3.eth.sendTransaction({from: dao, ...calls[0], gas: TRANSACTION_GAS_CAP});
+      expect(gasUsed).to.be.lt(TRANSACTION_GAS_CAP);
+      expect(await this.trufflePayroll.vestingScheduleCount()).to.be.bignumber.equal('20');
+    });
+
+    it('Reports what the rows need beyond the free balance', async () => {
+      const rows = await validatePayrollRows(hre, this.payroll, parsePayrollCsv(csv(
+        HEADER,
+        `${beneficiary},1,100,1640995200,9000`,
+        `${beneficiary2},2,100,1640995200,2000`
+      )), this.options);
+
+      const shortfalls = await getFundingShortfalls(hre, this.payroll, rows, this.options);
+      expect(shortfalls).to.be.deep.equal([
+        `${this.mockDxdToken.address}: ${to18dp('11000').toString()} needed, ${to18dp('10000').toString()} free`,
+      ]);
+
+      expect(await getFundingShortfalls(hre, this.payroll, rows.slice(1), this.options)).to.be.deep.equal([]);
+    });
+
+    it('Submits the rows from the csv:import task', async () => {
+      // the task sends from the first account
+      await this.accessControls.addWhitelistRole(admin, {from: admin});
+
+      const file = path.join(this.tmpDir, 'payroll.csv');
+      fs.writeFileSync(file, csv(HEADER, `${beneficiary},1,100,1640995200,1500`));
+
+      const output = await runTask('csv:import', {
+        file,
+        token: this.mockToken.address,
+        duration: 30,
+        payroll: this.trufflePayroll.address,
+      });
+      expect(output).to.match(/^1 rows valid\nSubmitted 0x[0-9a-f]{64}$/);
+
+      expect(await this.trufflePayroll.vestingScheduleCount()).to.be.bignumber.equal('2');
+
+      const dxdSchedule = await this.trufflePayroll.vestingSchedule('1');
+      expect(dxdSchedule._beneficiary).to.be.equal(beneficiary);
+      expect(dxdSchedule._start).to.be.bignumber.equal('1640995200');
+      expect(dxdSchedule._amount).to.be.bignumber.equal(to18dp('1500'));
+    });
+  });
+
+  describe('Export', () => {
+    beforeEach(async () => {
+      await this.trufflePayroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+      await this.trufflePayroll.createDxd(beneficiary2, '0', to18dp('730'), {from: dao});
+      await this.trufflePayroll.drawDown('0');
+    });
+
+    it('Writes a row per schedule in token units', async () => {
+      const schedules = await getSchedules(hre, this.payroll, await getScheduleIds(this.payroll));
+      const lines = formatSchedulesCsv(schedules, hre.ethers).trim().split('\n');
+
+      expect(lines.length).to.be.equal(3);
+      expect(lines[0]).to.be.equal('id,beneficiary,token,symbol,start,cliff,end,amount,vested,drawn,available,status,cancelled');
+
+      const payrollAmount = (await this.trufflePayroll.vestingSchedule('0'))._amount;
+      expect(lines[1]).to.be.equal([
+        '0',
+        beneficiary,
+        this.mockToken.address,
+        'MCK',
+        '1970-01-01 00:00:00 UTC',
+        '1970-01-01 00:00:00 UTC',
+        '1970-01-31 00:00:00 UTC',
+        hre.ethers.utils.formatUnits(payrollAmount.toString(), 18),
+        hre.ethers.utils.formatUnits(payrollAmount.toString(), 18),
+        hre.ethers.utils.formatUnits(payrollAmount.toString(), 18),
+        '0.0',
+        'fully drawn',
+        'false',
+      ].join(','));
+
+      expect(lines[2]).to.be.equal([
+        '1',
+        beneficiary2,
+        this.mockDxdToken.address,
+        'MCK',
+        '1970-01-01 00:00:00 UTC',
+        '1971-01-01 00:00:00 UTC',
+        '1972-01-01 00:00:00 UTC',
+        '730.0',
+        '730.0',
+        '0.0',
+        '730.0',
+        'ended',
+        'false',
+      ].join(','));
+    });
+
+    it('Writes the CSV to a file from the csv:export task', async () => {
+      const out = path.join(this.tmpDir, 'schedules.csv');
+      expect(await runTask('csv:export', {out, payroll: this.trufflePayroll.address})).to.be.equal(`Schedules written to ${out}`);
+
+      const written = fs.readFileSync(out, 'utf8');
+      const schedules = await getSchedules(hre, this.payroll, await getScheduleIds(this.payroll));
+      expect(written).to.be.equal(formatSchedulesCsv(schedules, hre.ethers));
+    });
+  });
+});
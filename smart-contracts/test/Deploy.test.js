@@ -0,0 +1,221 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const hre = require('hardhat');
+const {BN, constants, time} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const {deployPayroll} = require('../tasks/deploy');
+const {readDeployment} = require('../tasks/deployments');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const MockPriceSource = artifacts.require('MockPriceSource');
+const Payroll = artifacts.require('Payroll');
+const SalaryTables = artifacts.require('SalaryTables');
+const PayrollLens = artifacts.require('PayrollLens');
+const PayrollPositions = artifacts.require('PayrollPositions');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+
+contract('Deploy task tests', function ([deployer, dao, admin2, random]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  beforeEach(async () => {
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+
+    this.deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-deployments-'));
+
+    this.config = {
+      tokens: [this.mockDxdToken.address, this.mockToken.address],
+      salaries: {
+        '1': to18dp('4000').toString(),
+        '5': to18dp('8000').toString(),
+      },
+      dao,
+      admins: [admin2],
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(this.deploymentsDir, {recursive: true, force: true});
+  });
+
+  it('Deploys and wires AccessControls and Payroll', async () => {
+    const deployment = await deployPayroll(hre, this.config, {deploymentsDir: this.deploymentsDir});
+
+    const accessControls = await AccessControls.at(deployment.AccessControls);
+    const payroll = await Payroll.at(deployment.Payroll);
+
+    expect(await payroll.accessControls()).to.be.equal(accessControls.address);
+    expect(await payroll.timelock()).to.be.equal(deployment.PayrollTimelock);
+    expect(await payroll.freezes()).to.be.equal(deployment.PayrollFreezes);
+    expect(await payroll.batch()).to.be.equal(deployment.PayrollBatch);
+    expect(await payroll.votes()).to.be.equal(deployment.PayrollVotes);
+    expect(await (await PayrollLens.at(deployment.PayrollLens)).payroll()).to.be.equal(payroll.address);
+    expect(await payroll.dxdToken()).to.be.equal(this.mockDxdToken.address);
+    expect(await payroll.whitelistedTokens(this.mockToken.address)).to.be.true;
+
+    expect(await payroll.workerExperienceLevelToSalary('1')).to.be.bignumber.equal(to18dp('4000'));
+    expect(await payroll.workerExperienceLevelToSalary('5')).to.be.bignumber.equal(to18dp('8000'));
+
+    expect(await accessControls.hasWhitelistRole(dao)).to.be.true;
+    expect(await accessControls.hasAdminRole(admin2)).to.be.true;
+    expect(await accessControls.hasAdminRole(deployer)).to.be.true;
+    expect(await accessControls.hasAdminRole(random)).to.be.false;
+  });
+
+  it('Deploys SalaryTables and fills in the configured bands', async () => {
+    const deployment = await deployPayroll(
+      hre,
+      {
+        ...this.config,
+        salaryTables: {
+          'core contributor': {
+            [this.mockToken.address]: {'1': to18dp('10000').toString(), '2': to18dp('12000').toString()},
+          },
+        },
+      },
+      {deploymentsDir: this.deploymentsDir}
+    );
+
+    const payroll = await Payroll.at(deployment.Payroll);
+    const salaryTables = await SalaryTables.at(deployment.SalaryTables);
+    expect(await payroll.salaryTables()).to.be.equal(salaryTables.address);
+    expect(await salaryTables.accessControls()).to.be.equal(deployment.AccessControls);
+
+    const band = hre.ethers.utils.formatBytes32String('core contributor');
+    expect(await salaryTables.bands()).to.be.deep.equal([band]);
+    expect(await salaryTables.salary(band, this.mockToken.address, '2')).to.be.bignumber.equal(to18dp('12000'));
+  });
+
+  it('Sets the configured price sources, deploying PeggedPriceSource for pegged tokens', async () => {
+    const priceSource = await MockPriceSource.new();
+    const deployment = await deployPayroll(
+      hre,
+      {...this.config, priceSources: {[this.mockDxdToken.address]: priceSource.address, [this.mockToken.address]: 'pegged'}},
+      {deploymentsDir: this.deploymentsDir}
+    );
+
+    const payroll = await Payroll.at(deployment.Payroll);
+    expect(await payroll.priceSources(this.mockDxdToken.address)).to.be.equal(priceSource.address);
+    expect(await payroll.priceSources(this.mockToken.address)).to.be.equal(deployment.PeggedPriceSource);
+
+    const preview = await payroll.previewPayroll(this.mockToken.address, '1', '100', '365');
+    expect(preview._price).to.be.bignumber.equal(to18dp('1'));
+  });
+
+  it('Grants the configured pausers, treasurers and payroll managers their roles', async () => {
+    const deployment = await deployPayroll(
+      hre,
+      {...this.config, pausers: [admin2, random], treasurers: [dao], payrollManagers: [random]},
+      {deploymentsDir: this.deploymentsDir}
+    );
+
+    const accessControls = await AccessControls.at(deployment.AccessControls);
+    expect(await accessControls.hasPauserRole(admin2)).to.be.true;
+    expect(await accessControls.hasPauserRole(random)).to.be.true;
+    expect(await accessControls.hasTreasurerRole(dao)).to.be.true;
+    expect(await accessControls.hasPayrollManagerRole(random)).to.be.true;
+
+    // the deployer only keeps the admin role
+    expect(await accessControls.hasPauserRole(deployer)).to.be.false;
+    expect(await accessControls.hasTreasurerRole(deployer)).to.be.false;
+    expect(await accessControls.hasPayrollManagerRole(deployer)).to.be.false;
+  });
+
+  it('Deploys positions and queues enabling them when configured', async () => {
+    const deployment = await deployPayroll(hre, {...this.config, positions: true}, {deploymentsDir: this.deploymentsDir});
+
+    const payroll = await Payroll.at(deployment.Payroll);
+    expect(await (await PayrollPositions.at(deployment.PayrollPositions)).payroll()).to.be.equal(payroll.address);
+
+    // positions are only enabled once an admin executes the queued action after the delay
+    const timelock = await PayrollTimelock.at(deployment.PayrollTimelock);
+    expect(await timelock.pendingActionIds()).to.be.deep.equal([deployment.enablePositionsActionId]);
+    expect(await payroll.positions()).to.be.equal(constants.ZERO_ADDRESS);
+
+    await time.increase(await timelock.delay());
+    await timelock.execute(deployment.enablePositionsActionId, {from: deployer});
+    expect(await payroll.positions()).to.be.equal(deployment.PayrollPositions);
+
+    const withoutPositions = await deployPayroll(hre, this.config, {deploymentsDir: this.deploymentsDir});
+    expect(withoutPositions.PayrollPositions).to.be.undefined;
+  });
+
+  it('Writes the deployed addresses to a per network file', async () => {
+    const deployment = await deployPayroll(hre, this.config, {deploymentsDir: this.deploymentsDir});
+
+    const written = readDeployment('hardhat', this.deploymentsDir);
+    expect(written).to.be.deep.equal(deployment);
+    expect(written.network).to.be.equal('hardhat');
+    expect(written.deployer).to.be.equal(deployer);
+    expect(written.dao).to.be.equal(dao);
+  });
+
+  it('Can hand admin over to the configured admins', async () => {
+    const deployment = await deployPayroll(
+      hre,
+      {...this.config, removeDeployerAdmin: true},
+      {deploymentsDir: this.deploymentsDir}
+    );
+
+    const accessControls = await AccessControls.at(deployment.AccessControls);
+    expect(await accessControls.hasAdminRole(deployer)).to.be.false;
+    expect(await accessControls.hasAdminRole(admin2)).to.be.true;
+  });
+
+  it('Rejects a config without tokens', async () => {
+    await expectDeployError({...this.config, tokens: []}, 'at least 1 token must be supplied');
+  });
+
+  it('Rejects a config without salaries', async () => {
+    await expectDeployError({...this.config, salaries: {}}, 'no experience level salaries supplied');
+  });
+
+  it('Rejects a config with an invalid DAO address', async () => {
+    await expectDeployError({...this.config, dao: '0x1234'}, 'invalid address "0x1234"');
+  });
+
+  it('Rejects a config with an invalid role holder', async () => {
+    await expectDeployError({...this.config, treasurers: ['0x1234']}, 'invalid address "0x1234"');
+    await expectDeployError({...this.config, pausers: admin2}, 'pausers must be an array of addresses');
+  });
+
+  it('Rejects a config with an invalid salary band token', async () => {
+    await expectDeployError(
+      {...this.config, salaryTables: {'core contributor': {'0x1234': {'1': '1'}}}},
+      'invalid address "0x1234"'
+    );
+  });
+
+  it('Rejects a config with an invalid price source', async () => {
+    await expectDeployError({...this.config, priceSources: {[this.mockToken.address]: 'stable'}}, 'invalid address "stable"');
+    await expectDeployError({...this.config, priceSources: {'0x1234': 'pegged'}}, 'invalid address "0x1234"');
+  });
+
+  it('Rejects removing the deployer admin when no other admins are configured', async () => {
+    await expectDeployError(
+      {...this.config, admins: [], removeDeployerAdmin: true},
+      'at least 1 admin must be supplied when removing the deployer admin'
+    );
+  });
+
+  const expectDeployError = async (config, message) => {
+    let error;
+    try {
+      await deployPayroll(hre, config, {deploymentsDir: this.deploymentsDir});
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error, 'Expected deploy to fail').to.not.be.undefined;
+    expect(error.message).to.contain(message);
+    expect(fs.readdirSync(this.deploymentsDir)).to.be.empty;
+  };
+});
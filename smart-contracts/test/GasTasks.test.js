@@ -0,0 +1,66 @@
+const hre = require('hardhat');
+
+const {expect} = require('chai');
+
+const {TRANSACTION_GAS_CAP, measureBatchGas, formatBatchGas} = require('../tasks/gas');
+
+contract('Gas tasks tests', function () {
+
+  it('Measures each batch function and how many entries fit under the cap', async () => {
+    const blockBefore = await hre.ethers.provider.getBlockNumber();
+    const rows = await measureBatchGas(hre, [1, 3]);
+
+    expect(rows.map(({method}) => method)).to.be.deep.equal(['createPayrollBatch', 'createDxdBatch', 'createPayrollAndDxdBatch']);
+
+    for (const {gasUsed, perEntry, maxEntries} of rows) {
+      expect(gasUsed.map(({size}) => size)).to.be.deep.equal([1, 3]);
+      expect(gasUsed[1].gas).to.be.gt(gasUsed[0].gas);
+      expect(perEntry).to.be.gt(0);
+      expect(gasUsed[0].gas + (maxEntries - 1) * perEntry).to.be.lte(TRANSACTION_GAS_CAP);
+      expect(gasUsed[0].gas + maxEntries * perEntry).to.be.gt(TRANSACTION_GAS_CAP);
+    }
+
+    // the deployments and batches are rolled back
+    expect(await hre.ethers.provider.getBlockNumber()).to.be.equal(blockBefore);
+  });
+
+  it('Reports batches over the cap without a figure', async () => {
+    const line = formatBatchGas([{
+      method: 'createDxdBatch',
+      gasUsed: [{size: 10, gas: 2917059}, {size: 100, gas: undefined}],
+      perEntry: 284254,
+      maxEntries: 58,
+    }]);
+
+    expect(line).to.contain('| `createDxdBatch` | 10 | 2917059 |');
+    expect(line).to.contain('| `createDxdBatch` | 100 | over the cap |');
+    expect(line).to.contain('`createDxdBatch`: about 284254 gas per entry, at most 58 entries in one transaction');
+  });
+
+  it('Reports when fewer than two sizes fit under the cap', async () => {
+    const line = formatBatchGas([{
+      method: 'createPayrollAndDxdBatch',
+      gasUsed: [{size: 10, gas: 4905680}, {size: 50, gas: undefined}],
+      perEntry: undefined,
+      maxEntries: undefined,
+    }]);
+
+    expect(line).to.contain('`createPayrollAndDxdBatch`: fewer than two sizes fit under the cap');
+    expect(line).to.not.contain('undefined');
+  });
+
+  it('Fails on a batch that reverts for any reason other than gas', async () => {
+    const blockBefore = await hre.ethers.provider.getBlockNumber();
+
+    let error;
+    try {
+      await measureBatchGas(hre, [0]);
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error, 'Expected the measurement to fail').to.not.be.undefined;
+    expect(error.message).to.contain('PayrollBatch.createPayrollBatch: No beneficiaries supplied');
+    expect(await hre.ethers.provider.getBlockNumber()).to.be.equal(blockBefore);
+  });
+});
@@ -1,14 +1,25 @@
-const {BN, constants, expectEvent, expectRevert, ether, balance, send} = require('@openzeppelin/test-helpers');
+const {BN, constants, expectEvent, expectRevert, ether, balance, send, time} = require('@openzeppelin/test-helpers');
 const {ZERO_ADDRESS} = constants;
 
 const {fromWei} = require('web3-utils');
 
 const {expect} = require('chai');
 
+const simulator = require('../tasks/simulator');
+
 const AccessControls = artifacts.require('AccessControls');
 const MockERC20 = artifacts.require('MockERC20');
+const MockERC20WithDecimals = artifacts.require('MockERC20WithDecimals');
+const MockPriceSource = artifacts.require('MockPriceSource');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const MockEtherRejecter = artifacts.require('MockEtherRejecter');
+const MockEtherReceiver = artifacts.require('MockEtherReceiver');
+const SalaryTables = artifacts.require('SalaryTables');
 const Payroll = artifacts.require('Payroll');
 const PayrollWithFixedTime = artifacts.require('PayrollWithFixedTime');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+const PayrollFreezes = artifacts.require('PayrollFreezes');
+const PayrollBatch = artifacts.require('PayrollBatch');
 
 contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, random, ...otherAccounts]) {
   const firstScheduleId = '0';
@@ -33,15 +44,47 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
     5: '8000'
   };
 
+  // mirrors the salary calculation in Payroll._payrollAmount
+  const payrollAmount = (level, percentageWorked, durationInDays) => {
+    return to18dp(experienceToSalary[level])
+      .muln(12)
+      .mul(new BN(durationInDays))
+      .mul(new BN(percentageWorked))
+      .divn(365)
+      .divn(100);
+  };
+
+  // amount vested linearly after `elapsed` seconds of a `duration` second schedule
+  const vestedAt = (amount, elapsed, duration) => {
+    return new BN(amount).mul(new BN(elapsed)).div(new BN(duration));
+  };
+
   const experienceLevels = Object.keys(experienceToSalary);
   const salaries = experienceLevels.map(level => to18dp(experienceToSalary[level]));
 
   const DEFAULT_DURATION_IN_DAYS = new BN('730')
   const DEFAULT_CLIFF_IN_DAYS = new BN('365')
 
+  // sensitive admin functions can only be called by the timelock, once an admin has queued them and the delay has passed
+  const executeViaTimelock = async (method, args) => {
+    const data = this.payroll.contract.methods[method](...args).encodeABI();
+    const {logs} = await this.timelock.queue(this.payroll.address, data, {from: admin});
+    await time.increase(await this.timelock.delay());
+    return this.timelock.execute(logs[0].args._actionId, {from: admin});
+  };
+
+  const VestingCurve = {
+    LINEAR: '0',
+    MONTHLY_STEP: '1',
+    CLIFF_UNLOCK: '2'
+  };
+
   beforeEach(async () => {
     this.accessControls = await AccessControls.new({from: admin});
     await this.accessControls.addWhitelistRole(dao, {from: admin});
+    await this.accessControls.addPauserRole(admin, {from: admin});
+    await this.accessControls.addTreasurerRole(admin, {from: admin});
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
 
     this.mockToken = await MockERC20.new();
     this.mockDxdToken = await MockERC20.new();
@@ -54,6 +97,18 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
       {from: admin}
     );
 
+    this.timelock = await PayrollTimelock.at(await this.payroll.timelock());
+    this.batch = await PayrollBatch.at(await this.payroll.batch());
+
+    // salaries are paid 1:1 in both tokens unless a test replaces the price source
+    this.peggedPriceSource = await PeggedPriceSource.new();
+    await this.payroll.setPriceSource(this.mockToken.address, this.peggedPriceSource.address, {from: admin});
+    await this.payroll.setPriceSource(this.mockDxdToken.address, this.peggedPriceSource.address, {from: admin});
+
+    // fund the contract so that schedules can be created
+    await this.mockToken.transfer(this.payroll.address, to18dp('1000000'));
+    await this.mockDxdToken.transfer(this.payroll.address, to18dp('1000000'));
+
     this.durationInDays = await this.payroll.durationInDays();
     this.cliffDurationInDays = await this.payroll.cliffDurationInDays();
   });
@@ -291,6 +346,7 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
         salaries,
         {from: admin}
       );
+      await this.payroll.setPriceSource(this.mockToken.address, this.peggedPriceSource.address, {from: admin});
 
       // set now
       await this.payroll.setNow('1');
@@ -519,7 +575,12 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
       const adminBalBefore = await this.mockToken.balanceOf(admin);
 
       const withdrawAmt = to18dp('1000');
-      await this.payroll.withdraw(this.mockToken.address, admin, withdrawAmt);
+      const {tx} = await executeViaTimelock('withdraw', [this.mockToken.address, admin, withdrawAmt]);
+      await expectEvent.inTransaction(tx, this.payroll, 'Withdrawn', {
+        _token: this.mockToken.address,
+        _to: admin,
+        _amount: withdrawAmt
+      });
 
       const adminBalAfter = await this.mockToken.balanceOf(admin);
 
@@ -528,12 +589,235 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
       ).to.be.bignumber.equal(withdrawAmt);
     });
 
-    it('Reverts if not admin', async () => {
+    it('Reverts if not called through the timelock', async () => {
+      await expectRevert(
+        this.payroll.withdraw(this.mockToken.address, admin, '9', {from: admin}),
+        "Vesting.withdraw: Only timelock"
+      );
+    });
+
+    it('Cannot withdraw tokens committed to schedules', async () => {
+      await this.payroll.createDxd(beneficiary, '0', to18dp('600000'), {from: dao});
+
+      await expectRevert(
+        executeViaTimelock('withdraw', [this.mockDxdToken.address, admin, to18dp('400001')]),
+        "Vesting.withdraw: Amount exceeds uncommitted balance"
+      );
+
+      await executeViaTimelock('withdraw', [this.mockDxdToken.address, admin, to18dp('400000')]);
+      expect(await this.payroll.freeBalance(this.mockDxdToken.address)).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('Batch creation', () => {
+    beforeEach(async () => {
+      this.beneficiaries = [beneficiary, random, admin2];
+      this.levels = ['1', '3', '5'];
+      this.percentages = ['100', '50', '20'];
+      this.starts = ['0', '10', '20'];
+      this.dxdAmounts = [to18dp('100'), to18dp('200'), to18dp('300')];
+    });
+
+    it('createPayrollBatch() creates a schedule per entry', async () => {
+      const receipt = await this.batch.createPayrollBatch(
+        this.mockToken.address,
+        this.beneficiaries,
+        this.levels,
+        this.percentages,
+        this.starts,
+        DEFAULT_DURATION_IN_DAYS,
+        DEFAULT_CLIFF_IN_DAYS,
+        {from: dao}
+      );
+
+      for (let i = 0; i < this.beneficiaries.length; i++) {
+        await expectEvent.inTransaction(receipt.tx, this.payroll, 'ScheduleCreated', {_beneficiary: this.beneficiaries[i], _id: i.toString()});
+
+        const {_token, _beneficiary, _start, _amount} = await this.payroll.vestingSchedule(i.toString());
+        const amountToVest = payrollAmount(this.levels[i], this.percentages[i], this.durationInDays);
+
+        expect(_token).to.be.equal(this.mockToken.address);
+        expect(_beneficiary).to.be.equal(this.beneficiaries[i]);
+        expect(_start).to.be.bignumber.equal(this.starts[i]);
+        expect(_amount).to.be.bignumber.equal(amountToVest);
+      }
+    });
+
+    it('createDxdBatch() creates a DXD schedule per entry', async () => {
+      const receipt = await this.batch.createDxdBatch(
+        this.beneficiaries,
+        this.starts,
+        this.dxdAmounts,
+        {from: dao}
+      );
+
+      for (let i = 0; i < this.beneficiaries.length; i++) {
+        await expectEvent.inTransaction(receipt.tx, this.payroll, 'ScheduleCreated', {_beneficiary: this.beneficiaries[i], _id: i.toString()});
+
+        const {_token, _beneficiary, _start, _amount} = await this.payroll.vestingSchedule(i.toString());
+        expect(_token).to.be.equal(this.mockDxdToken.address);
+        expect(_beneficiary).to.be.equal(this.beneficiaries[i]);
+        expect(_start).to.be.bignumber.equal(this.starts[i]);
+        expect(_amount).to.be.bignumber.equal(this.dxdAmounts[i]);
+      }
+    });
+
+    it('createPayrollAndDxdBatch() creates a payroll and DXD schedule per entry', async () => {
+      const receipt = await this.batch.createPayrollAndDxdBatch(
+        this.mockToken.address,
+        this.beneficiaries,
+        this.levels,
+        this.percentages,
+        this.starts,
+        DEFAULT_DURATION_IN_DAYS,
+        DEFAULT_CLIFF_IN_DAYS,
+        this.dxdAmounts,
+        {from: dao}
+      );
+
+      const createdEvents = await this.payroll.getPastEvents('ScheduleCreated', {fromBlock: receipt.receipt.blockNumber});
+      expect(createdEvents.length).to.be.equal(this.beneficiaries.length * 2);
+
+      for (let i = 0; i < this.beneficiaries.length; i++) {
+        const payrollSchedule = await this.payroll.vestingSchedule((i * 2).toString());
+        expect(payrollSchedule._token).to.be.equal(this.mockToken.address);
+        expect(payrollSchedule._beneficiary).to.be.equal(this.beneficiaries[i]);
+
+        const dxdSchedule = await this.payroll.vestingSchedule((i * 2 + 1).toString());
+        expect(dxdSchedule._token).to.be.equal(this.mockDxdToken.address);
+        expect(dxdSchedule._beneficiary).to.be.equal(this.beneficiaries[i]);
+        expect(dxdSchedule._amount).to.be.bignumber.equal(this.dxdAmounts[i]);
+      }
+    });
+
+    it('Reverts when array lengths are inconsistent', async () => {
+      await expectRevert(
+        this.batch.createPayrollBatch(
+          this.mockToken.address,
+          this.beneficiaries,
+          this.levels,
+          ['100'],
+          this.starts,
+          DEFAULT_DURATION_IN_DAYS,
+          DEFAULT_CLIFF_IN_DAYS,
+          {from: dao}
+        ),
+        "PayrollBatch.createPayrollBatch: Inconsistent array lengths"
+      );
+
+      await expectRevert(
+        this.batch.createDxdBatch(this.beneficiaries, this.starts, [to18dp('1')], {from: dao}),
+        "PayrollBatch.createDxdBatch: Inconsistent array lengths"
+      );
+
+      await expectRevert(
+        this.batch.createPayrollAndDxdBatch(
+          this.mockToken.address,
+          this.beneficiaries,
+          this.levels,
+          this.percentages,
+          this.starts,
+          DEFAULT_DURATION_IN_DAYS,
+          DEFAULT_CLIFF_IN_DAYS,
+          [],
+          {from: dao}
+        ),
+        "PayrollBatch.createPayrollAndDxdBatch: Inconsistent array lengths"
+      );
+    });
+
+    it('Reverts when no beneficiaries are supplied', async () => {
+      await expectRevert(
+        this.batch.createDxdBatch([], [], [], {from: dao}),
+        "PayrollBatch.createDxdBatch: No beneficiaries supplied"
+      );
+    });
+
+    it('Creates nothing when a single entry is invalid', async () => {
+      await expectRevert(
+        this.batch.createPayrollAndDxdBatch(
+          this.mockToken.address,
+          this.beneficiaries,
+          ['1', '3', '7'],
+          this.percentages,
+          this.starts,
+          DEFAULT_DURATION_IN_DAYS,
+          DEFAULT_CLIFF_IN_DAYS,
+          this.dxdAmounts,
+          {from: dao}
+        ),
+        "createPayroll: Invalid experience level"
+      );
+
+      const {_committed} = await this.payroll.tokenBalances(this.mockToken.address);
+      expect(_committed).to.be.bignumber.equal('0');
+    });
+
+    it('Reverts when sender does not have whitelist', async () => {
+      await expectRevert(
+        this.batch.createDxdBatch(this.beneficiaries, this.starts, this.dxdAmounts, {from: random}),
+        "PayrollBatch: Only whitelist"
+      );
+    });
+
+    it('Is deployed by Payroll, which only creates schedules for it and whitelisted callers', async () => {
+      expect(await this.batch.payroll()).to.be.equal(this.payroll.address);
+
+      await expectRevert(
+        this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: random}),
+        "Vesting.createVestingSchedule: Only whitelist"
+      );
+    });
+  });
+
+  describe('Funding accounting', () => {
+    it('Reverts when creating a schedule larger than the uncommitted balance', async () => {
+      await expectRevert(
+        this.payroll.createDxd(beneficiary, '0', to18dp('1000001'), {from: dao}),
+        "Vesting.createVestingSchedule: Insufficient token balance to fund schedule"
+      );
+    });
+
+    it('Reverts when a second schedule would exceed the uncommitted balance', async () => {
+      await this.payroll.createDxd(beneficiary, '0', to18dp('600000'), {from: dao});
+
       await expectRevert(
-        this.payroll.withdraw(this.mockToken.address, admin, '9', {from: random}),
-        "Vesting.withdraw: Only admin"
+        this.payroll.createDxd(beneficiary, '0', to18dp('400001'), {from: dao}),
+        "Vesting.createVestingSchedule: Insufficient token balance to fund schedule"
       );
     });
+
+    it('Tracks committed, drawn and free balances per token', async () => {
+      await this.payroll.setNow('0');
+      await this.payroll.createDxd(beneficiary, '0', to18dp('1000'), {from: dao});
+
+      let {_committed, _drawn, _free} = await this.payroll.tokenBalances(this.mockDxdToken.address);
+      expect(_committed).to.be.bignumber.equal(to18dp('1000'));
+      expect(_drawn).to.be.bignumber.equal('0');
+      expect(_free).to.be.bignumber.equal(to18dp('999000'));
+
+      // the other token is untouched
+      expect(await this.payroll.freeBalance(this.mockToken.address)).to.be.bignumber.equal(to18dp('1000000'));
+
+      await this.payroll.setNow(this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS).addn(1));
+      await this.payroll.drawDown('0');
+
+      ({_committed, _drawn, _free} = await this.payroll.tokenBalances(this.mockDxdToken.address));
+      expect(_committed).to.be.bignumber.equal(to18dp('1000'));
+      expect(_drawn).to.be.bignumber.equal(to18dp('1000'));
+      expect(_free).to.be.bignumber.equal(to18dp('999000'));
+    });
+
+    it('Releases the unvested amount of a cancelled schedule', async () => {
+      await this.payroll.setNow('1');
+      await this.payroll.createDxd(beneficiary, '0', to18dp('1000'), {from: dao});
+
+      await this.payroll.cancelSchedule('0', '1', {from: admin});
+
+      const {_committed, _free} = await this.payroll.tokenBalances(this.mockDxdToken.address);
+      expect(_committed).to.be.bignumber.equal('0');
+      expect(_free).to.be.bignumber.equal(to18dp('1000000'));
+    });
   });
 
   describe('withdrawEther()', () => {
@@ -545,38 +829,193 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
       const balanceTrackerAdmin = await balance.tracker(admin2);
 
       const withdrawAmt = ether('0.125');
-      await this.payroll.withdrawEther(admin2, withdrawAmt, {from: admin});
+      const {tx} = await executeViaTimelock('withdrawEther', [admin2, withdrawAmt]);
+      await expectEvent.inTransaction(tx, this.payroll, 'EtherWithdrawn', {
+        _to: admin2,
+        _amount: withdrawAmt
+      });
 
       expect(await balanceTrackerAdmin.delta()).to.be.bignumber.equal(withdrawAmt);
     });
 
-    it('Reverts if not admin', async () => {
+    it('Can withdraw to a contract that needs more than the transfer gas stipend', async () => {
+      const receiver = await MockEtherReceiver.new();
+
+      await executeViaTimelock('withdrawEther', [receiver.address, ether('0.125')]);
+
+      expect(await receiver.received()).to.be.bignumber.equal(ether('0.125'));
+      expect(await balance.current(receiver.address)).to.be.bignumber.equal(ether('0.125'));
+    });
+
+    it('Reverts when the recipient does not accept the ether', async () => {
+      const rejecter = await MockEtherRejecter.new();
+
+      await expectRevert(
+        executeViaTimelock('withdrawEther', [rejecter.address, ether('0.125')]),
+        "Vesting.withdrawEther: Transfer failed"
+      );
+      expect(await balance.current(this.payroll.address)).to.be.bignumber.equal(ether('0.25'));
+    });
+
+    it('Reverts if not called through the timelock', async () => {
       await expectRevert(
-        this.payroll.withdrawEther(admin, '9', {from: random}),
-        "Vesting.withdrawEther: Only admin"
+        this.payroll.withdrawEther(admin, '9', {from: admin}),
+        "Vesting.withdrawEther: Only timelock"
       );
     });
   });
 
+  describe('Native ETH schedules', () => {
+    const ethPrice = to18dp('2000');
+    const thirtyDays = PERIOD_ONE_DAY_IN_SECONDS.muln(30);
+
+    beforeEach(async () => {
+      this.eth = await this.payroll.ETH();
+      await executeViaTimelock('whitelistToken', [this.eth]);
+
+      this.priceSource = await MockPriceSource.new();
+      await this.priceSource.setPrice(this.eth, ethPrice);
+      await executeViaTimelock('setPriceSource', [this.eth, this.priceSource.address]);
+
+      await send.ether(admin, this.payroll.address, ether('10'));
+      await this.payroll.setNow('1');
+
+      // schedule #0 pays a month of level 1 salary in ETH
+      await this.payroll.createPayroll(this.eth, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+      this.ethAmount = payrollAmount('1', '100', '30').mul(to18dp('1')).div(ethPrice);
+    });
+
+    it('Converts the salary into ETH and commits it', async () => {
+      const {_token, _amount} = await this.payroll.vestingSchedule('0');
+      expect(_token).to.be.equal(this.eth);
+      expect(_amount).to.be.bignumber.equal(this.ethAmount);
+
+      const {_committed, _free} = await this.payroll.tokenBalances(this.eth);
+      expect(_committed).to.be.bignumber.equal(this.ethAmount);
+      expect(_free).to.be.bignumber.equal(ether('10').sub(this.ethAmount));
+    });
+
+    it('Pays out ETH on draw down', async () => {
+      await this.payroll.setNow(thirtyDays.divn(2));
+      const beneficiaryBalance = await balance.tracker(beneficiary);
+
+      // anyone can trigger the draw down so the beneficiary does not pay for gas here
+      await this.payroll.drawDown('0', {from: random});
+
+      expect(await beneficiaryBalance.delta()).to.be.bignumber.equal(vestedAt(this.ethAmount, thirtyDays.divn(2), thirtyDays));
+
+      const {_drawn} = await this.payroll.tokenBalances(this.eth);
+      expect(_drawn).to.be.bignumber.equal(vestedAt(this.ethAmount, thirtyDays.divn(2), thirtyDays));
+    });
+
+    it('Pays out ETH and tokens together', async () => {
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+      await this.payroll.setNow(thirtyDays);
+
+      const beneficiaryBalance = await balance.tracker(beneficiary);
+      const {receipt} = await this.payroll.drawDownAll({from: beneficiary});
+
+      await expectEvent(receipt, 'DrawDown', {_beneficiary: beneficiary, _amount: this.ethAmount});
+      const {delta, fees} = await beneficiaryBalance.deltaWithFees();
+      expect(delta.add(fees)).to.be.bignumber.equal(this.ethAmount);
+      expect(await this.mockToken.balanceOf(beneficiary)).to.be.bignumber.equal(payrollAmount('1', '100', '30'));
+    });
+
+    it('Reverts creating an ETH schedule beyond the uncommitted ETH balance', async () => {
+      await expectRevert(
+        this.payroll.createPayroll(this.eth, beneficiary, '5', '100', '0', '365', '0', {from: dao}),
+        "Vesting.createVestingSchedule: Insufficient token balance to fund schedule"
+      );
+    });
+
+    it('Does not let committed ETH be withdrawn', async () => {
+      const free = ether('10').sub(this.ethAmount);
+
+      await expectRevert(
+        executeViaTimelock('withdrawEther', [admin2, free.addn(1)]),
+        "Vesting.withdrawEther: Amount exceeds uncommitted balance"
+      );
+
+      await executeViaTimelock('withdrawEther', [admin2, free]);
+      expect(await balance.current(this.payroll.address)).to.be.bignumber.equal(this.ethAmount);
+    });
+
+    it('Releases unvested ETH for a timelocked withdraw when cancelled', async () => {
+      await this.payroll.setNow(thirtyDays.divn(3));
+      const payrollBalance = await balance.tracker(this.payroll.address);
+
+      await this.payroll.cancelSchedule('0', thirtyDays.divn(3), {from: admin});
+
+      const vested = vestedAt(this.ethAmount, thirtyDays.divn(3), thirtyDays);
+      const unvested = this.ethAmount.sub(vested);
+      expect(await payrollBalance.delta()).to.be.bignumber.equal('0');
+      expect(await this.payroll.freeBalance(this.eth)).to.be.bignumber.equal(ether('10').sub(vested));
+
+      const toBalance = await balance.tracker(admin2);
+      await executeViaTimelock('withdrawEther', [admin2, unvested]);
+      expect(await toBalance.delta()).to.be.bignumber.equal(unvested);
+    });
+
+    describe('When the beneficiary cannot receive ETH', () => {
+      beforeEach(async () => {
+        this.rejecter = await MockEtherRejecter.new();
+
+        // schedule #1
+        await this.payroll.createPayroll(this.eth, this.rejecter.address, '1', '100', '0', '30', '0', {from: dao});
+        await this.payroll.setNow(thirtyDays);
+      });
+
+      it('Reverts the draw down and keeps the ETH owed', async () => {
+        await expectRevert(
+          this.payroll.drawDown('1', {from: random}),
+          "Vesting.drawDown: Unable to transfer tokens"
+        );
+
+        expect(await this.payroll.totalDrawn('1')).to.be.bignumber.equal('0');
+        expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(this.ethAmount);
+
+        // other schedules are unaffected
+        await this.payroll.drawDown('0', {from: random});
+        expect(await this.payroll.totalDrawn('0')).to.be.bignumber.equal(this.ethAmount);
+      });
+
+      it('Can be paid at a payout recipient instead', async () => {
+        const recipient = otherAccounts[0];
+        const recipientBalance = await balance.tracker(recipient);
+
+        await this.rejecter.execute(
+          this.payroll.address,
+          this.payroll.contract.methods.setPayoutRecipient(recipient).encodeABI()
+        );
+        await this.payroll.drawDown('1', {from: random});
+
+        expect(await recipientBalance.delta()).to.be.bignumber.equal(this.ethAmount);
+      });
+    });
+  });
+
   describe('whitelistToken()', () => {
     it('Can whitelist a token', async () => {
       expect(await this.payroll.whitelistedTokens(random)).to.be.false;
 
-      await this.payroll.whitelistToken(random, {from: admin});
+      const {tx} = await executeViaTimelock('whitelistToken', [random]);
+      await expectEvent.inTransaction(tx, this.payroll, 'TokenWhitelisted', {
+        _token: random
+      });
 
       expect(await this.payroll.whitelistedTokens(random)).to.be.true;
     });
 
-    it('Reverts if not admin', async () => {
+    it('Reverts if not called through the timelock', async () => {
       await expectRevert(
-        this.payroll.whitelistToken(random, {from: random}),
-        "Vesting.whitelistToken: Only admin"
+        this.payroll.whitelistToken(random, {from: admin}),
+        "Vesting.whitelistToken: Only timelock"
       );
     });
 
     it('Reverts if token address is address zero', async () => {
       await expectRevert(
-        this.payroll.whitelistToken(ZERO_ADDRESS, {from: admin}),
+        executeViaTimelock('whitelistToken', [ZERO_ADDRESS]),
         "Vesting.whitelistToken: Cannot be address zero"
       );
     });
@@ -586,15 +1025,18 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
     it('Can remove a token', async () => {
       expect(await this.payroll.whitelistedTokens(this.mockToken.address)).to.be.true;
 
-      await this.payroll.removeTokenFromWhitelist(this.mockToken.address, {from: admin});
+      const {tx} = await executeViaTimelock('removeTokenFromWhitelist', [this.mockToken.address]);
+      await expectEvent.inTransaction(tx, this.payroll, 'TokenRemovedFromWhitelist', {
+        _token: this.mockToken.address
+      });
 
       expect(await this.payroll.whitelistedTokens(this.mockToken.address)).to.be.false;
     });
 
-    it('Reverts if not admin', async () => {
+    it('Reverts if not called through the timelock', async () => {
       await expectRevert(
-        this.payroll.removeTokenFromWhitelist(random, {from: random}),
-        "Vesting.removeTokenFromWhitelist: Only admin"
+        this.payroll.removeTokenFromWhitelist(random, {from: admin}),
+        "Vesting.removeTokenFromWhitelist: Only timelock"
       );
     });
   });
@@ -602,16 +1044,20 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
   describe('setDurationAndCliffInDays()', () => {
     it('Can set duration and cliff', async () => {
 
-      await this.payroll.setDurationAndCliffInDays(600, 300, {from: admin});
+      const {tx} = await executeViaTimelock('setDurationAndCliffInDays', [600, 300]);
+      await expectEvent.inTransaction(tx, this.payroll, 'DurationAndCliffUpdated', {
+        _durationInDays: '600',
+        _cliffDurationInDays: '300'
+      });
 
       expect(await this.payroll.durationInDays()).to.be.bignumber.equal('600');
       expect(await this.payroll.cliffDurationInDays()).to.be.bignumber.equal('300');
     });
 
-    it('Reverts if not admin', async () => {
+    it('Reverts if not called through the timelock', async () => {
       await expectRevert(
-        this.payroll.setDurationAndCliffInDays(1, 1, {from: random}),
-        "Vesting.setDurationAndCliffInDays: Only admin"
+        this.payroll.setDurationAndCliffInDays(1, 1, {from: admin}),
+        "Vesting.setDurationAndCliffInDays: Only timelock"
       );
     });
   });
@@ -621,81 +1067,1797 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
       const ids = await this.payroll.activeScheduleIdsForBeneficiary(random);
       expect(ids.length).to.be.equal(0);
     });
-  });
 
-  describe('pause()', () => {
-    it('Reverts when trying to pause without the admin role', async () => {
-      await expectRevert(
-        this.payroll.pause({from: random}),
-        "Vesting.pause: Only admin"
-      );
+    it('Only returns schedules with something to draw down', async () => {
+      await this.payroll.setNow('1');
+
+      // #0 is past its cliff, #1 has not started and #2 is fully drawn
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '1000000', '30', '0', {from: dao});
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '1', '0', {from: dao});
+
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(2));
+      await this.payroll.drawDown('2');
+
+      const ids = await this.payroll.activeScheduleIdsForBeneficiary(beneficiary);
+      expect(ids.map(id => id.toString())).to.be.deep.equal(['0']);
+
+      const allIds = await this.payroll.scheduleIdsForBeneficiary(beneficiary);
+      expect(allIds.map(id => id.toString())).to.be.deep.equal(['0', '1', '2']);
     });
   });
 
-  describe('unpause()', () => {
-    it('Reverts when trying to pause without the admin role', async () => {
-      await expectRevert(
-        this.payroll.unpause({from: random}),
-        "Vesting.unpause: Only admin"
+  describe('cancelSchedule()', () => {
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+
+      // this will create schedule #0
+      await this.payroll.createPayroll(
+        this.mockToken.address,
+        beneficiary,
+        '5',
+        '100',
+        '0',
+        DEFAULT_DURATION_IN_DAYS,
+        DEFAULT_CLIFF_IN_DAYS,
+        {from: dao}
       );
+
+      this.schedule = await this.payroll.vestingSchedule('0');
+      this.cliffInSecs = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
     });
-  });
 
-  it('Can create a worker schedule based on experience level', async () => {
+    it('Beneficiary keeps the vested amount and the remainder is released for a timelocked withdraw', async () => {
+      const cancelAt = this.cliffInSecs.add(PERIOD_ONE_DAY_IN_SECONDS.muln(30));
+      await this.payroll.setNow(cancelAt);
 
-    // this will create schedule #0
-    await this.payroll.createPayrollAndDxd(
-      this.mockToken.address,
-      beneficiary,
-      '5',
-      '100',
-      '0',
-      DEFAULT_DURATION_IN_DAYS,
-      DEFAULT_CLIFF_IN_DAYS,
-      to18dp('1000'),
-      {from: dao}
-    );
+      const payrollBalBefore = await this.mockToken.balanceOf(this.payroll.address);
+      const freeBalBefore = await this.payroll.freeBalance(this.mockToken.address);
 
-    const {
-      _token,
-      _beneficiary,
-      _start,
-      _end,
-      _cliff,
-      _amount,
-      _drawDownRate
-    } = await this.payroll.vestingSchedule('0');
+      const vestedAmount = vestedAt(this.schedule._amount, cancelAt, this.schedule._end);
+      const unvestedAmount = this.schedule._amount.sub(vestedAmount);
 
-    const _durationInSecs = this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
-    const _cliffDurationInSecs = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+      const receipt = await this.payroll.cancelSchedule('0', cancelAt, {from: admin});
+      await expectEvent(receipt, 'ScheduleCancelled', {
+        _beneficiary: beneficiary,
+        _id: '0',
+        _cancelledAt: cancelAt,
+        _unvestedAmount: unvestedAmount
+      });
 
-    const yearlySalary = to18dp('8000').muln(12);
-    const dailyAmount = yearlySalary.divn(365);
-    const fullAmountToVest = this.durationInDays.mul(dailyAmount);
+      // nothing leaves the contract on cancellation
+      expect(await this.mockToken.balanceOf(this.payroll.address)).to.be.bignumber.equal(payrollBalBefore);
+      expect(await this.payroll.freeBalance(this.mockToken.address)).to.be.bignumber.equal(freeBalBefore.add(unvestedAmount));
+      expect(await this.payroll.totalCommittedForToken(this.mockToken.address)).to.be.bignumber.equal(vestedAmount);
 
-    const amountToVest = fullAmountToVest.divn(100).muln(100);
+      const daoBalBefore = await this.mockToken.balanceOf(dao);
+      await executeViaTimelock('withdraw', [this.mockToken.address, dao, unvestedAmount]);
+      expect(await this.mockToken.balanceOf(dao)).to.be.bignumber.equal(daoBalBefore.add(unvestedAmount));
 
-    expect(_token).to.be.equal(this.mockToken.address);
-    expect(_beneficiary).to.be.equal(beneficiary);
-    expect(_start).to.be.bignumber.equal('0');
-    expect(_end).to.be.bignumber.equal(_durationInSecs);
-    expect(_cliff).to.be.bignumber.equal(_cliffDurationInSecs);
-    expect(_amount).to.be.bignumber.equal(amountToVest);
-    expect(_drawDownRate).to.be.bignumber.equal(amountToVest.div(_durationInSecs));
+      const {_end, _amount, _drawDownRate} = await this.payroll.vestingSchedule('0');
+      expect(_end).to.be.bignumber.equal(cancelAt);
+      expect(_amount).to.be.bignumber.equal(vestedAmount);
+      expect(_drawDownRate).to.be.bignumber.equal(this.schedule._drawDownRate);
+      expect(await this.payroll.cancelledSchedules('0')).to.be.true;
 
-    await this.payroll.setNow(_cliffDurationInSecs.addn(1));
+      // nothing more vests after the cancellation time
+      await this.payroll.setNow(this.schedule._end);
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(vestedAmount);
 
-    const activeScheduleIdsForBeneficiary = await this.payroll.activeScheduleIdsForBeneficiary(beneficiary);
-    expect(activeScheduleIdsForBeneficiary.length).to.be.equal(2);
-  });
+      await this.payroll.drawDown('0');
+      expect(await this.mockToken.balanceOf(beneficiary)).to.be.bignumber.equal(vestedAmount);
 
-  it('Can create a dxd only schedule', async () => {
-    // this will create schedule #0
-    await this.payroll.createDxd(
-      beneficiary,
-      '0',
-      to18dp('1000'),
-      {from: dao}
+      await expectRevert(
+        this.payroll.drawDown('0'),
+        "Vesting.drawDown: Nothing to withdraw"
+      );
+    });
+
+    it('Vesting continues until a future cancellation time', async () => {
+      const now = this.cliffInSecs.addn(1);
+      await this.payroll.setNow(now);
+
+      // beneficiary draws down before the cancellation is scheduled
+      await this.payroll.drawDown('0');
+      const drawnBeforeCancel = await this.mockToken.balanceOf(beneficiary);
+
+      const cancelAt = now.add(PERIOD_ONE_DAY_IN_SECONDS.muln(10));
+      await this.payroll.cancelSchedule('0', cancelAt, {from: admin});
+
+      const vestedAmount = vestedAt(this.schedule._amount, cancelAt, this.schedule._end);
+
+      // half way to the cancellation time
+      await this.payroll.setNow(now.add(PERIOD_ONE_DAY_IN_SECONDS.muln(5)));
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(
+        vestedAmount.sub(drawnBeforeCancel).divn(2)
+      );
+
+      await this.payroll.setNow(cancelAt.addn(1));
+      await this.payroll.drawDown('0');
+
+      const beneficiaryBal = await this.mockToken.balanceOf(beneficiary);
+      expect(beneficiaryBal).to.be.bignumber.equal(vestedAmount);
+      expect(beneficiaryBal).to.be.bignumber.gt(drawnBeforeCancel);
+    });
+
+    it('Releases the full amount when cancelled before the cliff', async () => {
+      const freeBalBefore = await this.payroll.freeBalance(this.mockToken.address);
+
+      await this.payroll.cancelSchedule('0', '1', {from: admin});
+
+      expect(await this.payroll.freeBalance(this.mockToken.address)).to.be.bignumber.equal(freeBalBefore.add(this.schedule._amount));
+      expect(await this.payroll.totalCommittedForToken(this.mockToken.address)).to.be.bignumber.equal('0');
+
+      await this.payroll.setNow(this.schedule._end.addn(1));
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+
+      const activeScheduleIds = await this.payroll.activeScheduleIdsForBeneficiary(beneficiary);
+      expect(activeScheduleIds.length).to.be.equal(0);
+    });
+
+    it('Reverts if not admin', async () => {
+      await expectRevert(
+        this.payroll.cancelSchedule('0', '1', {from: random}),
+        "Payroll.cancelSchedule: Only admin"
+      );
+    });
+
+    it('Reverts when cancelling twice', async () => {
+      await this.payroll.cancelSchedule('0', this.cliffInSecs.addn(1), {from: admin});
+
+      await expectRevert(
+        this.payroll.cancelSchedule('0', this.cliffInSecs.addn(1), {from: admin}),
+        "Payroll.cancelSchedule: Schedule already cancelled"
+      );
+    });
+
+    it('Reverts when the cancellation time is in the past', async () => {
+      await this.payroll.setNow('100');
+
+      await expectRevert(
+        this.payroll.cancelSchedule('0', '99', {from: admin}),
+        "Payroll.cancelSchedule: Cannot cancel in the past"
+      );
+    });
+
+    it('Reverts when the schedule has already ended', async () => {
+      await expectRevert(
+        this.payroll.cancelSchedule('0', this.schedule._end, {from: admin}),
+        "Payroll.cancelSchedule: Schedule has already ended"
+      );
+    });
+  });
+
+  describe('updateSchedule()', () => {
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+
+      // this will create schedule #0
+      await this.payroll.createDxd(beneficiary, '0', to18dp('730'), {from: dao});
+
+      this.schedule = await this.payroll.vestingSchedule('0');
+      this.cliffInSecs = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+      this.now = this.cliffInSecs.addn(1);
+      await this.payroll.setNow(this.now);
+
+      this.accrued = vestedAt(this.schedule._amount, this.now, this.schedule._end);
+    });
+
+    it('Keeps what has accrued and vests the new amount until the new end', async () => {
+      const newAmount = to18dp('1000');
+      const newEnd = this.schedule._end.add(PERIOD_ONE_DAY_IN_SECONDS.muln(100));
+      const newDrawDownRate = newAmount.sub(this.accrued).div(newEnd.sub(this.now));
+
+      const receipt = await this.payroll.updateSchedule('0', newAmount, newEnd, {from: admin});
+      await expectEvent(receipt, 'ScheduleUpdated', {
+        _id: '0',
+        _oldAmount: to18dp('730'),
+        _newAmount: newAmount,
+        _oldEnd: this.schedule._end,
+        _newEnd: newEnd,
+        _oldDrawDownRate: this.schedule._drawDownRate,
+        _newDrawDownRate: newDrawDownRate
+      });
+
+      const {_amount, _end, _drawDownRate, _start, _cliff} = await this.payroll.vestingSchedule('0');
+      expect(_amount).to.be.bignumber.equal(newAmount);
+      expect(_end).to.be.bignumber.equal(newEnd);
+      expect(_drawDownRate).to.be.bignumber.equal(newDrawDownRate);
+      expect(_start).to.be.bignumber.equal(this.schedule._start);
+      expect(_cliff).to.be.bignumber.equal(this.schedule._cliff);
+
+      // nothing accrued so far is lost
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(this.accrued);
+
+      const tenDays = PERIOD_ONE_DAY_IN_SECONDS.muln(10);
+      const vestedAfterTenDays = this.accrued.add(vestedAt(newAmount.sub(this.accrued), tenDays, newEnd.sub(this.now)));
+
+      await this.payroll.setNow(this.now.add(tenDays));
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(vestedAfterTenDays);
+
+      await this.payroll.drawDown('0');
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal(vestedAfterTenDays);
+
+      await this.payroll.setNow(newEnd.addn(1));
+      await this.payroll.drawDown('0');
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal(newAmount);
+    });
+
+    it('Only applies the new rate to time after previous draw downs', async () => {
+      await this.payroll.drawDown('0');
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal(this.accrued);
+
+      const newAmount = to18dp('500');
+      await this.payroll.updateSchedule('0', newAmount, this.schedule._end, {from: dao});
+
+      const {_drawDownRate} = await this.payroll.vestingSchedule('0');
+      expect(_drawDownRate).to.be.bignumber.equal(newAmount.sub(this.accrued).div(this.schedule._end.sub(this.now)));
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+
+      await this.payroll.setNow(this.schedule._end.addn(1));
+      await this.payroll.drawDown('0');
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal(newAmount);
+    });
+
+    it('Keeps pre-cliff accrual when updated before the cliff', async () => {
+      const now = PERIOD_ONE_DAY_IN_SECONDS.muln(100);
+      await this.payroll.setNow(now);
+      const accrued = vestedAt(this.schedule._amount, now, this.schedule._end);
+
+      const newAmount = to18dp('365');
+      await this.payroll.updateSchedule('0', newAmount, this.schedule._end, {from: admin});
+
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+
+      await this.payroll.setNow(this.now);
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(
+        accrued.add(vestedAt(newAmount.sub(accrued), this.now.sub(now), this.schedule._end.sub(now)))
+      );
+    });
+
+    it('Updates the committed token amount', async () => {
+      await this.payroll.updateSchedule('0', to18dp('1000'), this.schedule._end, {from: admin});
+      expect(await this.payroll.totalCommittedForToken(this.mockDxdToken.address)).to.be.bignumber.equal(to18dp('1000'));
+
+      await this.payroll.updateSchedule('0', to18dp('400'), this.schedule._end, {from: admin});
+      expect(await this.payroll.totalCommittedForToken(this.mockDxdToken.address)).to.be.bignumber.equal(to18dp('400'));
+    });
+
+    it('Can re-price a payroll schedule for a new experience level and percentage worked', async () => {
+      // this will create schedule #1
+      await this.payroll.createPayroll(
+        this.mockToken.address,
+        beneficiary,
+        '5',
+        '100',
+        '0',
+        DEFAULT_DURATION_IN_DAYS,
+        DEFAULT_CLIFF_IN_DAYS,
+        {from: dao}
+      );
+
+      const payrollSchedule = await this.payroll.vestingSchedule('1');
+      const accrued = vestedAt(payrollSchedule._amount, this.now, payrollSchedule._end);
+
+      await this.payroll.updatePayrollSchedule('1', '1', '50', payrollSchedule._end, {from: dao});
+
+      // now is a second past the cliff so the remaining salary runs for a part day, paid to the second
+      const remainingSeconds = payrollSchedule._end.sub(this.now);
+      const remainingSalary = payrollAmount('1', '50', remainingSeconds).div(PERIOD_ONE_DAY_IN_SECONDS);
+      const expectedAmount = accrued.add(remainingSalary);
+      expect(remainingSalary).to.be.bignumber.gt(payrollAmount('1', '50', remainingSeconds.div(PERIOD_ONE_DAY_IN_SECONDS)));
+
+      const {_amount, _end} = await this.payroll.vestingSchedule('1');
+      expect(_amount).to.be.bignumber.equal(expectedAmount);
+      expect(_end).to.be.bignumber.equal(payrollSchedule._end);
+      expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(accrued);
+
+      // everything vests by the end
+      await this.payroll.setNow(payrollSchedule._end);
+      expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(expectedAmount);
+    });
+
+    it('Reverts re-pricing a DXD grant as a salary', async () => {
+      await expectRevert(
+        this.payroll.updatePayrollSchedule('0', '1', '50', this.schedule._end, {from: dao}),
+        "Payroll.updatePayrollSchedule: Not a payroll schedule"
+      );
+    });
+
+    it('Reverts if not admin or whitelist', async () => {
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('1000'), this.schedule._end, {from: random}),
+        "Payroll.updateSchedule: Only admin or whitelist"
+      );
+    });
+
+    it('Reverts when the schedule has been cancelled', async () => {
+      await this.payroll.cancelSchedule('0', this.now, {from: admin});
+
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('1000'), this.schedule._end, {from: admin}),
+        "Payroll.updateSchedule: Schedule cancelled"
+      );
+    });
+
+    it('Reverts when the schedule has ended', async () => {
+      await this.payroll.setNow(this.schedule._end);
+
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('1000'), this.schedule._end.addn(1), {from: admin}),
+        "Payroll.updateSchedule: Schedule has ended"
+      );
+    });
+
+    it('Reverts when the new end is not in the future', async () => {
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('1000'), this.now, {from: admin}),
+        "Payroll.updateSchedule: End must be in the future"
+      );
+    });
+
+    it('Reverts when the new end is before the cliff', async () => {
+      await this.payroll.setNow('1');
+
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('1000'), this.cliffInSecs.subn(1), {from: admin}),
+        "Payroll.updateSchedule: End cannot be before the cliff"
+      );
+    });
+
+    it('Reverts when the new amount does not cover what has already accrued', async () => {
+      await expectRevert(
+        this.payroll.updateSchedule('0', this.accrued, this.schedule._end, {from: admin}),
+        "Payroll.updateSchedule: Amount must be more than the amount already accrued"
+      );
+    });
+
+    it('Reverts when the increase is not funded', async () => {
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('1000001'), this.schedule._end, {from: admin}),
+        "Payroll.updateSchedule: Insufficient token balance to fund schedule"
+      );
+    });
+  });
+
+  describe('Payroll duration', () => {
+    const SHORT_DURATION_IN_DAYS = '30';
+    const LONG_DURATION_IN_DAYS = '1095';
+
+    it('Funds a short payroll schedule for its own duration', async () => {
+      await this.payroll.createPayroll(
+        this.mockToken.address,
+        beneficiary,
+        '5',
+        '100',
+        '0',
+        SHORT_DURATION_IN_DAYS,
+        '0',
+        {from: dao}
+      );
+
+      const {_end, _amount, _drawDownRate} = await this.payroll.vestingSchedule('0');
+      const {_amount: previewAmount, _drawDownRate: previewDrawDownRate} = await this.payroll.previewPayroll(this.mockToken.address, '5', '100', SHORT_DURATION_IN_DAYS);
+
+      expect(_end).to.be.bignumber.equal(PERIOD_ONE_DAY_IN_SECONDS.muln(30));
+      expect(_amount).to.be.bignumber.equal(payrollAmount('5', '100', SHORT_DURATION_IN_DAYS));
+      expect(_amount).to.be.bignumber.equal(previewAmount);
+      expect(_drawDownRate).to.be.bignumber.equal(previewDrawDownRate);
+
+      // roughly one month of an 8000 monthly salary
+      shouldBeNumberInEtherCloseTo(_amount, fromWei(to18dp('8000').muln(12).muln(30).divn(365)));
+    });
+
+    it('Funds a long payroll schedule for its own duration', async () => {
+      await this.payroll.createPayroll(
+        this.mockToken.address,
+        beneficiary,
+        '1',
+        '50',
+        '0',
+        LONG_DURATION_IN_DAYS,
+        DEFAULT_CLIFF_IN_DAYS,
+        {from: dao}
+      );
+
+      const {_amount, _drawDownRate} = await this.payroll.vestingSchedule('0');
+      const preview = await this.payroll.previewPayroll(this.mockToken.address, '1', '50', LONG_DURATION_IN_DAYS);
+
+      // three years at half of a 4000 monthly salary
+      expect(_amount).to.be.bignumber.equal(to18dp('72000'));
+      expect(preview._amount).to.be.bignumber.equal(_amount);
+      expect(preview._drawDownRate).to.be.bignumber.equal(_drawDownRate);
+    });
+
+    it('Uses the payroll duration for the payroll half of createPayrollAndDxd()', async () => {
+      await this.payroll.createPayrollAndDxd(
+        this.mockToken.address,
+        beneficiary,
+        '5',
+        '100',
+        '0',
+        SHORT_DURATION_IN_DAYS,
+        '0',
+        to18dp('1000'),
+        {from: dao}
+      );
+
+      const payrollSchedule = await this.payroll.vestingSchedule('0');
+      expect(payrollSchedule._amount).to.be.bignumber.equal(payrollAmount('5', '100', SHORT_DURATION_IN_DAYS));
+
+      // DXD still uses the global duration
+      const dxdSchedule = await this.payroll.vestingSchedule('1');
+      expect(dxdSchedule._end).to.be.bignumber.equal(this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS));
+      expect(dxdSchedule._amount).to.be.bignumber.equal(to18dp('1000'));
+    });
+
+    it('Uses the payroll duration for batches', async () => {
+      await this.batch.createPayrollBatch(
+        this.mockToken.address,
+        [beneficiary, random],
+        ['1', '2'],
+        ['100', '100'],
+        ['0', '0'],
+        SHORT_DURATION_IN_DAYS,
+        '0',
+        {from: dao}
+      );
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(payrollAmount('1', '100', SHORT_DURATION_IN_DAYS));
+      expect((await this.payroll.vestingSchedule('1'))._amount).to.be.bignumber.equal(payrollAmount('2', '100', SHORT_DURATION_IN_DAYS));
+    });
+
+    it('previewPayroll() reverts for an invalid experience level', async () => {
+      await expectRevert(
+        this.payroll.previewPayroll(this.mockToken.address, '7', '100', SHORT_DURATION_IN_DAYS),
+        "createPayroll: Invalid experience level"
+      );
+    });
+
+    it('previewPayroll() reverts for an empty duration', async () => {
+      await expectRevert(
+        this.payroll.previewPayroll(this.mockToken.address, '5', '100', '0'),
+        "Payroll.previewPayroll: Duration cannot be empty"
+      );
+    });
+  });
+
+  describe('Reference currency pricing', () => {
+    const DURATION_IN_DAYS = '365';
+
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+
+      this.priceSource = await MockPriceSource.new();
+
+      // 6 decimal place stable coin
+      this.mockUsdc = await MockERC20WithDecimals.new('6');
+      await executeViaTimelock('whitelistToken', [this.mockUsdc.address]);
+      await this.payroll.setPriceSource(this.mockUsdc.address, this.peggedPriceSource.address, {from: admin});
+      await this.mockUsdc.transfer(this.payroll.address, new BN('1000000').mul(new BN('10').pow(new BN('6'))));
+    });
+
+    it('Pays an 18 decimal token with a pegged price source 1:1 with the reference currency', async () => {
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(payrollAmount('5', '100', DURATION_IN_DAYS));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(to18dp('1'));
+    });
+
+    it('Reverts for a token without a price source', async () => {
+      const mockToken = await MockERC20.new();
+      await executeViaTimelock('whitelistToken', [mockToken.address]);
+
+      await expectRevert(
+        this.payroll.createPayroll(mockToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao}),
+        "Payroll.toTokenAmount: No price source"
+      );
+      await expectRevert(
+        this.payroll.previewPayroll(mockToken.address, '5', '100', DURATION_IN_DAYS),
+        "Payroll.toTokenAmount: No price source"
+      );
+    });
+
+    it('Converts salaries into the token at the price source price', async () => {
+      // 1 DXD = 400 USD
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('400'));
+
+      await this.payroll.createPayroll(this.mockDxdToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+
+      // a year of an 8000 USD monthly salary is 96000 USD or 240 DXD
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('240'));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(to18dp('400'));
+
+      const preview = await this.payroll.previewPayroll(this.mockDxdToken.address, '5', '100', DURATION_IN_DAYS);
+      expect(preview._amount).to.be.bignumber.equal(to18dp('240'));
+      expect(preview._price).to.be.bignumber.equal(to18dp('400'));
+    });
+
+    it('Same salary vests the same value whichever token it is paid in', async () => {
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('400'));
+
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+      await this.payroll.createPayroll(this.mockDxdToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+
+      const daiAmount = (await this.payroll.vestingSchedule('0'))._amount;
+      const dxdAmount = (await this.payroll.vestingSchedule('1'))._amount;
+      expect(dxdAmount.mul(to18dp('400')).div(to18dp('1'))).to.be.bignumber.equal(daiAmount);
+    });
+
+    it('Scales salaries to the decimals of the token', async () => {
+      await this.payroll.createPayroll(this.mockUsdc.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(new BN('96000').mul(new BN('10').pow(new BN('6'))));
+    });
+
+    it('Records the price used by each schedule in a batch', async () => {
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('500'));
+
+      await this.batch.createPayrollBatch(
+        this.mockDxdToken.address,
+        [beneficiary, random],
+        ['5', '1'],
+        ['100', '50'],
+        ['0', '0'],
+        DURATION_IN_DAYS,
+        '0',
+        {from: dao}
+      );
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('192'));
+      expect((await this.payroll.vestingSchedule('1'))._amount).to.be.bignumber.equal(to18dp('48'));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(to18dp('500'));
+      expect(await this.payroll.tokenPriceForSchedule('1')).to.be.bignumber.equal(to18dp('500'));
+    });
+
+    it('Keeps the creation price when the feed moves', async () => {
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('400'));
+
+      await this.payroll.createPayroll(this.mockDxdToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('800'));
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('240'));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(to18dp('400'));
+    });
+
+    it('Converts the rest of an updated payroll schedule at the current price', async () => {
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('400'));
+
+      await this.payroll.createPayroll(this.mockDxdToken.address, beneficiary, '5', '100', '0', '730', '0', {from: dao});
+
+      // half way through the price doubles and the second year is re-priced
+      const halfWay = PERIOD_ONE_DAY_IN_SECONDS.muln(365);
+      await this.payroll.setNow(halfWay);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('800'));
+      await this.payroll.updatePayrollSchedule('0', '5', '100', halfWay.muln(2), {from: admin});
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('240').add(to18dp('120')));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(to18dp('800'));
+    });
+
+    it('Does not price DXD grants', async () => {
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await this.priceSource.setPrice(this.mockDxdToken.address, to18dp('400'));
+
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('100'));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal('0');
+    });
+
+    it('Reverts when the price source has no price for the token', async () => {
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+
+      await expectRevert(
+        this.payroll.createPayroll(this.mockDxdToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao}),
+        "Payroll.toTokenAmount: No price for token"
+      );
+    });
+
+    it('Reverts once the price source is removed', async () => {
+      const {tx} = await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, this.priceSource.address]);
+      await expectEvent.inTransaction(tx, this.payroll, 'PriceSourceUpdated', {
+        _token: this.mockDxdToken.address,
+        _priceSource: this.priceSource.address
+      });
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, ZERO_ADDRESS]);
+
+      await expectRevert(
+        this.payroll.createPayroll(this.mockDxdToken.address, beneficiary, '5', '100', '0', DURATION_IN_DAYS, '0', {from: dao}),
+        "Payroll.toTokenAmount: No price source"
+      );
+    });
+
+    it('Lets a payroll manager set the first price source of a token', async () => {
+      const mockToken = await MockERC20.new();
+      await executeViaTimelock('whitelistToken', [mockToken.address]);
+
+      const receipt = await this.payroll.setPriceSource(mockToken.address, this.priceSource.address, {from: admin});
+      await expectEvent(receipt, 'PriceSourceUpdated', {
+        _token: mockToken.address,
+        _priceSource: this.priceSource.address
+      });
+      expect(await this.payroll.priceSources(mockToken.address)).to.be.equal(this.priceSource.address);
+    });
+
+    it('Reverts when setting the first price source without the payroll manager role', async () => {
+      const mockToken = await MockERC20.new();
+      await expectRevert(
+        this.payroll.setPriceSource(mockToken.address, this.priceSource.address, {from: random}),
+        "Payroll.setPriceSource: Only timelock"
+      );
+    });
+
+    it('Reverts when replacing a price source without the timelock', async () => {
+      await expectRevert(
+        this.payroll.setPriceSource(this.mockDxdToken.address, this.priceSource.address, {from: admin}),
+        "Payroll.setPriceSource: Only timelock"
+      );
+    });
+  });
+
+  describe('createPayrollForBand()', () => {
+    const CORE_CONTRIBUTOR = web3.utils.padRight(web3.utils.utf8ToHex('core contributor'), 64);
+    const DURATION_IN_DAYS = '365';
+
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+
+      this.salaryTables = await SalaryTables.new(this.payroll.address, {from: admin});
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, this.mockToken.address, ['1', '2'], [to18dp('10000'), to18dp('12000')], {from: admin});
+    });
+
+    it('Uses the band salary for the token', async () => {
+      const setReceipt = await this.payroll.setSalaryTables(this.salaryTables.address, {from: admin});
+      await expectEvent(setReceipt, 'SalaryTablesUpdated', {
+        _salaryTables: this.salaryTables.address
+      });
+      expect(await this.payroll.salaryTables()).to.be.equal(this.salaryTables.address);
+
+      const receipt = await this.payroll.createPayrollForBand(
+        CORE_CONTRIBUTOR,
+        this.mockToken.address,
+        beneficiary,
+        '2',
+        '50',
+        '0',
+        DURATION_IN_DAYS,
+        '0',
+        {from: dao}
+      );
+      await expectEvent(receipt, 'ScheduleCreated', {_beneficiary: beneficiary, _id: '0'});
+
+      // half of a year at 12000 a month
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('72000'));
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(to18dp('1'));
+    });
+
+    it('Converts the band salary through the price source of the token', async () => {
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, this.mockDxdToken.address, ['1'], [to18dp('8000')], {from: admin});
+      await this.payroll.setSalaryTables(this.salaryTables.address, {from: admin});
+
+      const priceSource = await MockPriceSource.new();
+      await priceSource.setPrice(this.mockDxdToken.address, to18dp('400'));
+      await executeViaTimelock('setPriceSource', [this.mockDxdToken.address, priceSource.address]);
+
+      await this.payroll.createPayrollForBand(CORE_CONTRIBUTOR, this.mockDxdToken.address, beneficiary, '1', '100', '0', DURATION_IN_DAYS, '0', {from: dao});
+
+      expect((await this.payroll.vestingSchedule('0'))._amount).to.be.bignumber.equal(to18dp('240'));
+    });
+
+    it('Reverts when the salary tables have not been set', async () => {
+      await expectRevert(
+        this.payroll.createPayrollForBand(CORE_CONTRIBUTOR, this.mockToken.address, beneficiary, '1', '100', '0', DURATION_IN_DAYS, '0', {from: dao}),
+        "Payroll.createPayrollForBand: Salary tables not set"
+      );
+    });
+
+    it('Reverts for a level that is not in the band table for the token', async () => {
+      await this.payroll.setSalaryTables(this.salaryTables.address, {from: admin});
+
+      await expectRevert(
+        this.payroll.createPayrollForBand(CORE_CONTRIBUTOR, this.mockToken.address, beneficiary, '3', '100', '0', DURATION_IN_DAYS, '0', {from: dao}),
+        "SalaryTables.salary: Level not configured"
+      );
+
+      await expectRevert(
+        this.payroll.createPayrollForBand(CORE_CONTRIBUTOR, this.mockDxdToken.address, beneficiary, '1', '100', '0', DURATION_IN_DAYS, '0', {from: dao}),
+        "SalaryTables.salary: Level not configured"
+      );
+    });
+
+    it('Reverts when not whitelisted', async () => {
+      await this.payroll.setSalaryTables(this.salaryTables.address, {from: admin});
+
+      await expectRevert(
+        this.payroll.createPayrollForBand(CORE_CONTRIBUTOR, this.mockToken.address, beneficiary, '1', '100', '0', DURATION_IN_DAYS, '0', {from: random}),
+        "Vesting.createVestingSchedule: Only whitelist"
+      );
+    });
+
+    it('Replaces the salary tables in use through the timelock', async () => {
+      await this.payroll.setSalaryTables(this.salaryTables.address, {from: admin});
+
+      const newTables = await SalaryTables.new(this.payroll.address, {from: admin});
+      await expectRevert(
+        this.payroll.setSalaryTables(newTables.address, {from: admin}),
+        "Payroll.setSalaryTables: Only timelock"
+      );
+
+      await executeViaTimelock('setSalaryTables', [newTables.address]);
+      expect(await this.payroll.salaryTables()).to.be.equal(newTables.address);
+    });
+
+    it('Reverts when setting the salary tables as non payroll manager', async () => {
+      await expectRevert(
+        this.payroll.setSalaryTables(this.salaryTables.address, {from: random}),
+        "Payroll.setSalaryTables: Only timelock"
+      );
+    });
+  });
+
+  describe('Vesting curves', () => {
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+    });
+
+    describe('Linear', () => {
+      it('Is the curve used by the existing creation functions', async () => {
+        await this.payroll.createDxd(beneficiary, '0', to18dp('1000'), {from: dao});
+
+        const {_curve, _cliffUnlockPercentage} = await this.payroll.vestingSchedule('0');
+        expect(_curve).to.be.bignumber.equal(VestingCurve.LINEAR);
+        expect(_cliffUnlockPercentage).to.be.bignumber.equal('0');
+      });
+
+      it('Vests per second without a cliff', async () => {
+        await executeViaTimelock('setDurationAndCliffInDays', ['100', '0']);
+        await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('8640'), VestingCurve.LINEAR, '0', {from: dao});
+
+        const {_drawDownRate} = await this.payroll.vestingSchedule('0');
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(_drawDownRate);
+
+        await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS);
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(_drawDownRate.mul(PERIOD_ONE_DAY_IN_SECONDS));
+
+        await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(100));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('8640'));
+      });
+    });
+
+    describe('Monthly step', () => {
+      beforeEach(async () => {
+        // 12 steps of 100
+        await executeViaTimelock('setDurationAndCliffInDays', ['360', '0']);
+        await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1200'), VestingCurve.MONTHLY_STEP, '0', {from: dao});
+        this.month = PERIOD_ONE_DAY_IN_SECONDS.muln(30);
+      });
+
+      it('Stores the curve on the schedule', async () => {
+        const {_curve} = await this.payroll.vestingSchedule('0');
+        expect(_curve).to.be.bignumber.equal(VestingCurve.MONTHLY_STEP);
+      });
+
+      it('Releases nothing until the first month has passed', async () => {
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+
+        await this.payroll.setNow(this.month.subn(1));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+      });
+
+      it('Releases a step at the end of each month', async () => {
+        await this.payroll.setNow(this.month);
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('100'));
+
+        await this.payroll.drawDown('0');
+
+        await this.payroll.setNow(this.month.muln(2).subn(1));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+
+        await this.payroll.setNow(this.month.muln(3));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('200'));
+      });
+
+      it('Releases everything at the end', async () => {
+        await this.payroll.setNow(this.month.muln(12).subn(1));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('1100'));
+
+        await this.payroll.setNow(this.month.muln(12));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('1200'));
+
+        await this.payroll.drawDown('0');
+        expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal(to18dp('1200'));
+      });
+
+      it('Respects the cliff', async () => {
+        await executeViaTimelock('setDurationAndCliffInDays', ['360', '90']);
+        await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1200'), VestingCurve.MONTHLY_STEP, '0', {from: dao});
+
+        await this.payroll.setNow(this.month.muln(3));
+        expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal('0');
+
+        await this.payroll.setNow(this.month.muln(3).addn(1));
+        expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(to18dp('300'));
+      });
+
+      it('Rounds a partial final month up to a whole step', async () => {
+        // 730 days is 24 full months plus 10 days, so 25 steps
+        await executeViaTimelock('setDurationAndCliffInDays', ['730', '0']);
+        await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('2500'), VestingCurve.MONTHLY_STEP, '0', {from: dao});
+
+        await this.payroll.setNow(this.month.muln(24));
+        expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(to18dp('2400'));
+
+        await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(730));
+        expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(to18dp('2500'));
+      });
+    });
+
+    describe('Cliff unlock', () => {
+      beforeEach(async () => {
+        // 25% at the cliff, the rest linearly over the following 365 days
+        await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1000'), VestingCurve.CLIFF_UNLOCK, '25', {from: dao});
+        this.cliffInSecs = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+        this.endInSecs = this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+      });
+
+      it('Stores the curve and unlock percentage on the schedule', async () => {
+        const {_curve, _cliffUnlockPercentage} = await this.payroll.vestingSchedule('0');
+        expect(_curve).to.be.bignumber.equal(VestingCurve.CLIFF_UNLOCK);
+        expect(_cliffUnlockPercentage).to.be.bignumber.equal('25');
+      });
+
+      it('Releases nothing up to the cliff', async () => {
+        await this.payroll.setNow(this.cliffInSecs);
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+      });
+
+      it('Releases the unlock percentage straight after the cliff', async () => {
+        await this.payroll.setNow(this.cliffInSecs.addn(1));
+
+        const vestedForOneSecond = to18dp('750').div(this.endInSecs.sub(this.cliffInSecs));
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(
+          to18dp('250').add(vestedForOneSecond)
+        );
+      });
+
+      it('Vests the remainder linearly until the end', async () => {
+        const halfWay = this.cliffInSecs.add(this.endInSecs.sub(this.cliffInSecs).divn(2));
+        await this.payroll.setNow(halfWay);
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('625'));
+
+        await this.payroll.drawDown('0');
+
+        await this.payroll.setNow(this.endInSecs);
+        expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(to18dp('375'));
+
+        await this.payroll.drawDown('0');
+        expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal(to18dp('1000'));
+      });
+
+      it('Releases everything at the cliff when the unlock percentage is 100', async () => {
+        await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1000'), VestingCurve.CLIFF_UNLOCK, '100', {from: dao});
+
+        await this.payroll.setNow(this.cliffInSecs.addn(1));
+        expect(await this.payroll.availableDrawDownAmount('1')).to.be.bignumber.equal(to18dp('1000'));
+      });
+    });
+
+    it('Can create a payroll schedule with a curve', async () => {
+      await this.payroll.createPayrollWithCurve(
+        this.mockToken.address,
+        beneficiary,
+        '5',
+        '100',
+        '0',
+        DEFAULT_DURATION_IN_DAYS,
+        DEFAULT_CLIFF_IN_DAYS,
+        VestingCurve.CLIFF_UNLOCK,
+        '10',
+        {from: dao}
+      );
+
+      const {_token, _amount, _curve, _cliffUnlockPercentage} = await this.payroll.vestingSchedule('0');
+      expect(_token).to.be.equal(this.mockToken.address);
+      expect(_curve).to.be.bignumber.equal(VestingCurve.CLIFF_UNLOCK);
+      expect(_cliffUnlockPercentage).to.be.bignumber.equal('10');
+
+      await this.payroll.setNow(this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS).addn(1));
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.gt(_amount.divn(10));
+    });
+
+    it('Reverts when the cliff unlock percentage exceeds 100', async () => {
+      await expectRevert(
+        this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1000'), VestingCurve.CLIFF_UNLOCK, '101', {from: dao}),
+        "Vesting.createVestingSchedule: Cliff unlock percentage cannot exceed 100"
+      );
+    });
+
+    it('Reverts when a cliff unlock percentage is given for another curve', async () => {
+      await expectRevert(
+        this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1000'), VestingCurve.MONTHLY_STEP, '10', {from: dao}),
+        "Vesting.createVestingSchedule: Cliff unlock percentage only applies to the cliff unlock curve"
+      );
+    });
+
+    it('Reverts when amending a schedule that is not linear', async () => {
+      await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1000'), VestingCurve.MONTHLY_STEP, '0', {from: dao});
+
+      await expectRevert(
+        this.payroll.updateSchedule('0', to18dp('2000'), this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS), {from: admin}),
+        "Payroll.updateSchedule: Only linear schedules can be amended"
+      );
+    });
+
+    it('Can only cancel a schedule that is not linear with immediate effect', async () => {
+      await this.payroll.createDxdWithCurve(beneficiary, '0', to18dp('1000'), VestingCurve.CLIFF_UNLOCK, '25', {from: dao});
+
+      const cliffInSecs = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+      await this.payroll.setNow(cliffInSecs.addn(1));
+
+      await expectRevert(
+        this.payroll.cancelSchedule('0', cliffInSecs.addn(2), {from: admin}),
+        "Payroll.cancelSchedule: Only linear schedules can be cancelled in the future"
+      );
+
+      const vested = await this.payroll.availableDrawDownAmount('0');
+      await this.payroll.cancelSchedule('0', cliffInSecs.addn(1), {from: admin});
+
+      await this.payroll.setNow(cliffInSecs.addn(100));
+      expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal(vested);
+    });
+  });
+
+  describe('Vesting precision', () => {
+    const DURATION_IN_DAYS = '30';
+    const durationInSecs = new BN(DURATION_IN_DAYS).mul(PERIOD_ONE_DAY_IN_SECONDS);
+
+    // an amount that does not divide evenly by the duration in seconds
+    const amount = new BN('1000000000000000000007');
+
+    // deterministic pseudo random gaps between draw downs
+    const pseudoRandomGaps = (seed, count, maxGap) => {
+      const gaps = [];
+      let value = seed;
+      for (let i = 0; i < count; i++) {
+        value = (value * 1103515245 + 12345) % 2147483648;
+        gaps.push(new BN(value % maxGap).addn(1));
+      }
+      return gaps;
+    };
+
+    const cadences = {
+      'once at the end': [durationInSecs],
+      'daily': [...Array(30)].map(() => PERIOD_ONE_DAY_IN_SECONDS),
+      'weekly': [...Array(5)].map(() => PERIOD_ONE_DAY_IN_SECONDS.muln(7)),
+      'at uneven intervals': pseudoRandomGaps(42, 20, 3 * 86400),
+      'every 999,999 seconds': [...Array(3)].map(() => new BN('999999')),
+    };
+
+    const drawDownAtCadence = async (scheduleId, scheduleAmount, gaps, token) => {
+      let now = new BN('0');
+      for (const gap of gaps) {
+        now = now.add(gap);
+        await this.payroll.setNow(now);
+
+        if ((await this.payroll.availableDrawDownAmount(scheduleId)).gtn(0)) {
+          await this.payroll.drawDown(scheduleId);
+        }
+
+        // nothing is lost to rounding part way through the schedule
+        const expectedVested = now.gte(durationInSecs) ? scheduleAmount : vestedAt(scheduleAmount, now, durationInSecs);
+        expect(await this.payroll.totalDrawn(scheduleId)).to.be.bignumber.equal(expectedVested);
+      }
+
+      await this.payroll.setNow(durationInSecs.addn(1));
+      if ((await this.payroll.availableDrawDownAmount(scheduleId)).gtn(0)) {
+        await this.payroll.drawDown(scheduleId);
+      }
+
+      expect(await this.payroll.totalDrawn(scheduleId)).to.be.bignumber.equal(scheduleAmount);
+      expect(await token.balanceOf(beneficiary)).to.be.bignumber.equal(scheduleAmount);
+      expect(await this.payroll.availableDrawDownAmount(scheduleId)).to.be.bignumber.equal('0');
+    };
+
+    beforeEach(async () => {
+      await this.payroll.setNow('0');
+      await executeViaTimelock('setDurationAndCliffInDays', [DURATION_IN_DAYS, '0']);
+    });
+
+    Object.keys(cadences).forEach((cadence) => {
+      it(`The sum of all draw downs equals the amount when drawing ${cadence}`, async () => {
+        await this.payroll.createDxd(beneficiary, '0', amount, {from: dao});
+        await drawDownAtCadence('0', amount, cadences[cadence], this.mockDxdToken);
+      });
+    });
+
+    it('The sum of all draw downs equals a salary derived amount', async () => {
+      await this.payroll.createPayroll(
+        this.mockToken.address,
+        beneficiary,
+        '3',
+        '33',
+        '0',
+        DURATION_IN_DAYS,
+        '0',
+        {from: dao}
+      );
+
+      const {_amount} = await this.payroll.vestingSchedule('0');
+      expect(_amount).to.be.bignumber.equal(payrollAmount('3', '33', DURATION_IN_DAYS));
+
+      await drawDownAtCadence('0', _amount, cadences['at uneven intervals'], this.mockToken);
+    });
+
+    it('Does not truncate the percentage worked before applying it', async () => {
+      await this.payroll.createPayroll(
+        this.mockToken.address,
+        beneficiary,
+        '1',
+        '1',
+        '0',
+        DURATION_IN_DAYS,
+        '0',
+        {from: dao}
+      );
+
+      // 1% of 30 days of a yearly salary of 4000 * 12, divided once at the end
+      const {_amount} = await this.payroll.vestingSchedule('0');
+      expect(_amount).to.be.bignumber.equal(to18dp('4000').muln(12).muln(30).muln(1).divn(36500));
+    });
+  });
+
+  describe('Off-chain simulator', () => {
+    const salaryTable = experienceLevels.reduce((table, level, i) => ({...table, [level]: salaries[i].toString()}), {});
+
+    const START = PERIOD_ONE_DAY_IN_SECONDS.muln(10);
+
+    const expectScheduleToMatch = async (scheduleId, simulated) => {
+      const schedule = await this.payroll.vestingSchedule(scheduleId);
+      expect(schedule._start).to.be.bignumber.equal(simulated.start.toString());
+      expect(schedule._cliff).to.be.bignumber.equal(simulated.cliff.toString());
+      expect(schedule._end).to.be.bignumber.equal(simulated.end.toString());
+      expect(schedule._amount).to.be.bignumber.equal(simulated.amount.toString());
+      expect(schedule._drawDownRate).to.be.bignumber.equal(simulated.drawDownRate.toString());
+      expect(schedule._curve).to.be.bignumber.equal(simulated.curve.toString());
+      expect(schedule._cliffUnlockPercentage).to.be.bignumber.equal(simulated.cliffUnlockPercentage.toString());
+    };
+
+    // either side of the start, cliff and end, plus uneven points in between
+    const timesAround = ({start, cliff, end}) => {
+      const times = [start, cliff, end].reduce((all, time) => [...all, time.sub(1), time, time.add(1)], []);
+      for (let i = 1; i < 8; i++) {
+        times.push(start.add(end.sub(start).mul(i).div(7)).add(i * 1013));
+      }
+      return times.filter(time => time.gt(0)).map(time => new BN(time.toString()));
+    };
+
+    const expectVestingToMatch = async (scheduleId, simulated) => {
+      for (const time of timesAround(simulated)) {
+        await this.payroll.setNow(time);
+        expect(await this.payroll.availableDrawDownAmount(scheduleId)).to.be.bignumber.equal(
+          simulator.availableDrawDownAmount(simulated, time).toString()
+        );
+      }
+    };
+
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+    });
+
+    it('Matches the schedules and vesting of createPayrollAndDxd', async () => {
+      await this.payroll.createPayrollAndDxd(this.mockToken.address, beneficiary, '3', '60', START, '90', '14', to18dp('1500'), {from: dao});
+
+      const {payroll, dxd} = simulator.createPayrollAndDxd({
+        salaries: salaryTable,
+        experienceLevel: '3',
+        percentageWorked: '60',
+        start: START,
+        payrollDurationInDays: '90',
+        payrollCliffDurationInDays: '14',
+        dxdAmount: to18dp('1500'),
+      });
+
+      await expectScheduleToMatch('0', payroll);
+      await expectScheduleToMatch('1', dxd);
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(payroll.price.toString());
+
+      await expectVestingToMatch('0', payroll);
+      await expectVestingToMatch('1', dxd);
+    });
+
+    it('Matches a salary priced by a price source in a 6 decimal token', async () => {
+      const priceSource = await MockPriceSource.new();
+      const mockUsdc = await MockERC20WithDecimals.new('6');
+      await executeViaTimelock('whitelistToken', [mockUsdc.address]);
+      await mockUsdc.transfer(this.payroll.address, new BN('1000000').mul(new BN('10').pow(new BN('6'))));
+
+      // slightly off the peg so the conversion has to round
+      const price = new BN('999700000000000000');
+      await executeViaTimelock('setPriceSource', [mockUsdc.address, priceSource.address]);
+      await priceSource.setPrice(mockUsdc.address, price);
+
+      await this.payroll.createPayroll(mockUsdc.address, beneficiary, '4', '33', START, '45', '0', {from: dao});
+
+      const simulated = simulator.createPayroll({
+        salaries: salaryTable,
+        experienceLevel: '4',
+        percentageWorked: '33',
+        start: START,
+        durationInDays: '45',
+        cliffDurationInDays: '0',
+        price,
+        decimals: 6,
+      });
+
+      await expectScheduleToMatch('0', simulated);
+      expect(await this.payroll.tokenPriceForSchedule('0')).to.be.bignumber.equal(price);
+
+      const preview = await this.payroll.previewPayroll(mockUsdc.address, '4', '33', '45');
+      expect(preview._amount).to.be.bignumber.equal(simulated.amount.toString());
+      expect(preview._drawDownRate).to.be.bignumber.equal(simulated.drawDownRate.toString());
+
+      await expectVestingToMatch('0', simulated);
+    });
+
+    it('Matches the monthly step and cliff unlock curves', async () => {
+      await this.payroll.createPayrollWithCurve(
+        this.mockToken.address, beneficiary, '2', '100', START, '100', '31', VestingCurve.MONTHLY_STEP, '0', {from: dao}
+      );
+      await this.payroll.createPayrollWithCurve(
+        this.mockToken.address, beneficiary, '5', '75', START, '200', '60', VestingCurve.CLIFF_UNLOCK, '25', {from: dao}
+      );
+
+      const monthlyStep = simulator.createPayroll({
+        salaries: salaryTable,
+        experienceLevel: '2',
+        percentageWorked: '100',
+        start: START,
+        durationInDays: '100',
+        cliffDurationInDays: '31',
+        curve: simulator.VESTING_CURVE.MONTHLY_STEP,
+      });
+      const cliffUnlock = simulator.createPayroll({
+        salaries: salaryTable,
+        experienceLevel: '5',
+        percentageWorked: '75',
+        start: START,
+        durationInDays: '200',
+        cliffDurationInDays: '60',
+        curve: simulator.VESTING_CURVE.CLIFF_UNLOCK,
+        cliffUnlockPercentage: '25',
+      });
+
+      await expectScheduleToMatch('0', monthlyStep);
+      await expectScheduleToMatch('1', cliffUnlock);
+
+      await expectVestingToMatch('0', monthlyStep);
+      await expectVestingToMatch('1', cliffUnlock);
+    });
+
+    it('Matches each draw down over the life of a schedule', async () => {
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '80', START, '30', '7', {from: dao});
+
+      const simulated = simulator.createPayroll({
+        salaries: salaryTable,
+        experienceLevel: '1',
+        percentageWorked: '80',
+        start: START,
+        durationInDays: '30',
+        cliffDurationInDays: '7',
+      });
+
+      const times = [3, 8, 9, 15, 22, 29, 31].map(day => START.add(PERIOD_ONE_DAY_IN_SECONDS.muln(day)).addn(day * 37));
+      const drawDowns = simulator.simulateDrawDowns(simulated, times);
+
+      for (let i = 0; i < times.length; i++) {
+        await this.payroll.setNow(times[i]);
+
+        if (drawDowns[i].amount.gt(0)) {
+          const receipt = await this.payroll.drawDown('0', {from: beneficiary});
+          await expectEvent(receipt, 'DrawDown', {_beneficiary: beneficiary, _amount: drawDowns[i].amount.toString()});
+        } else {
+          expect(await this.payroll.availableDrawDownAmount('0')).to.be.bignumber.equal('0');
+        }
+
+        expect(await this.payroll.totalDrawn('0')).to.be.bignumber.equal(drawDowns[i].drawn.toString());
+      }
+
+      expect(drawDowns[times.length - 1].drawn).to.be.deep.equal(simulated.amount);
+    });
+
+    it('Rejects the same parameters as the contract', async () => {
+      await expectRevert(
+        this.payroll.createPayroll(this.mockToken.address, beneficiary, '9', '100', START, '30', '0', {from: dao}),
+        "createPayroll: Invalid experience level"
+      );
+      expect(() => simulator.createPayroll({
+        salaries: salaryTable, experienceLevel: '9', percentageWorked: '100', start: START, durationInDays: '30', cliffDurationInDays: '0',
+      })).to.throw('createPayroll: Invalid experience level');
+
+      await expectRevert(
+        this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', START, '30', '31', {from: dao}),
+        "Vesting.createVestingSchedule: Cliff can not be bigger than duration"
+      );
+      expect(() => simulator.createPayroll({
+        salaries: salaryTable, experienceLevel: '1', percentageWorked: '100', start: START, durationInDays: '30', cliffDurationInDays: '31',
+      })).to.throw('Vesting.createVestingSchedule: Cliff can not be bigger than duration');
+    });
+  });
+
+  describe('Beneficiary migration', () => {
+    const newBeneficiary = otherAccounts[0];
+
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+
+      // schedules #0 and #2 belong to beneficiary, #1 to random
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await this.payroll.createDxd(random, '0', to18dp('100'), {from: dao});
+      await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+
+      this.afterCliff = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS).addn(1);
+    });
+
+    const expectSchedulesMoved = async () => {
+      expect((await this.payroll.vestingSchedule('0'))._beneficiary).to.be.equal(newBeneficiary);
+      expect((await this.payroll.vestingSchedule('1'))._beneficiary).to.be.equal(random);
+      expect((await this.payroll.vestingSchedule('2'))._beneficiary).to.be.equal(newBeneficiary);
+
+      await this.payroll.setNow(this.afterCliff);
+
+      expect(await this.payroll.activeScheduleIdsForBeneficiary(beneficiary)).to.be.deep.equal([]);
+
+      const activeScheduleIds = await this.payroll.activeScheduleIdsForBeneficiary(newBeneficiary);
+      expect(activeScheduleIds.length).to.be.equal(2);
+      expect(activeScheduleIds[0]).to.be.bignumber.equal('0');
+      expect(activeScheduleIds[1]).to.be.bignumber.equal('2');
+
+      // vested tokens now go to the new address
+      await this.payroll.drawDownAll({from: newBeneficiary});
+      expect(await this.mockDxdToken.balanceOf(newBeneficiary)).to.be.bignumber.gt('0');
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal('0');
+    };
+
+    it('Moves every schedule once an admin approves the proposed address', async () => {
+      const proposeReceipt = await this.payroll.proposeBeneficiaryChange(newBeneficiary, {from: beneficiary});
+      await expectEvent(proposeReceipt, 'BeneficiaryChangeProposed', {
+        _beneficiary: beneficiary,
+        _newBeneficiary: newBeneficiary
+      });
+      expect(await this.payroll.pendingBeneficiaryChange(beneficiary)).to.be.equal(newBeneficiary);
+
+      const receipt = await this.payroll.approveBeneficiaryChange(beneficiary, newBeneficiary, {from: admin});
+      await expectEvent(receipt, 'BeneficiaryChanged', {
+        _oldBeneficiary: beneficiary,
+        _newBeneficiary: newBeneficiary,
+        _id: '0'
+      });
+      await expectEvent(receipt, 'BeneficiaryChanged', {
+        _oldBeneficiary: beneficiary,
+        _newBeneficiary: newBeneficiary,
+        _id: '2'
+      });
+
+      expect(await this.payroll.pendingBeneficiaryChange(beneficiary)).to.be.equal(ZERO_ADDRESS);
+
+      await expectSchedulesMoved();
+    });
+
+    it('Lets an admin reassign schedules in an emergency through the timelock', async () => {
+      const data = this.payroll.contract.methods.reassignBeneficiary(beneficiary, newBeneficiary).encodeABI();
+      const {logs} = await this.timelock.queue(this.payroll.address, data, {from: admin});
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([logs[0].args._actionId]);
+
+      await time.increase(await this.timelock.delay());
+      await this.timelock.execute(logs[0].args._actionId, {from: admin});
+
+      await expectSchedulesMoved();
+    });
+
+    it('Keeps existing schedules of the new address', async () => {
+      await executeViaTimelock('reassignBeneficiary', [beneficiary, random]);
+
+      await this.payroll.setNow(this.afterCliff);
+      const activeScheduleIds = await this.payroll.activeScheduleIdsForBeneficiary(random);
+      expect(activeScheduleIds.map(id => id.toString())).to.be.deep.equal(['1', '0', '2']);
+    });
+
+    it('Beneficiary can cancel a proposal', async () => {
+      await this.payroll.proposeBeneficiaryChange(newBeneficiary, {from: beneficiary});
+
+      const receipt = await this.payroll.cancelBeneficiaryChange({from: beneficiary});
+      await expectEvent(receipt, 'BeneficiaryChangeCancelled', {_beneficiary: beneficiary});
+
+      await expectRevert(
+        this.payroll.approveBeneficiaryChange(beneficiary, newBeneficiary, {from: admin}),
+        "Payroll.approveBeneficiaryChange: Does not match the proposed address"
+      );
+    });
+
+    it('Reverts when approving an address that was not proposed', async () => {
+      await this.payroll.proposeBeneficiaryChange(newBeneficiary, {from: beneficiary});
+
+      await expectRevert(
+        this.payroll.approveBeneficiaryChange(beneficiary, random, {from: admin}),
+        "Payroll.approveBeneficiaryChange: Does not match the proposed address"
+      );
+    });
+
+    it('Reverts when approving as non admin', async () => {
+      await this.payroll.proposeBeneficiaryChange(newBeneficiary, {from: beneficiary});
+
+      await expectRevert(
+        this.payroll.approveBeneficiaryChange(beneficiary, newBeneficiary, {from: beneficiary}),
+        "Payroll.approveBeneficiaryChange: Only admin"
+      );
+    });
+
+    it('Reverts when an admin reassigns without the timelock', async () => {
+      await expectRevert(
+        this.payroll.reassignBeneficiary(beneficiary, newBeneficiary, {from: admin}),
+        "Payroll.reassignBeneficiary: Only timelock"
+      );
+    });
+
+    it('Reverts when queueing a reassignment as non admin', async () => {
+      const data = this.payroll.contract.methods.reassignBeneficiary(beneficiary, newBeneficiary).encodeABI();
+      await expectRevert(
+        this.timelock.queue(this.payroll.address, data, {from: random}),
+        "PayrollTimelock.queue: Missing role for action"
+      );
+    });
+
+    it('Reverts when proposing address zero', async () => {
+      await expectRevert(
+        this.payroll.proposeBeneficiaryChange(ZERO_ADDRESS, {from: beneficiary}),
+        "Payroll.proposeBeneficiaryChange: Cannot be address zero"
+      );
+    });
+
+    it('Reverts when proposing the current address', async () => {
+      await expectRevert(
+        this.payroll.proposeBeneficiaryChange(beneficiary, {from: beneficiary}),
+        "Payroll.proposeBeneficiaryChange: Already the beneficiary"
+      );
+    });
+
+    it('Reverts when proposing without any schedules', async () => {
+      await expectRevert(
+        this.payroll.proposeBeneficiaryChange(newBeneficiary, {from: admin2}),
+        "Payroll.proposeBeneficiaryChange: No schedules to move"
+      );
+    });
+
+    it('Reverts when cancelling without a proposal', async () => {
+      await expectRevert(
+        this.payroll.cancelBeneficiaryChange({from: beneficiary}),
+        "Payroll.cancelBeneficiaryChange: Nothing proposed"
+      );
+    });
+
+    it('Reverts when reassigning an address without schedules', async () => {
+      await expectRevert(
+        executeViaTimelock('reassignBeneficiary', [admin2, newBeneficiary]),
+        "Payroll.moveSchedules: No schedules to move"
+      );
+    });
+  });
+
+  describe('Delegated claiming', () => {
+    const [operator, recipient, relayer] = otherAccounts;
+
+    beforeEach(async () => {
+      await this.payroll.setNow('1');
+
+      // schedules #0 and #1 belong to beneficiary
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+
+      await this.payroll.setNow(this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS).addn(1));
+    });
+
+    // EIP-712 Claim signed by `signer` for `_beneficiary`
+    const signClaim = async (signer, _beneficiary, deadline) => {
+      const {chainId} = await ethers.provider.getNetwork();
+      const signature = await (await ethers.getSigner(signer))._signTypedData(
+        {name: 'Payroll', version: '1', chainId, verifyingContract: this.payroll.address},
+        {Claim: [
+          {name: 'beneficiary', type: 'address'},
+          {name: 'nonce', type: 'uint256'},
+          {name: 'deadline', type: 'uint256'}
+        ]},
+        {beneficiary: _beneficiary, nonce: (await this.payroll.claimNonces(_beneficiary)).toString(), deadline: deadline.toString()}
+      );
+      const {v, r, s} = ethers.utils.splitSignature(signature);
+      return [v, r, s];
+    };
+
+    it('Lets an approved operator draw down all schedules for the beneficiary', async () => {
+      const receipt = await this.payroll.setOperator(operator, true, {from: beneficiary});
+      await expectEvent(receipt, 'OperatorUpdated', {
+        _beneficiary: beneficiary,
+        _operator: operator,
+        _approved: true
+      });
+      expect(await this.payroll.isOperator(beneficiary, operator)).to.be.true;
+
+      await this.payroll.drawDownAllFor(beneficiary, {from: operator});
+
+      // the tokens still go to the beneficiary
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.gt('0');
+      expect(await this.mockDxdToken.balanceOf(operator)).to.be.bignumber.equal('0');
+    });
+
+    it('Lets the beneficiary draw down for themselves', async () => {
+      await this.payroll.drawDownAllFor(beneficiary, {from: beneficiary});
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.gt('0');
+    });
+
+    it('Reverts for an address that is not an operator', async () => {
+      await expectRevert(
+        this.payroll.drawDownAllFor(beneficiary, {from: operator}),
+        "Payroll.drawDownAllFor: Only beneficiary or operator"
+      );
+
+      await this.payroll.setOperator(operator, true, {from: beneficiary});
+      await this.payroll.setOperator(operator, false, {from: beneficiary});
+
+      await expectRevert(
+        this.payroll.drawDownAllFor(beneficiary, {from: operator}),
+        "Payroll.drawDownAllFor: Only beneficiary or operator"
+      );
+    });
+
+    it('Reverts approving address zero as an operator', async () => {
+      await expectRevert(
+        this.payroll.setOperator(ZERO_ADDRESS, true, {from: beneficiary}),
+        "Payroll.setOperator: Cannot be address zero"
+      );
+    });
+
+    it('Pays draw downs to the payout recipient', async () => {
+      const receipt = await this.payroll.setPayoutRecipient(recipient, {from: beneficiary});
+      await expectEvent(receipt, 'PayoutRecipientUpdated', {
+        _beneficiary: beneficiary,
+        _recipient: recipient
+      });
+
+      // anyone can still trigger a draw down of a single schedule
+      await this.payroll.drawDown('0', {from: random});
+      const {_amount} = await this.payroll.vestingSchedule('0');
+      expect(await this.mockDxdToken.balanceOf(recipient)).to.be.bignumber.equal(
+        vestedAt(_amount, this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS).addn(1), this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS))
+      );
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal('0');
+
+      // clearing it pays the beneficiary again
+      await this.payroll.setPayoutRecipient(ZERO_ADDRESS, {from: beneficiary});
+      await this.payroll.drawDown('1', {from: random});
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.gt('0');
+    });
+
+    it('Lets a relayer submit a claim signed by the beneficiary', async () => {
+      await this.payroll.setPayoutRecipient(recipient, {from: beneficiary});
+
+      const deadline = (await time.latest()).add(time.duration.hours(1));
+      const [v, r, s] = await signClaim(beneficiary, beneficiary, deadline);
+
+      const receipt = await this.payroll.drawDownAllWithSig(beneficiary, deadline, v, r, s, {from: relayer});
+      await expectEvent(receipt, 'DrawDown', {_beneficiary: beneficiary});
+
+      expect(await this.mockDxdToken.balanceOf(recipient)).to.be.bignumber.gt('0');
+      expect(await this.mockDxdToken.balanceOf(relayer)).to.be.bignumber.equal('0');
+      expect(await this.payroll.claimNonces(beneficiary)).to.be.bignumber.equal('1');
+    });
+
+    it('Reverts when a signature is replayed', async () => {
+      const deadline = (await time.latest()).add(time.duration.hours(1));
+      const [v, r, s] = await signClaim(beneficiary, beneficiary, deadline);
+      await this.payroll.drawDownAllWithSig(beneficiary, deadline, v, r, s, {from: relayer});
+
+      await this.payroll.setNow(this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS));
+
+      await expectRevert(
+        this.payroll.drawDownAllWithSig(beneficiary, deadline, v, r, s, {from: relayer}),
+        "Payroll.drawDownAllWithSig: Invalid signature"
+      );
+    });
+
+    it('Reverts for a claim not signed by the beneficiary', async () => {
+      const deadline = (await time.latest()).add(time.duration.hours(1));
+      const [v, r, s] = await signClaim(random, beneficiary, deadline);
+
+      await expectRevert(
+        this.payroll.drawDownAllWithSig(beneficiary, deadline, v, r, s, {from: relayer}),
+        "Payroll.drawDownAllWithSig: Invalid signature"
+      );
+    });
+
+    it('Reverts once the deadline has passed', async () => {
+      const deadline = (await time.latest()).add(time.duration.hours(1));
+      const [v, r, s] = await signClaim(beneficiary, beneficiary, deadline);
+
+      await time.increase(time.duration.hours(2));
+
+      await expectRevert(
+        this.payroll.drawDownAllWithSig(beneficiary, deadline, v, r, s, {from: relayer}),
+        "Payroll.drawDownAllWithSig: Signature expired"
+      );
+    });
+
+    it('Cannot claim while paused', async () => {
+      await this.payroll.pause({from: admin});
+      await this.payroll.setOperator(operator, true, {from: beneficiary});
+
+      await expectRevert(
+        this.payroll.drawDownAllFor(beneficiary, {from: operator}),
+        "Vesting: Method cannot be invoked as contract has been paused"
+      );
+    });
+  });
+
+  describe('Freezes', () => {
+    const DISPUTE = web3.utils.padRight(web3.utils.utf8ToHex('DISPUTE'), 64);
+
+    beforeEach(async () => {
+      this.freezes = await PayrollFreezes.at(await this.payroll.freezes());
+      await this.payroll.setNow('1');
+
+      // schedules #0 and #1 are DXD and #2 is in the other token, all for beneficiary. #3 is DXD for random
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+      await this.payroll.createDxd(random, '0', to18dp('100'), {from: dao});
+
+      await this.payroll.setNow(this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS).addn(1));
+    });
+
+    const activeIds = async (address) => (await this.payroll.activeScheduleIdsForBeneficiary(address)).map(id => id.toString());
+
+    it('Is deployed by Payroll', async () => {
+      expect(await this.freezes.accessControls()).to.be.equal(this.accessControls.address);
+    });
+
+    it('Blocks draw downs of a frozen schedule only', async () => {
+      await this.freezes.freezeSchedule('0', DISPUTE, {from: admin});
+
+      await expectRevert(
+        this.payroll.drawDown('0'),
+        "Vesting.drawDown: Schedule is frozen"
+      );
+
+      expect(await activeIds(beneficiary)).to.be.deep.equal(['1', '2']);
+
+      // the rest of the beneficiary's schedules can still be drawn
+      await this.payroll.drawDownAll({from: beneficiary});
+      expect(await this.payroll.totalDrawn('0')).to.be.bignumber.equal('0');
+      expect(await this.payroll.totalDrawn('1')).to.be.bignumber.gt('0');
+      expect(await this.payroll.totalDrawn('2')).to.be.bignumber.gt('0');
+
+      // and once unfrozen it can be drawn as normal
+      await this.freezes.unfreezeSchedule('0', {from: admin});
+      await this.payroll.drawDown('0');
+      expect(await this.payroll.totalDrawn('0')).to.be.bignumber.gt('0');
+    });
+
+    it('Blocks every schedule of a frozen beneficiary', async () => {
+      await this.freezes.freezeBeneficiary(beneficiary, DISPUTE, {from: admin});
+
+      expect(await activeIds(beneficiary)).to.be.deep.equal([]);
+      await expectRevert(
+        this.payroll.drawDown('2'),
+        "Vesting.drawDown: Schedule is frozen"
+      );
+
+      // other beneficiaries are unaffected
+      await this.payroll.drawDown('3');
+      expect(await this.mockDxdToken.balanceOf(random)).to.be.bignumber.gt('0');
+    });
+
+    it('Blocks every schedule in a frozen token', async () => {
+      await this.freezes.freezeToken(this.mockDxdToken.address, DISPUTE, {from: admin});
+
+      expect(await activeIds(beneficiary)).to.be.deep.equal(['2']);
+      expect(await activeIds(random)).to.be.deep.equal([]);
+      await expectRevert(
+        this.payroll.drawDown('3'),
+        "Vesting.drawDown: Schedule is frozen"
+      );
+
+      await this.payroll.drawDownAll({from: beneficiary});
+      expect(await this.mockToken.balanceOf(beneficiary)).to.be.bignumber.gt('0');
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal('0');
+    });
+
+    it('Follows schedules moved to a new beneficiary', async () => {
+      const newBeneficiary = otherAccounts[0];
+      await this.freezes.freezeSchedule('1', DISPUTE, {from: admin});
+      await executeViaTimelock('reassignBeneficiary', [beneficiary, newBeneficiary]);
+
+      expect(await activeIds(newBeneficiary)).to.be.deep.equal(['0', '2']);
+    });
+
+    it('Keeps the global pause on top of freezes', async () => {
+      await this.payroll.pause({from: admin});
+
+      await expectRevert(
+        this.payroll.drawDown('3'),
+        "Vesting: Method cannot be invoked as contract has been paused"
+      );
+    });
+  });
+
+  describe('Role separation', () => {
+    const [pauser, treasurer, payrollManager] = otherAccounts.slice(1);
+
+    beforeEach(async () => {
+      // the deploying admin keeps the admin role only
+      await this.accessControls.removePauserRole(admin, {from: admin});
+      await this.accessControls.removeTreasurerRole(admin, {from: admin});
+      await this.accessControls.removePayrollManagerRole(admin, {from: admin});
+
+      await this.accessControls.addPauserRole(pauser, {from: admin});
+      await this.accessControls.addTreasurerRole(treasurer, {from: admin});
+      await this.accessControls.addPayrollManagerRole(payrollManager, {from: admin});
+
+      this.priceSource = await MockPriceSource.new();
+      this.queueWithdraw = (from) => this.timelock.queue(
+        this.payroll.address,
+        this.payroll.contract.methods.withdraw(this.mockToken.address, treasurer, '1').encodeABI(),
+        {from}
+      );
+      this.queueSalaryUpdate = (from) => this.timelock.queue(
+        this.payroll.address,
+        this.payroll.contract.methods.updateWorkerExperienceLevelSalary('1', '1').encodeABI(),
+        {from}
+      );
+    });
+
+    it('Only the pauser can pause and unpause', async () => {
+      for (const account of [admin, treasurer, payrollManager]) {
+        await expectRevert(this.payroll.pause({from: account}), "Vesting.pause: Only pauser");
+      }
+
+      await this.payroll.pause({from: pauser});
+
+      for (const account of [admin, treasurer, payrollManager]) {
+        await expectRevert(this.payroll.unpause({from: account}), "Vesting.unpause: Only pauser");
+      }
+
+      await this.payroll.unpause({from: pauser});
+      expect(await this.payroll.paused()).to.be.false;
+    });
+
+    it('Only the treasurer can queue withdrawals', async () => {
+      for (const account of [admin, pauser, payrollManager]) {
+        await expectRevert(this.queueWithdraw(account), "PayrollTimelock.queue: Missing role for action");
+      }
+
+      await this.queueWithdraw(treasurer);
+    });
+
+    it('Only the payroll manager can change salaries and pricing', async () => {
+      const pricingCalls = [
+        this.payroll.contract.methods.setPriceSource(this.mockToken.address, this.priceSource.address).encodeABI(),
+        this.payroll.contract.methods.setSalaryTables(random).encodeABI(),
+      ];
+
+      for (const account of [admin, pauser, treasurer]) {
+        await expectRevert(this.queueSalaryUpdate(account), "PayrollTimelock.queue: Missing role for action");
+        for (const data of pricingCalls) {
+          await expectRevert(
+            this.timelock.queue(this.payroll.address, data, {from: account}),
+            "PayrollTimelock.queue: Missing role for action"
+          );
+        }
+        await expectRevert(
+          this.payroll.setSalaryTables(random, {from: account}),
+          "Payroll.setSalaryTables: Only timelock"
+        );
+      }
+
+      await this.queueSalaryUpdate(payrollManager);
+      for (const data of pricingCalls) {
+        await this.timelock.queue(this.payroll.address, data, {from: payrollManager});
+      }
+
+      // the first salary tables can be set directly as no salary is priced from them yet
+      await this.payroll.setSalaryTables(random, {from: payrollManager});
+      await expectRevert(
+        this.payroll.setSalaryTables(random, {from: payrollManager}),
+        "Payroll.setSalaryTables: Only timelock"
+      );
+    });
+
+    it('Only the admin can change the token whitelist', async () => {
+      const whitelistData = this.payroll.contract.methods.whitelistToken(random).encodeABI();
+
+      for (const account of [pauser, treasurer, payrollManager]) {
+        await expectRevert(
+          this.timelock.queue(this.payroll.address, whitelistData, {from: account}),
+          "PayrollTimelock.queue: Missing role for action"
+        );
+      }
+
+      await this.timelock.queue(this.payroll.address, whitelistData, {from: admin});
+    });
+  });
+
+  describe('pause()', () => {
+    it('Reverts when trying to pause without the pauser role', async () => {
+      await expectRevert(
+        this.payroll.pause({from: random}),
+        "Vesting.pause: Only pauser"
+      );
+    });
+  });
+
+  describe('unpause()', () => {
+    it('Reverts when trying to unpause without the pauser role', async () => {
+      await expectRevert(
+        this.payroll.unpause({from: random}),
+        "Vesting.unpause: Only pauser"
+      );
+    });
+  });
+
+  it('Can create a worker schedule based on experience level', async () => {
+
+    // this will create schedule #0
+    await this.payroll.createPayrollAndDxd(
+      this.mockToken.address,
+      beneficiary,
+      '5',
+      '100',
+      '0',
+      DEFAULT_DURATION_IN_DAYS,
+      DEFAULT_CLIFF_IN_DAYS,
+      to18dp('1000'),
+      {from: dao}
+    );
+
+    const {
+      _token,
+      _beneficiary,
+      _start,
+      _end,
+      _cliff,
+      _amount,
+      _drawDownRate
+    } = await this.payroll.vestingSchedule('0');
+
+    const _durationInSecs = this.durationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+    const _cliffDurationInSecs = this.cliffDurationInDays.mul(PERIOD_ONE_DAY_IN_SECONDS);
+
+    const amountToVest = payrollAmount('5', '100', this.durationInDays);
+
+    expect(_token).to.be.equal(this.mockToken.address);
+    expect(_beneficiary).to.be.equal(beneficiary);
+    expect(_start).to.be.bignumber.equal('0');
+    expect(_end).to.be.bignumber.equal(_durationInSecs);
+    expect(_cliff).to.be.bignumber.equal(_cliffDurationInSecs);
+    expect(_amount).to.be.bignumber.equal(amountToVest);
+    expect(_drawDownRate).to.be.bignumber.equal(amountToVest.div(_durationInSecs));
+
+    await this.payroll.setNow(_cliffDurationInSecs.addn(1));
+
+    const activeScheduleIdsForBeneficiary = await this.payroll.activeScheduleIdsForBeneficiary(beneficiary);
+    expect(activeScheduleIdsForBeneficiary.length).to.be.equal(2);
+  });
+
+  it('Can create a dxd only schedule', async () => {
+    // this will create schedule #0
+    await this.payroll.createDxd(
+      beneficiary,
+      '0',
+      to18dp('1000'),
+      {from: dao}
     );
 
     const {
@@ -747,11 +2909,7 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
     const _durationInSecs = new BN('730').mul(PERIOD_ONE_DAY_IN_SECONDS);
     const _cliffDurationInSecs = new BN('365').mul(PERIOD_ONE_DAY_IN_SECONDS);
 
-    const yearlySalary = to18dp('8000').muln(12);
-    const dailyAmount = yearlySalary.divn(365);
-    const fullAmountToVest = new BN('730').mul(dailyAmount);
-
-    const amountToVest = fullAmountToVest.divn(100).muln(100);
+    const amountToVest = payrollAmount('5', '100', '730');
 
     expect(scheduleErc20._token).to.be.equal(this.mockToken.address);
     expect(scheduleErc20._beneficiary).to.be.equal(beneficiary);
@@ -821,16 +2979,21 @@ contract('Payroll contract tests', function ([admin, admin2, dao, beneficiary, r
     expect(existingSalary).to.be.bignumber.equal(to18dp(experienceToSalary[levelBeingUpdated]));
 
     const newSalary = to18dp('500');
-    await this.payroll.updateWorkerExperienceLevelSalary(levelBeingUpdated, newSalary);
+    const {tx} = await executeViaTimelock('updateWorkerExperienceLevelSalary', [levelBeingUpdated, newSalary]);
+    await expectEvent.inTransaction(tx, this.payroll, 'WorkerExperienceLevelSalaryUpdated', {
+      _level: levelBeingUpdated,
+      _oldSalary: existingSalary,
+      _newSalary: newSalary
+    });
 
     const updatedSalary = await this.payroll.workerExperienceLevelToSalary(levelBeingUpdated);
     expect(updatedSalary).to.be.bignumber.equal(newSalary);
   });
 
-  it('Reverts when updating salary as non admin', async () => {
+  it('Reverts when updating salary without the timelock', async () => {
     await expectRevert(
-      this.payroll.updateWorkerExperienceLevelSalary('5', '5', {from: beneficiary}),
-      "Payroll.updateWorkerExperienceLevelSalary: Only admin"
+      this.payroll.updateWorkerExperienceLevelSalary('5', '5', {from: admin}),
+      "Payroll.updateWorkerExperienceLevelSalary: Only timelock"
     );
   });
 
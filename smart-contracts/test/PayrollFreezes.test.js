@@ -0,0 +1,123 @@
+const {constants, expectEvent, expectRevert} = require('@openzeppelin/test-helpers');
+const {ZERO_BYTES32} = constants;
+
+const {utf8ToHex} = require('web3-utils');
+
+const {expect} = require('chai');
+
+const AccessControls = artifacts.require('AccessControls');
+const PayrollFreezes = artifacts.require('PayrollFreezes');
+
+contract('PayrollFreezes contract tests', function ([admin, pauser, beneficiary, token, random]) {
+
+  const reason = (code) => web3.utils.padRight(utf8ToHex(code), 64);
+
+  const DISPUTE = reason('DISPUTE');
+  const COMPROMISED = reason('COMPROMISED');
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addPauserRole(pauser, {from: admin});
+    this.freezes = await PayrollFreezes.new(this.accessControls.address, {from: admin});
+  });
+
+  describe('Schedules', () => {
+    it('Freezes and unfreezes a schedule', async () => {
+      const receipt = await this.freezes.freezeSchedule('3', DISPUTE, {from: pauser});
+      await expectEvent(receipt, 'ScheduleFrozen', {_admin: pauser, _scheduleId: '3', _reason: DISPUTE});
+
+      expect(await this.freezes.scheduleFreezes('3')).to.be.equal(DISPUTE);
+      expect(await this.freezes.isFrozen('3', beneficiary, token)).to.be.true;
+      expect(await this.freezes.isFrozen('4', beneficiary, token)).to.be.false;
+
+      const unfreezeReceipt = await this.freezes.unfreezeSchedule('3', {from: pauser});
+      await expectEvent(unfreezeReceipt, 'ScheduleUnfrozen', {_admin: pauser, _scheduleId: '3'});
+
+      expect(await this.freezes.scheduleFreezes('3')).to.be.equal(ZERO_BYTES32);
+      expect(await this.freezes.isFrozen('3', beneficiary, token)).to.be.false;
+    });
+
+    it('Reverts unfreezing a schedule that is not frozen', async () => {
+      await expectRevert(
+        this.freezes.unfreezeSchedule('3', {from: pauser}),
+        "PayrollFreezes.unfreezeSchedule: Not frozen"
+      );
+    });
+  });
+
+  describe('Beneficiaries', () => {
+    it('Freezes every schedule of a beneficiary', async () => {
+      const receipt = await this.freezes.freezeBeneficiary(beneficiary, DISPUTE, {from: pauser});
+      await expectEvent(receipt, 'BeneficiaryFrozen', {_admin: pauser, _beneficiary: beneficiary, _reason: DISPUTE});
+
+      expect(await this.freezes.isFrozen('0', beneficiary, token)).to.be.true;
+      expect(await this.freezes.isFrozen('0', random, token)).to.be.false;
+
+      const unfreezeReceipt = await this.freezes.unfreezeBeneficiary(beneficiary, {from: pauser});
+      await expectEvent(unfreezeReceipt, 'BeneficiaryUnfrozen', {_admin: pauser, _beneficiary: beneficiary});
+      expect(await this.freezes.isFrozen('0', beneficiary, token)).to.be.false;
+    });
+
+    it('Reverts unfreezing a beneficiary that is not frozen', async () => {
+      await expectRevert(
+        this.freezes.unfreezeBeneficiary(beneficiary, {from: pauser}),
+        "PayrollFreezes.unfreezeBeneficiary: Not frozen"
+      );
+    });
+  });
+
+  describe('Tokens', () => {
+    it('Freezes every schedule in a token', async () => {
+      const receipt = await this.freezes.freezeToken(token, COMPROMISED, {from: pauser});
+      await expectEvent(receipt, 'TokenFrozen', {_admin: pauser, _token: token, _reason: COMPROMISED});
+
+      expect(await this.freezes.tokenFreezes(token)).to.be.equal(COMPROMISED);
+      expect(await this.freezes.isFrozen('0', beneficiary, token)).to.be.true;
+      expect(await this.freezes.isFrozen('0', beneficiary, random)).to.be.false;
+
+      const unfreezeReceipt = await this.freezes.unfreezeToken(token, {from: pauser});
+      await expectEvent(unfreezeReceipt, 'TokenUnfrozen', {_admin: pauser, _token: token});
+      expect(await this.freezes.isFrozen('0', beneficiary, token)).to.be.false;
+    });
+
+    it('Reverts unfreezing a token that is not frozen', async () => {
+      await expectRevert(
+        this.freezes.unfreezeToken(token, {from: pauser}),
+        "PayrollFreezes.unfreezeToken: Not frozen"
+      );
+    });
+  });
+
+  it('Updates the reason of an existing freeze', async () => {
+    await this.freezes.freezeToken(token, DISPUTE, {from: pauser});
+    await this.freezes.freezeToken(token, COMPROMISED, {from: pauser});
+
+    expect(await this.freezes.tokenFreezes(token)).to.be.equal(COMPROMISED);
+  });
+
+  it('Reverts without a reason', async () => {
+    await expectRevert(
+      this.freezes.freezeSchedule('0', ZERO_BYTES32, {from: pauser}),
+      "PayrollFreezes: Reason required"
+    );
+  });
+
+  it('Reverts when not a pauser', async () => {
+    // admins need the pauser role too
+    await expectRevert(
+      this.freezes.freezeSchedule('0', DISPUTE, {from: admin}),
+      "PayrollFreezes: Only pauser"
+    );
+
+    await expectRevert(
+      this.freezes.freezeBeneficiary(beneficiary, DISPUTE, {from: random}),
+      "PayrollFreezes: Only pauser"
+    );
+
+    await this.freezes.freezeToken(token, DISPUTE, {from: pauser});
+    await expectRevert(
+      this.freezes.unfreezeToken(token, {from: random}),
+      "PayrollFreezes: Only pauser"
+    );
+  });
+});
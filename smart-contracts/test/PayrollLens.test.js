@@ -0,0 +1,160 @@
+const {BN, expectRevert} = require('@openzeppelin/test-helpers');
+
+const {utf8ToHex} = require('web3-utils');
+
+const {expect} = require('chai');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const PayrollWithFixedTime = artifacts.require('PayrollWithFixedTime');
+const PayrollFreezes = artifacts.require('PayrollFreezes');
+const PayrollLens = artifacts.require('PayrollLens');
+
+contract('PayrollLens contract tests', function ([admin, dao, beneficiary, random]) {
+
+  const PERIOD_ONE_DAY_IN_SECONDS = new BN('86400');
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  const ids = (schedules) => schedules.map(schedule => schedule.id.toString());
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(dao, {from: admin});
+    await this.accessControls.addPauserRole(admin, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+
+    this.payroll = await PayrollWithFixedTime.new(
+      [this.mockDxdToken.address, this.mockToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.payroll.address, to18dp('10000'));
+    await this.mockToken.transfer(this.payroll.address, to18dp('100000'));
+
+    // salaries are paid 1:1 in the other token
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    await this.payroll.setPriceSource(this.mockToken.address, (await PeggedPriceSource.new()).address, {from: admin});
+
+    this.lens = await PayrollLens.new(this.payroll.address, {from: admin});
+
+    await this.payroll.setNow('1');
+
+    // #0 DXD for beneficiary (365 day cliff), #1 payroll in the other token for random,
+    // #2 payroll for beneficiary, #3 DXD for random and #4 DXD for beneficiary
+    await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+    await this.payroll.createPayroll(this.mockToken.address, random, '1', '100', '0', '30', '0', {from: dao});
+    await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+    await this.payroll.createDxd(random, '0', to18dp('100'), {from: dao});
+    await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+
+    // payroll schedules are past their end and the DXD ones are still before their cliff
+    await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(60));
+  });
+
+  describe('schedule()', () => {
+    it('Returns the full schedule with drawn and available amounts', async () => {
+      await this.payroll.drawDown('2');
+      const payrollSchedule = await this.payroll.vestingSchedule('2');
+
+      const schedule = await this.lens.schedule('2');
+      expect(schedule.id).to.be.equal('2');
+      expect(schedule.token).to.be.equal(this.mockToken.address);
+      expect(schedule.beneficiary).to.be.equal(beneficiary);
+      expect(schedule.start).to.be.equal('0');
+      expect(schedule.end).to.be.equal(PERIOD_ONE_DAY_IN_SECONDS.muln(30).toString());
+      expect(schedule.cliff).to.be.equal('0');
+      expect(schedule.amount).to.be.equal(payrollSchedule._amount.toString());
+      expect(schedule.drawDownRate).to.be.equal(payrollSchedule._drawDownRate.toString());
+      expect(schedule.curve).to.be.equal('0');
+      expect(schedule.cliffUnlockPercentage).to.be.equal('0');
+      expect(schedule.drawn).to.be.equal(payrollSchedule._amount.toString());
+      expect(schedule.available).to.be.equal('0');
+      expect(schedule.lastDrawnAt).to.be.equal(PERIOD_ONE_DAY_IN_SECONDS.muln(60).toString());
+      expect(schedule.cancelled).to.be.false;
+      expect(schedule.frozen).to.be.false;
+    });
+
+    it('Shows cancelled and frozen schedules', async () => {
+      await this.payroll.cancelSchedule('0', PERIOD_ONE_DAY_IN_SECONDS.muln(60), {from: admin});
+
+      const freezes = await PayrollFreezes.at(await this.payroll.freezes());
+      await freezes.freezeBeneficiary(random, web3.utils.padRight(utf8ToHex('DISPUTE'), 64), {from: admin});
+
+      expect((await this.lens.schedule('0')).cancelled).to.be.true;
+      expect((await this.lens.schedule('1')).frozen).to.be.true;
+      expect((await this.lens.schedule('1')).available).to.be.equal((await this.payroll.availableDrawDownAmount('1')).toString());
+    });
+  });
+
+  describe('schedules()', () => {
+    it('Pages through every schedule in ID order', async () => {
+      expect(ids(await this.lens.schedules('0', '2'))).to.be.deep.equal(['0', '1']);
+      expect(ids(await this.lens.schedules('2', '2'))).to.be.deep.equal(['2', '3']);
+      expect(ids(await this.lens.schedules('4', '2'))).to.be.deep.equal(['4']);
+      expect(ids(await this.lens.schedules('5', '2'))).to.be.deep.equal([]);
+    });
+  });
+
+  describe('schedulesForBeneficiary()', () => {
+    it('Includes pre-cliff and finished schedules', async () => {
+      await this.payroll.drawDown('2');
+
+      // neither the drawn payroll nor the pre-cliff DXD schedules are active
+      expect(await this.payroll.activeScheduleIdsForBeneficiary(beneficiary)).to.be.deep.equal([]);
+
+      const {_schedules, _total} = await this.lens.schedulesForBeneficiary(beneficiary, '0', '10');
+      expect(ids(_schedules)).to.be.deep.equal(['0', '2', '4']);
+      expect(_total).to.be.bignumber.equal('3');
+    });
+
+    it('Pages through the schedules of a beneficiary', async () => {
+      const firstPage = await this.lens.schedulesForBeneficiary(beneficiary, '0', '2');
+      expect(ids(firstPage._schedules)).to.be.deep.equal(['0', '2']);
+
+      const secondPage = await this.lens.schedulesForBeneficiary(beneficiary, '2', '2');
+      expect(ids(secondPage._schedules)).to.be.deep.equal(['4']);
+      expect(secondPage._total).to.be.bignumber.equal('3');
+
+      const empty = await this.lens.schedulesForBeneficiary(random, '2', '2');
+      expect(ids(empty._schedules)).to.be.deep.equal([]);
+    });
+  });
+
+  describe('schedulesForToken()', () => {
+    it('Pages through the schedules of a token with a cursor', async () => {
+      const firstPage = await this.lens.schedulesForToken(this.mockDxdToken.address, '0', '2');
+      expect(ids(firstPage._schedules)).to.be.deep.equal(['0', '3']);
+      expect(firstPage._nextCursor).to.be.bignumber.equal('4');
+
+      const secondPage = await this.lens.schedulesForToken(this.mockDxdToken.address, firstPage._nextCursor, '2');
+      expect(ids(secondPage._schedules)).to.be.deep.equal(['4']);
+      expect(secondPage._nextCursor).to.be.bignumber.equal('5');
+
+      const lastPage = await this.lens.schedulesForToken(this.mockDxdToken.address, secondPage._nextCursor, '2');
+      expect(ids(lastPage._schedules)).to.be.deep.equal([]);
+      expect(lastPage._nextCursor).to.be.bignumber.equal('5');
+    });
+
+    it('Returns the full schedule for each match', async () => {
+      const {_schedules} = await this.lens.schedulesForToken(this.mockToken.address, '0', '10');
+      expect(ids(_schedules)).to.be.deep.equal(['1', '2']);
+      expect(_schedules.map(schedule => schedule.beneficiary)).to.be.deep.equal([random, beneficiary]);
+      expect(_schedules[1].available).to.be.equal((await this.payroll.availableDrawDownAmount('2')).toString());
+    });
+  });
+
+  it('Reverts for a schedule that does not exist', async () => {
+    await expectRevert(
+      this.lens.schedule('5'),
+      "invalid opcode"
+    );
+  });
+});
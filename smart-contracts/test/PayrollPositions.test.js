@@ -0,0 +1,262 @@
+const {BN, expectEvent, expectRevert, time} = require('@openzeppelin/test-helpers');
+
+const {utf8ToHex} = require('web3-utils');
+
+const {expect} = require('chai');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const PayrollWithFixedTime = artifacts.require('PayrollWithFixedTime');
+const PayrollFreezes = artifacts.require('PayrollFreezes');
+const PayrollPositions = artifacts.require('PayrollPositions');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+const PayrollVotes = artifacts.require('PayrollVotes');
+
+contract('PayrollPositions contract tests', function ([admin, dao, beneficiary, coldWallet, random]) {
+
+  const PERIOD_ONE_DAY_IN_SECONDS = new BN('86400');
+
+  const Transferability = {DEFAULT: '0', ALLOWED: '1', BLOCKED: '2'};
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  const executeViaTimelock = async (payroll, method, args) => {
+    const timelock = await PayrollTimelock.at(await payroll.timelock());
+    const data = payroll.contract.methods[method](...args).encodeABI();
+    const {logs} = await timelock.queue(payroll.address, data, {from: admin});
+    await time.increase(await timelock.delay());
+    return timelock.execute(logs[0].args._actionId, {from: admin});
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(dao, {from: admin});
+    await this.accessControls.addPauserRole(admin, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+
+    this.payroll = await PayrollWithFixedTime.new(
+      [this.mockDxdToken.address, this.mockToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.payroll.address, to18dp('10000'));
+    await this.mockToken.transfer(this.payroll.address, to18dp('100000'));
+
+    // salaries are paid 1:1 in the other token
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    await this.payroll.setPriceSource(this.mockToken.address, (await PeggedPriceSource.new()).address, {from: admin});
+
+    await this.payroll.setNow('1');
+
+    // #0 is created before positions are enabled
+    await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+
+    this.positions = await PayrollPositions.new(this.payroll.address, {from: admin});
+    await executeViaTimelock(this.payroll, 'enablePositions', [this.positions.address]);
+
+    // #1 DXD and #2 payroll in the other token
+    await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+    await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+  });
+
+  describe('Enabling', () => {
+    it('Records the positions contract', async () => {
+      expect(await this.payroll.positions()).to.be.equal(this.positions.address);
+      expect(await this.positions.payroll()).to.be.equal(this.payroll.address);
+    });
+
+    it('Reverts when already enabled', async () => {
+      await expectRevert(
+        executeViaTimelock(this.payroll, 'enablePositions', [random]),
+        "Payroll.enablePositions: Already enabled"
+      );
+    });
+
+    it('Reverts for positions belonging to another payroll', async () => {
+      const payroll = await PayrollWithFixedTime.new([this.mockDxdToken.address], this.accessControls.address, ['1'], [to18dp('4000')], {from: admin});
+      await expectRevert(
+        executeViaTimelock(payroll, 'enablePositions', [this.positions.address]),
+        "Payroll.enablePositions: Positions belong to another payroll"
+      );
+    });
+
+    it('Reverts when an admin calls it without the timelock', async () => {
+      const payroll = await PayrollWithFixedTime.new([this.mockDxdToken.address], this.accessControls.address, ['1'], [to18dp('4000')], {from: admin});
+      const positions = await PayrollPositions.new(payroll.address, {from: admin});
+      await expectRevert(
+        payroll.enablePositions(positions.address, {from: admin}),
+        "Payroll.enablePositions: Only timelock"
+      );
+    });
+  });
+
+  describe('Minting', () => {
+    it('Mints a position to the beneficiary of every new schedule', async () => {
+      expect(await this.positions.ownerOf('1')).to.be.equal(beneficiary);
+      expect(await this.positions.ownerOf('2')).to.be.equal(beneficiary);
+      expect(await this.positions.balanceOf(beneficiary)).to.be.bignumber.equal('2');
+    });
+
+    it('Mints the position of an earlier schedule to its current beneficiary', async () => {
+      await this.positions.mintExisting('0', {from: random});
+      expect(await this.positions.ownerOf('0')).to.be.equal(beneficiary);
+
+      await expectRevert(
+        this.positions.mintExisting('0', {from: random}),
+        "ERC721: token already minted"
+      );
+    });
+
+    it('Reverts minting when not payroll', async () => {
+      await expectRevert(
+        this.positions.mint(random, '5', {from: admin}),
+        "PayrollPositions: Only payroll"
+      );
+
+      await expectRevert(
+        this.positions.moveWithSchedule('1', random, {from: admin}),
+        "PayrollPositions: Only payroll"
+      );
+    });
+  });
+
+  describe('Transfers', () => {
+    beforeEach(async () => {
+      await this.positions.setTokenTransferable(this.mockDxdToken.address, true, {from: admin});
+    });
+
+    it('Moves the schedule to the new owner', async () => {
+      const receipt = await this.positions.transferFrom(beneficiary, coldWallet, '1', {from: beneficiary});
+      await expectEvent.inTransaction(receipt.tx, this.payroll, 'BeneficiaryChanged', {
+        _oldBeneficiary: beneficiary,
+        _newBeneficiary: coldWallet,
+        _id: '1',
+      });
+
+      const {_beneficiary} = await this.payroll.vestingSchedule('1');
+      expect(_beneficiary).to.be.equal(coldWallet);
+      expect(await this.positions.ownerOf('1')).to.be.equal(coldWallet);
+
+      const beneficiaryScheduleIds = (await this.payroll.scheduleIdsForBeneficiary(beneficiary)).map(id => id.toString());
+      expect(beneficiaryScheduleIds).to.be.deep.equal(['0', '2']);
+
+      const coldWalletScheduleIds = (await this.payroll.scheduleIdsForBeneficiary(coldWallet)).map(id => id.toString());
+      expect(coldWalletScheduleIds).to.be.deep.equal(['1']);
+
+      // the DXD voting weight goes with it
+      const votes = await PayrollVotes.at(await this.payroll.votes());
+      expect(await votes.currentTotal(beneficiary)).to.be.bignumber.equal(to18dp('100'));
+      expect(await votes.currentTotal(coldWallet)).to.be.bignumber.equal(to18dp('200'));
+    });
+
+    it('Draws down to the current owner', async () => {
+      await this.positions.transferFrom(beneficiary, coldWallet, '1', {from: beneficiary});
+
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(400));
+      const available = await this.payroll.availableDrawDownAmount('1');
+
+      await this.payroll.drawDownAll({from: coldWallet});
+      expect(await this.mockDxdToken.balanceOf(coldWallet)).to.be.bignumber.equal(available);
+      expect(await this.mockDxdToken.balanceOf(beneficiary)).to.be.bignumber.equal('0');
+    });
+
+    it('Moves a position minted after the schedule was created', async () => {
+      await this.positions.mintExisting('0');
+      await this.positions.safeTransferFrom(beneficiary, coldWallet, '0', {from: beneficiary});
+
+      const {_beneficiary} = await this.payroll.vestingSchedule('0');
+      expect(_beneficiary).to.be.equal(coldWallet);
+    });
+
+    it('Reverts moving a schedule when not positions', async () => {
+      await expectRevert(
+        this.payroll.transferSchedule('1', random, {from: beneficiary}),
+        "Payroll.transferSchedule: Only positions"
+      );
+    });
+  });
+
+  describe('Transferability', () => {
+    it('Blocks transfers by default', async () => {
+      expect(await this.positions.isTransferable('1')).to.be.false;
+
+      await expectRevert(
+        this.positions.transferFrom(beneficiary, coldWallet, '1', {from: beneficiary}),
+        "PayrollPositions: Position is not transferable"
+      );
+    });
+
+    it('Allows transfers for every schedule in a token', async () => {
+      const receipt = await this.positions.setTokenTransferable(this.mockDxdToken.address, true, {from: admin});
+      await expectEvent(receipt, 'TokenTransferabilityUpdated', {
+        _admin: admin,
+        _token: this.mockDxdToken.address,
+        _transferable: true,
+      });
+
+      expect(await this.positions.isTransferable('1')).to.be.true;
+      expect(await this.positions.isTransferable('2')).to.be.false;
+    });
+
+    it('Overrides the token setting for a single schedule', async () => {
+      const receipt = await this.positions.setScheduleTransferability('2', Transferability.ALLOWED, {from: admin});
+      await expectEvent(receipt, 'ScheduleTransferabilityUpdated', {
+        _admin: admin,
+        _scheduleId: '2',
+        _transferability: Transferability.ALLOWED,
+      });
+      expect(await this.positions.isTransferable('2')).to.be.true;
+
+      await this.positions.setTokenTransferable(this.mockDxdToken.address, true, {from: admin});
+      await this.positions.setScheduleTransferability('1', Transferability.BLOCKED, {from: admin});
+      expect(await this.positions.isTransferable('1')).to.be.false;
+
+      // back to following the token
+      await this.positions.setScheduleTransferability('1', Transferability.DEFAULT, {from: admin});
+      expect(await this.positions.isTransferable('1')).to.be.true;
+    });
+
+    it('Blocks transfers while the schedule is frozen', async () => {
+      await this.positions.setTokenTransferable(this.mockDxdToken.address, true, {from: admin});
+
+      const freezes = await PayrollFreezes.at(await this.payroll.freezes());
+      await freezes.freezeSchedule('1', web3.utils.padRight(utf8ToHex('DISPUTE'), 64), {from: admin});
+
+      await expectRevert(
+        this.positions.transferFrom(beneficiary, coldWallet, '1', {from: beneficiary}),
+        "PayrollPositions: Position is frozen"
+      );
+    });
+
+    it('Reverts when not admin', async () => {
+      await expectRevert(
+        this.positions.setTokenTransferable(this.mockDxdToken.address, true, {from: random}),
+        "PayrollPositions: Only admin"
+      );
+
+      await expectRevert(
+        this.positions.setScheduleTransferability('1', Transferability.ALLOWED, {from: beneficiary}),
+        "PayrollPositions: Only admin"
+      );
+    });
+  });
+
+  it('Moves positions along with an admin reassignment of the schedules', async () => {
+    await this.positions.mintExisting('0');
+
+    // reassignment is not a transfer so it is not subject to transferability
+    await executeViaTimelock(this.payroll, 'reassignBeneficiary', [beneficiary, coldWallet]);
+
+    expect(await this.positions.ownerOf('0')).to.be.equal(coldWallet);
+    expect(await this.positions.ownerOf('1')).to.be.equal(coldWallet);
+    expect(await this.positions.ownerOf('2')).to.be.equal(coldWallet);
+    expect(await this.positions.balanceOf(beneficiary)).to.be.bignumber.equal('0');
+  });
+});
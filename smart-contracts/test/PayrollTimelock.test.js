@@ -0,0 +1,333 @@
+const {BN, constants, expectEvent, expectRevert, time} = require('@openzeppelin/test-helpers');
+const {ZERO_BYTES32} = constants;
+
+const {expect} = require('chai');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const Payroll = artifacts.require('Payroll');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+
+contract('PayrollTimelock contract tests', function ([admin, beneficiary, random]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  const DEFAULT_DELAY = time.duration.days(2);
+  const GRACE_PERIOD = time.duration.days(14);
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addTreasurerRole(admin, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+
+    this.payroll = await Payroll.new(
+      [this.mockDxdToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.payroll.address, to18dp('1000'));
+
+    this.timelock = await PayrollTimelock.at(await this.payroll.timelock());
+
+    this.withdrawData = this.payroll.contract.methods.withdraw(this.mockDxdToken.address, random, to18dp('100')).encodeABI();
+  });
+
+  const queue = async (data, target = this.payroll.address) => {
+    const receipt = await this.timelock.queue(target, data, {from: admin});
+    return {receipt, actionId: receipt.logs[0].args._actionId};
+  };
+
+  it('Is deployed by Payroll with the default delay', async () => {
+    expect(await this.timelock.payroll()).to.be.equal(this.payroll.address);
+    expect(await this.timelock.accessControls()).to.be.equal(this.accessControls.address);
+    expect(await this.timelock.delay()).to.be.bignumber.equal(DEFAULT_DELAY);
+  });
+
+  describe('queue()', () => {
+    it('Queues an action that executes after the delay', async () => {
+      const {receipt, actionId} = await queue(this.withdrawData);
+      const eta = (await time.latest()).add(DEFAULT_DELAY);
+
+      await expectEvent(receipt, 'ActionQueued', {
+        _actionId: actionId,
+        _admin: admin,
+        _target: this.payroll.address,
+        _data: this.withdrawData,
+        _eta: eta
+      });
+
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([actionId]);
+
+      const {_target, _data, _eta} = await this.timelock.action(actionId);
+      expect(_target).to.be.equal(this.payroll.address);
+      expect(_data).to.be.equal(this.withdrawData);
+      expect(_eta).to.be.bignumber.equal(eta);
+    });
+
+    it('Gives the same call a new ID every time it is queued', async () => {
+      const {actionId: first} = await queue(this.withdrawData);
+      const {actionId: second} = await queue(this.withdrawData);
+
+      expect(first).to.not.be.equal(second);
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([first, second]);
+    });
+
+    it('Reverts without the role for the action', async () => {
+      await expectRevert(
+        this.timelock.queue(this.payroll.address, this.withdrawData, {from: random}),
+        "PayrollTimelock.queue: Missing role for action"
+      );
+    });
+
+    it('Reverts for a target other than Payroll or the timelock', async () => {
+      await expectRevert(
+        this.timelock.queue(this.mockDxdToken.address, this.withdrawData, {from: admin}),
+        "PayrollTimelock.queue: Invalid target"
+      );
+    });
+  });
+
+  describe('execute()', () => {
+    it('Executes the call once the delay has passed', async () => {
+      const {actionId} = await queue(this.withdrawData);
+
+      await time.increase(DEFAULT_DELAY);
+
+      const receipt = await this.timelock.execute(actionId, {from: admin});
+      await expectEvent(receipt, 'ActionExecuted', {_actionId: actionId, _admin: admin});
+      await expectEvent.inTransaction(receipt.tx, this.payroll, 'Withdrawn', {
+        _token: this.mockDxdToken.address,
+        _to: random,
+        _amount: to18dp('100')
+      });
+
+      expect(await this.mockDxdToken.balanceOf(random)).to.be.bignumber.equal(to18dp('100'));
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([]);
+
+      const {_eta} = await this.timelock.action(actionId);
+      expect(_eta).to.be.bignumber.equal('0');
+    });
+
+    it('Reverts before the delay has passed', async () => {
+      const {actionId} = await queue(this.withdrawData);
+
+      await time.increase(DEFAULT_DELAY.subn(60));
+
+      await expectRevert(
+        this.timelock.execute(actionId, {from: admin}),
+        "PayrollTimelock.execute: Delay has not passed"
+      );
+    });
+
+    it('Executes until the end of the grace period', async () => {
+      expect(await this.timelock.GRACE_PERIOD()).to.be.bignumber.equal(GRACE_PERIOD);
+
+      const {actionId} = await queue(this.withdrawData);
+      await time.increase(DEFAULT_DELAY.add(GRACE_PERIOD).subn(60));
+
+      await this.timelock.execute(actionId, {from: admin});
+      expect(await this.mockDxdToken.balanceOf(random)).to.be.bignumber.equal(to18dp('100'));
+    });
+
+    it('Reverts once the grace period has passed', async () => {
+      const {actionId} = await queue(this.withdrawData);
+      await time.increase(DEFAULT_DELAY.add(GRACE_PERIOD).addn(60));
+
+      await expectRevert(
+        this.timelock.execute(actionId, {from: admin}),
+        "PayrollTimelock.execute: Action expired"
+      );
+
+      // it stays pending until cancelled
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([actionId]);
+      await this.timelock.cancel(actionId, {from: admin});
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([]);
+    });
+
+    it('Reverts when executed twice', async () => {
+      const {actionId} = await queue(this.withdrawData);
+      await time.increase(DEFAULT_DELAY);
+      await this.timelock.execute(actionId, {from: admin});
+
+      await expectRevert(
+        this.timelock.execute(actionId, {from: admin}),
+        "PayrollTimelock.execute: Action not queued"
+      );
+    });
+
+    it('Reverts for an unknown action', async () => {
+      await expectRevert(
+        this.timelock.execute(ZERO_BYTES32, {from: admin}),
+        "PayrollTimelock.execute: Action not queued"
+      );
+    });
+
+    it('Reverts without the role for the action', async () => {
+      const {actionId} = await queue(this.withdrawData);
+      await time.increase(DEFAULT_DELAY);
+
+      await expectRevert(
+        this.timelock.execute(actionId, {from: random}),
+        "PayrollTimelock.execute: Missing role for action"
+      );
+    });
+
+    it('Bubbles up the revert reason of the call', async () => {
+      const data = this.payroll.contract.methods.withdraw(this.mockDxdToken.address, random, to18dp('1001')).encodeABI();
+      const {actionId} = await queue(data);
+      await time.increase(DEFAULT_DELAY);
+
+      await expectRevert(
+        this.timelock.execute(actionId, {from: admin}),
+        "Vesting.withdraw: Amount exceeds uncommitted balance"
+      );
+
+      // still pending so it can be cancelled
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([actionId]);
+    });
+
+    it('Leaves contributors time to react to a queued withdrawal', async () => {
+      const {actionId} = await queue(this.withdrawData);
+
+      // anyone can see what is pending and when it executes
+      const [pendingActionId] = await this.timelock.pendingActionIds({from: beneficiary});
+      expect(pendingActionId).to.be.equal(actionId);
+
+      const {_data} = await this.timelock.action(pendingActionId, {from: beneficiary});
+      const decoded = web3.eth.abi.decodeParameters(['address', 'address', 'uint256'], '0x' + _data.slice(10));
+      expect(decoded[1]).to.be.equal(random);
+      expect(decoded[2]).to.be.bignumber.equal(to18dp('100'));
+    });
+  });
+
+  describe('cancel()', () => {
+    it('Cancels a queued action', async () => {
+      const {actionId} = await queue(this.withdrawData);
+
+      const receipt = await this.timelock.cancel(actionId, {from: admin});
+      await expectEvent(receipt, 'ActionCancelled', {_actionId: actionId, _admin: admin});
+
+      expect(await this.timelock.pendingActionIds()).to.be.deep.equal([]);
+
+      await time.increase(DEFAULT_DELAY);
+      await expectRevert(
+        this.timelock.execute(actionId, {from: admin}),
+        "PayrollTimelock.execute: Action not queued"
+      );
+    });
+
+    it('Reverts for an action that is not queued', async () => {
+      await expectRevert(
+        this.timelock.cancel(ZERO_BYTES32, {from: admin}),
+        "PayrollTimelock.cancel: Action not queued"
+      );
+    });
+
+    it('Reverts without the role for the action', async () => {
+      const {actionId} = await queue(this.withdrawData);
+
+      await expectRevert(
+        this.timelock.cancel(actionId, {from: random}),
+        "PayrollTimelock.cancel: Missing role for action"
+      );
+    });
+  });
+
+  describe('setDelay()', () => {
+    const setDelayData = (delay) => this.timelock.contract.methods.setDelay(delay.toString()).encodeABI();
+
+    it('Changes the delay through a queued action', async () => {
+      const newDelay = time.duration.days(7);
+      const {actionId} = await queue(setDelayData(newDelay), this.timelock.address);
+      await time.increase(DEFAULT_DELAY);
+
+      const receipt = await this.timelock.execute(actionId, {from: admin});
+      await expectEvent(receipt, 'DelayUpdated', {_oldDelay: DEFAULT_DELAY, _newDelay: newDelay});
+
+      expect(await this.timelock.delay()).to.be.bignumber.equal(newDelay);
+
+      // new actions use the new delay
+      const {actionId: withdrawId} = await queue(this.withdrawData);
+      const {_eta} = await this.timelock.action(withdrawId);
+      expect(_eta).to.be.bignumber.equal((await time.latest()).add(newDelay));
+    });
+
+    it('Reverts when not called by the timelock', async () => {
+      await expectRevert(
+        this.timelock.setDelay(time.duration.days(7), {from: admin}),
+        "PayrollTimelock.setDelay: Only timelock"
+      );
+    });
+
+    it('Reverts for a delay outside of the bounds', async () => {
+      const {actionId: tooShort} = await queue(setDelayData(time.duration.hours(23)), this.timelock.address);
+      const {actionId: tooLong} = await queue(setDelayData(time.duration.days(31)), this.timelock.address);
+      await time.increase(DEFAULT_DELAY);
+
+      await expectRevert(
+        this.timelock.execute(tooShort, {from: admin}),
+        "PayrollTimelock.setDelay: Invalid delay"
+      );
+
+      await expectRevert(
+        this.timelock.execute(tooLong, {from: admin}),
+        "PayrollTimelock.setDelay: Invalid delay"
+      );
+    });
+  });
+
+  describe('requiredRole()', () => {
+    beforeEach(async () => {
+      this.roles = {
+        admin: await this.accessControls.DEFAULT_ADMIN_ROLE(),
+        treasurer: await this.accessControls.TREASURER_ROLE(),
+        payrollManager: await this.accessControls.PAYROLL_MANAGER_ROLE()
+      };
+
+      this.payrollCall = (method, args) => this.payroll.contract.methods[method](...args).encodeABI();
+    });
+
+    it('Treasurers handle withdrawals', async () => {
+      expect(await this.timelock.requiredRole(this.payroll.address, this.withdrawData)).to.be.equal(this.roles.treasurer);
+      expect(await this.timelock.requiredRole(this.payroll.address, this.payrollCall('withdrawEther', [random, '1']))).to.be.equal(this.roles.treasurer);
+    });
+
+    it('Payroll managers handle salary and duration changes', async () => {
+      expect(await this.timelock.requiredRole(this.payroll.address, this.payrollCall('updateWorkerExperienceLevelSalary', ['1', '1']))).to.be.equal(this.roles.payrollManager);
+      expect(await this.timelock.requiredRole(this.payroll.address, this.payrollCall('setDurationAndCliffInDays', ['1', '1']))).to.be.equal(this.roles.payrollManager);
+    });
+
+    it('Admins handle everything else', async () => {
+      expect(await this.timelock.requiredRole(this.payroll.address, this.payrollCall('whitelistToken', [random]))).to.be.equal(this.roles.admin);
+      expect(await this.timelock.requiredRole(this.timelock.address, this.timelock.contract.methods.setDelay('86400').encodeABI())).to.be.equal(this.roles.admin);
+    });
+
+    it('Only lets a treasurer move funds', async () => {
+      await this.accessControls.addPayrollManagerRole(beneficiary, {from: admin});
+
+      // the admin and a payroll manager cannot queue a withdrawal
+      await this.accessControls.removeTreasurerRole(admin, {from: admin});
+      await expectRevert(
+        this.timelock.queue(this.payroll.address, this.withdrawData, {from: admin}),
+        "PayrollTimelock.queue: Missing role for action"
+      );
+      await expectRevert(
+        this.timelock.queue(this.payroll.address, this.withdrawData, {from: beneficiary}),
+        "PayrollTimelock.queue: Missing role for action"
+      );
+
+      // but the payroll manager can change salaries
+      const salaryData = this.payrollCall('updateWorkerExperienceLevelSalary', ['1', to18dp('5000')]);
+      const {logs} = await this.timelock.queue(this.payroll.address, salaryData, {from: beneficiary});
+      await time.increase(DEFAULT_DELAY);
+      await this.timelock.execute(logs[0].args._actionId, {from: beneficiary});
+
+      expect(await this.payroll.workerExperienceLevelToSalary('1')).to.be.bignumber.equal(to18dp('5000'));
+    });
+  });
+});
@@ -0,0 +1,197 @@
+const {BN, expectEvent, expectRevert, time} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const PayrollWithFixedTime = artifacts.require('PayrollWithFixedTime');
+const PayrollVotes = artifacts.require('PayrollVotes');
+
+contract('PayrollVotes contract tests', function ([admin, dao, beneficiary, newBeneficiary, random]) {
+
+  const PERIOD_ONE_DAY_IN_SECONDS = new BN('86400');
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(dao, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+
+    this.payroll = await PayrollWithFixedTime.new(
+      [this.mockDxdToken.address, this.mockToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.payroll.address, to18dp('10000'));
+    await this.mockToken.transfer(this.payroll.address, to18dp('100000'));
+
+    // salaries are paid 1:1 in the other token
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    await this.payroll.setPriceSource(this.mockToken.address, (await PeggedPriceSource.new()).address, {from: admin});
+
+    this.votes = await PayrollVotes.at(await this.payroll.votes());
+
+    await this.payroll.setNow('1');
+  });
+
+  const blockOf = ({receipt}) => receipt.blockNumber;
+
+  describe('dxdBalanceOf()', () => {
+    beforeEach(async () => {
+      // 730 day DXD schedules with a 365 day cliff
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+    });
+
+    it('Counts everything as unvested before the cliff', async () => {
+      const {_vested, _unvested, _total} = await this.votes.dxdBalanceOf(beneficiary);
+      expect(_vested).to.be.bignumber.equal('0');
+      expect(_unvested).to.be.bignumber.equal(to18dp('300'));
+      expect(_total).to.be.bignumber.equal(to18dp('300'));
+    });
+
+    it('Splits vested and unvested DXD after the cliff, leaving out other tokens', async () => {
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(400));
+
+      const available = (await this.payroll.availableDrawDownAmount('0')).add(await this.payroll.availableDrawDownAmount('1'));
+      expect(available).to.be.bignumber.greaterThan('0');
+
+      const {_vested, _unvested, _total} = await this.votes.dxdBalanceOf(beneficiary);
+      expect(_vested).to.be.bignumber.equal(available);
+      expect(_unvested).to.be.bignumber.equal(to18dp('300').sub(available));
+      expect(_total).to.be.bignumber.equal(to18dp('300'));
+    });
+
+    it('Leaves out what has been drawn down', async () => {
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(400));
+      const available = await this.payroll.availableDrawDownAmount('0');
+      await this.payroll.drawDown('0', {from: beneficiary});
+
+      const {_vested, _total} = await this.votes.dxdBalanceOf(beneficiary);
+      expect(_vested).to.be.bignumber.equal(await this.payroll.availableDrawDownAmount('1'));
+      expect(_total).to.be.bignumber.equal(to18dp('300').sub(available));
+    });
+
+    it('Is zero for an address without schedules', async () => {
+      const {_vested, _unvested, _total} = await this.votes.dxdBalanceOf(random);
+      expect(_vested).to.be.bignumber.equal('0');
+      expect(_unvested).to.be.bignumber.equal('0');
+      expect(_total).to.be.bignumber.equal('0');
+    });
+  });
+
+  describe('Checkpoints', () => {
+    it('Checkpoints the total when a DXD schedule is created', async () => {
+      const receipt = await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await expectEvent.inTransaction(receipt.tx, this.votes, 'DxdCheckpointed', {
+        _beneficiary: beneficiary,
+        _previousTotal: '0',
+        _newTotal: to18dp('100'),
+      });
+
+      expect(await this.votes.numCheckpoints(beneficiary)).to.be.bignumber.equal('1');
+      expect(await this.votes.currentTotal(beneficiary)).to.be.bignumber.equal(to18dp('100'));
+
+      const {fromBlock, total} = await this.votes.checkpoints(beneficiary, '0');
+      expect(fromBlock).to.be.bignumber.equal(new BN(blockOf(receipt)));
+      expect(total).to.be.bignumber.equal(to18dp('100'));
+    });
+
+    it('Does not checkpoint other tokens', async () => {
+      const receipt = await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+      await expectEvent.notEmitted.inTransaction(receipt.tx, this.votes, 'DxdCheckpointed');
+
+      expect(await this.votes.numCheckpoints(beneficiary)).to.be.bignumber.equal('0');
+    });
+
+    it('Returns the total at past blocks', async () => {
+      const created = await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      const topUp = await this.payroll.createDxd(beneficiary, '0', to18dp('50'), {from: dao});
+
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(400));
+      const available = await this.payroll.availableDrawDownAmount('0');
+      const drawn = await this.payroll.drawDown('0', {from: beneficiary});
+      await time.advanceBlock();
+
+      expect(await this.votes.getPastTotal(beneficiary, blockOf(created) - 1)).to.be.bignumber.equal('0');
+      expect(await this.votes.getPastTotal(beneficiary, blockOf(created))).to.be.bignumber.equal(to18dp('100'));
+      expect(await this.votes.getPastTotal(beneficiary, blockOf(topUp))).to.be.bignumber.equal(to18dp('150'));
+      expect(await this.votes.getPastTotal(beneficiary, blockOf(drawn))).to.be.bignumber.equal(to18dp('150').sub(available));
+      expect(await this.votes.numCheckpoints(beneficiary)).to.be.bignumber.equal('3');
+    });
+
+    it('Checkpoints cancellations and amendments', async () => {
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+
+      const end = PERIOD_ONE_DAY_IN_SECONDS.muln(730);
+      await this.payroll.updateSchedule('0', to18dp('150'), end, {from: dao});
+      expect(await this.votes.currentTotal(beneficiary)).to.be.bignumber.equal(to18dp('150'));
+
+      // nothing has vested before the cliff so the whole schedule goes
+      await this.payroll.cancelSchedule('0', '1', {from: admin});
+      expect(await this.votes.currentTotal(beneficiary)).to.be.bignumber.equal('0');
+    });
+
+    it('Keeps the running total in Payroll in line with the schedules', async () => {
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await this.payroll.createDxd(beneficiary, '0', to18dp('200'), {from: dao});
+
+      const expectTotalsToMatch = async () => {
+        const {_total} = await this.votes.dxdBalanceOf(beneficiary);
+        expect(await this.payroll.totalDxdForBeneficiary(beneficiary)).to.be.bignumber.equal(_total);
+        expect(await this.votes.currentTotal(beneficiary)).to.be.bignumber.equal(_total);
+      };
+
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(400));
+      await this.payroll.drawDown('0', {from: beneficiary});
+      await expectTotalsToMatch();
+
+      // amending down and cancelling part way through only take off what will no longer vest
+      await this.payroll.updateSchedule('1', to18dp('150'), PERIOD_ONE_DAY_IN_SECONDS.muln(730), {from: dao});
+      await expectTotalsToMatch();
+
+      await this.payroll.cancelSchedule('0', PERIOD_ONE_DAY_IN_SECONDS.muln(500), {from: admin});
+      await expectTotalsToMatch();
+
+      await this.payroll.setNow(PERIOD_ONE_DAY_IN_SECONDS.muln(800));
+      await this.payroll.drawDownAll({from: beneficiary});
+      expect(await this.payroll.totalDxdForBeneficiary(beneficiary)).to.be.bignumber.equal('0');
+      await expectTotalsToMatch();
+    });
+
+    it('Moves the total to a new beneficiary', async () => {
+      await this.payroll.createDxd(beneficiary, '0', to18dp('100'), {from: dao});
+      await this.payroll.createPayroll(this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', {from: dao});
+
+      await this.payroll.proposeBeneficiaryChange(newBeneficiary, {from: beneficiary});
+      await this.payroll.approveBeneficiaryChange(beneficiary, newBeneficiary, {from: admin});
+
+      expect(await this.votes.currentTotal(beneficiary)).to.be.bignumber.equal('0');
+      expect(await this.votes.currentTotal(newBeneficiary)).to.be.bignumber.equal(to18dp('100'));
+    });
+
+    it('Reverts for a block that has not been mined', async () => {
+      const latest = await time.latestBlock();
+      await expectRevert(
+        this.votes.getPastTotal(beneficiary, latest.addn(1)),
+        "PayrollVotes.getPastTotal: Block not yet mined"
+      );
+    });
+
+    it('Reverts checkpointing when not payroll', async () => {
+      await expectRevert(
+        this.votes.checkpoint(beneficiary, to18dp('100'), {from: admin}),
+        "PayrollVotes.checkpoint: Only payroll"
+      );
+    });
+  });
+});
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const hre = require('hardhat');
+const {BN} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const {getPayroll} = require('../tasks/schedules');
+const {
+  getProposalContracts,
+  encodeProposalCalls,
+  decodeProposalCall,
+  formatProposalCall,
+  dryRunProposal,
+} = require('../tasks/proposal');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const Payroll = artifacts.require('Payroll');
+
+contract('Proposal tasks tests', function ([admin, avatar, beneficiary, random]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  // runs a task with what it prints captured, so the test output only shows results
+  const runTask = async (name, args) => {
+    const output = [];
+    const {log} = console;
+    console.log = (...parts) => output.push(parts.join(' '));
+    try {
+      await hre.run(name, args);
+    } finally {
+      console.log = log;
+    }
+    return output.join('\n');
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(avatar, {from: admin});
+    await this.accessControls.addAdminRole(avatar, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.mockToken = await MockERC20.new();
+
+    this.trufflePayroll = await Payroll.new(
+      [this.mockDxdToken.address, this.mockToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.trufflePayroll.address, to18dp('10000'));
+    await this.mockToken.transfer(this.trufflePayroll.address, to18dp('100000'));
+
+    // salaries are paid 1:1 in the other token
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    await this.trufflePayroll.setPriceSource(this.mockToken.address, (await PeggedPriceSource.new()).address, {from: admin});
+
+    this.payroll = await getPayroll(hre, this.trufflePayroll.address);
+    this.contracts = await getProposalContracts(hre, this.payroll);
+
+    this.calls = [
+      {
+        contract: 'Payroll',
+        method: 'createPayrollAndDxd',
+        args: [this.mockToken.address, beneficiary, '1', '100', '0', '30', '0', to18dp('500').toString()],
+      },
+      {contract: 'AccessControls', method: 'addPauserRole', args: [random]},
+    ];
+  });
+
+  it('Encodes calls to each contract', async () => {
+    const encoded = encodeProposalCalls(this.contracts, this.calls);
+
+    expect(encoded).to.be.deep.equal([
+      {
+        to: this.trufflePayroll.address,
+        value: '0',
+        data: this.trufflePayroll.contract.methods.createPayrollAndDxd(...this.calls[0].args).encodeABI(),
+      },
+      {
+        to: this.accessControls.address,
+        value: '0',
+        data: this.accessControls.contract.methods.addPauserRole(random).encodeABI(),
+      },
+    ]);
+  });
+
+  it('Decodes calls for reviewers', async () => {
+    const [createCall, pauserCall] = encodeProposalCalls(this.contracts, this.calls);
+
+    const decoded = decodeProposalCall(this.contracts, createCall);
+    expect(decoded.contract).to.be.equal('Payroll');
+    expect(decoded.method).to.be.equal('createPayrollAndDxd');
+    expect(decoded.args.map(({name}) => name)).to.be.deep.equal([
+      '_token', '_beneficiary', '_experienceLevel', '_percentageWorked', '_start',
+      '_payrollDurationInDays', '_payrollCliffDurationInDays', '_dxdAmount',
+    ]);
+    expect(decoded.args[7].value).to.be.equal(to18dp('500').toString());
+
+    expect(formatProposalCall(decodeProposalCall(this.contracts, pauserCall))).to.be.equal([
+      `AccessControls.addPauserRole (${this.accessControls.address})`,
+      `    _address: ${random}`,
+    ].join('\n'));
+  });
+
+  it('Wraps timelocked calls in a queue and decodes the queued call', async () => {
+    const [call] = encodeProposalCalls(this.contracts, [
+      {contract: 'Payroll', method: 'withdraw', args: [this.mockToken.address, random, '100'], queue: true},
+    ]);
+
+    expect(call.to).to.be.equal(this.contracts.PayrollTimelock.address);
+
+    const decoded = decodeProposalCall(this.contracts, call);
+    expect(decoded.method).to.be.equal('queue');
+    expect(decoded.queued.contract).to.be.equal('Payroll');
+    expect(decoded.queued.method).to.be.equal('withdraw');
+    expect(decoded.queued.args).to.be.deep.equal([
+      {name: '_token', value: this.mockToken.address},
+      {name: '_to', value: random},
+      {name: '_amount', value: '100'},
+    ]);
+
+    expect(formatProposalCall(decoded)).to.contain(`  queues:\n    Payroll.withdraw (${this.trufflePayroll.address})`);
+  });
+
+  it('Rejects unknown contracts and targets', async () => {
+    expect(() => encodeProposalCalls(this.contracts, [{contract: 'Token', method: 'transfer'}]))
+      .to.throw('Call 0: unknown contract "Token", expected one of Payroll, PayrollBatch, AccessControls, PayrollTimelock');
+
+    expect(() => decodeProposalCall(this.contracts, {to: random, data: '0x'})).to.throw(`Unknown call target ${random}`);
+  });
+
+  describe('Dry runs', () => {
+    it('Executes the calls as the avatar, reports the schedules and rolls back', async () => {
+      const result = await dryRunProposal(hre, this.payroll, encodeProposalCalls(this.contracts, this.calls), {avatar});
+
+      expect(result.success).to.be.true;
+      expect(result.gasUsed.length).to.be.equal(2);
+      expect(result.schedules.map((details) => details.id.toNumber())).to.be.deep.equal([0, 1]);
+      expect(result.schedules.map((details) => details.beneficiary)).to.be.deep.equal([beneficiary, beneficiary]);
+      expect(result.schedules[1].token).to.be.equal(this.mockDxdToken.address);
+      expect(result.schedules[1].amount.toString()).to.be.equal(to18dp('500').toString());
+
+      expect(await this.trufflePayroll.vestingScheduleCount()).to.be.bignumber.equal('0');
+      expect(await this.accessControls.hasPauserRole(random)).to.be.false;
+    });
+
+    it('Keeps the changes when asked to', async () => {
+      await dryRunProposal(hre, this.payroll, encodeProposalCalls(this.contracts, this.calls), {avatar, keep: true});
+
+      expect(await this.trufflePayroll.vestingScheduleCount()).to.be.bignumber.equal('2');
+      expect(await this.accessControls.hasPauserRole(random)).to.be.true;
+    });
+
+    it('Stops at the first call that reverts', async () => {
+      const result = await dryRunProposal(hre, this.payroll, encodeProposalCalls(this.contracts, this.calls), {avatar: random});
+
+      expect(result.success).to.be.false;
+      expect(result.failedCall).to.be.equal(0);
+      expect(result.error).to.contain('Vesting.createVestingSchedule: Only whitelist');
+      expect(result.schedules).to.be.deep.equal([]);
+    });
+
+    it('Dry runs a calls file from the proposal:encode task', async () => {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-proposal-'));
+      const file = path.join(tmpDir, 'calls.json');
+      fs.writeFileSync(file, JSON.stringify(this.calls));
+
+      try {
+        const output = await runTask('proposal:encode', {calls: file, payroll: this.trufflePayroll.address, avatar, dryRun: true});
+        expect(output).to.contain(`Dry run from ${avatar} succeeded, 2 schedules created`);
+
+        fs.writeFileSync(file, JSON.stringify([this.calls[1], this.calls[1]]));
+        let error;
+        try {
+          await runTask('proposal:encode', {calls: file, payroll: this.trufflePayroll.address, avatar: random, dryRun: true});
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.contain('Dry run failed at call 0');
+      } finally {
+        fs.rmSync(tmpDir, {recursive: true, force: true});
+      }
+
+      expect(await this.trufflePayroll.vestingScheduleCount()).to.be.bignumber.equal('0');
+    });
+  });
+});
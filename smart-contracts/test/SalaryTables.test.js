@@ -0,0 +1,227 @@
+const {BN, constants, expectEvent, expectRevert, time} = require('@openzeppelin/test-helpers');
+const {ZERO_ADDRESS} = constants;
+
+const {utf8ToHex, hexToUtf8} = require('web3-utils');
+
+const {expect} = require('chai');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const Payroll = artifacts.require('Payroll');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+const SalaryTables = artifacts.require('SalaryTables');
+
+contract('SalaryTables contract tests', function ([admin, random, dai, usdc]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  const band = (name) => web3.utils.padRight(utf8ToHex(name), 64);
+
+  const CORE_CONTRIBUTOR = band('core contributor');
+  const ADVISOR = band('advisor');
+
+  const expectTable = async (bandName, token, expected) => {
+    const {_levels, _salaries} = await this.salaryTables.salaryTable(bandName, token);
+    expect(_levels.map(level => level.toString())).to.be.deep.equal(Object.keys(expected));
+    expect(_salaries.map(salary => salary.toString())).to.be.deep.equal(
+      Object.values(expected).map(salary => to18dp(salary).toString())
+    );
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+    this.payroll = await Payroll.new(
+      [this.mockDxdToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+
+    this.salaryTables = await SalaryTables.new(this.payroll.address, {from: admin});
+  });
+
+  describe('setSalaries()', () => {
+    it('Creates a band table for a token and emits an event per level', async () => {
+      const receipt = await this.salaryTables.setSalaries(
+        CORE_CONTRIBUTOR,
+        dai,
+        ['1', '2'],
+        [to18dp('4000'), to18dp('5000')],
+        {from: admin}
+      );
+
+      await expectEvent(receipt, 'SalarySet', {_band: CORE_CONTRIBUTOR, _token: dai, _level: '1', _salary: to18dp('4000')});
+      await expectEvent(receipt, 'SalarySet', {_band: CORE_CONTRIBUTOR, _token: dai, _level: '2', _salary: to18dp('5000')});
+
+      expect(await this.salaryTables.salary(CORE_CONTRIBUTOR, dai, '2')).to.be.bignumber.equal(to18dp('5000'));
+      await expectTable(CORE_CONTRIBUTOR, dai, {1: '4000', 2: '5000'});
+    });
+
+    it('Overwrites existing levels and appends new ones', async () => {
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1', '2'], [to18dp('4000'), to18dp('5000')], {from: admin});
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['2', '3'], [to18dp('5500'), to18dp('6000')], {from: admin});
+
+      await expectTable(CORE_CONTRIBUTOR, dai, {1: '4000', 2: '5500', 3: '6000'});
+    });
+
+    it('Keeps tables for each band and token apart', async () => {
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], [to18dp('4000')], {from: admin});
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, usdc, ['1'], [to18dp('4500')], {from: admin});
+      await this.salaryTables.setSalaries(ADVISOR, dai, ['1'], [to18dp('1000')], {from: admin});
+
+      expect(await this.salaryTables.salary(CORE_CONTRIBUTOR, dai, '1')).to.be.bignumber.equal(to18dp('4000'));
+      expect(await this.salaryTables.salary(CORE_CONTRIBUTOR, usdc, '1')).to.be.bignumber.equal(to18dp('4500'));
+      expect(await this.salaryTables.salary(ADVISOR, dai, '1')).to.be.bignumber.equal(to18dp('1000'));
+
+      expect((await this.salaryTables.bands()).map(hexToUtf8)).to.be.deep.equal(['core contributor', 'advisor']);
+      expect(await this.salaryTables.tokensForBand(CORE_CONTRIBUTOR)).to.be.deep.equal([dai, usdc]);
+      expect(await this.salaryTables.tokensForBand(ADVISOR)).to.be.deep.equal([dai]);
+    });
+
+    it('Reverts when not a payroll manager', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], [to18dp('4000')], {from: random}),
+        "SalaryTables.setSalaries: Only payroll manager or timelock"
+      );
+    });
+
+    it('Reverts for an admin without the payroll manager role', async () => {
+      await this.accessControls.removePayrollManagerRole(admin, {from: admin});
+
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], [to18dp('4000')], {from: admin}),
+        "SalaryTables.setSalaries: Only payroll manager or timelock"
+      );
+    });
+
+    it('Reverts for an empty band', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(constants.ZERO_BYTES32, dai, ['1'], [to18dp('4000')], {from: admin}),
+        "SalaryTables.setSalaries: Band cannot be empty"
+      );
+    });
+
+    it('Reverts for address zero token', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, ZERO_ADDRESS, ['1'], [to18dp('4000')], {from: admin}),
+        "SalaryTables.setSalaries: Token cannot be address zero"
+      );
+    });
+
+    it('Reverts when no levels are supplied', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, [], [], {from: admin}),
+        "SalaryTables.setSalaries: No levels supplied"
+      );
+    });
+
+    it('Reverts for inconsistent array lengths', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1', '2'], [to18dp('4000')], {from: admin}),
+        "SalaryTables.setSalaries: Inconsistent array lengths"
+      );
+    });
+
+    it('Reverts for a zero salary', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], ['0'], {from: admin}),
+        "SalaryTables.setSalaries: Salary cannot be zero"
+      );
+    });
+  });
+
+  describe('removeSalaries()', () => {
+    beforeEach(async () => {
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1', '2', '3'], [to18dp('4000'), to18dp('5000'), to18dp('6000')], {from: admin});
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, usdc, ['1'], [to18dp('4500')], {from: admin});
+    });
+
+    it('Removes levels from a table', async () => {
+      const receipt = await this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, dai, ['2'], {from: admin});
+      await expectEvent(receipt, 'SalaryRemoved', {_band: CORE_CONTRIBUTOR, _token: dai, _level: '2'});
+
+      expect(await this.salaryTables.salaries(CORE_CONTRIBUTOR, dai, '2')).to.be.bignumber.equal('0');
+      await expectRevert(
+        this.salaryTables.salary(CORE_CONTRIBUTOR, dai, '2'),
+        "SalaryTables.salary: Level not configured"
+      );
+
+      const {_levels} = await this.salaryTables.salaryTable(CORE_CONTRIBUTOR, dai);
+      expect(_levels.map(level => level.toString()).sort()).to.be.deep.equal(['1', '3']);
+    });
+
+    it('Drops empty tables and bands', async () => {
+      await this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, dai, ['1', '2', '3'], {from: admin});
+      expect(await this.salaryTables.tokensForBand(CORE_CONTRIBUTOR)).to.be.deep.equal([usdc]);
+      expect(await this.salaryTables.bands()).to.be.deep.equal([CORE_CONTRIBUTOR]);
+
+      await this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, usdc, ['1'], {from: admin});
+      expect(await this.salaryTables.tokensForBand(CORE_CONTRIBUTOR)).to.be.deep.equal([]);
+      expect(await this.salaryTables.bands()).to.be.deep.equal([]);
+    });
+
+    it('Reverts when not a payroll manager', async () => {
+      await expectRevert(
+        this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, dai, ['1'], {from: random}),
+        "SalaryTables.removeSalaries: Only payroll manager or timelock"
+      );
+    });
+
+    it('Reverts when no levels are supplied', async () => {
+      await expectRevert(
+        this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, dai, [], {from: admin}),
+        "SalaryTables.removeSalaries: No levels supplied"
+      );
+    });
+
+    it('Reverts for a level that is not configured', async () => {
+      await expectRevert(
+        this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, dai, ['4'], {from: admin}),
+        "SalaryTables.removeSalaries: Level not configured"
+      );
+    });
+  });
+
+  describe('Once in use by Payroll', () => {
+    beforeEach(async () => {
+      await this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], [to18dp('4000')], {from: admin});
+      await this.payroll.setSalaryTables(this.salaryTables.address, {from: admin});
+
+      this.timelock = await PayrollTimelock.at(await this.payroll.timelock());
+    });
+
+    it('Only changes salaries through the timelock', async () => {
+      await expectRevert(
+        this.salaryTables.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], [to18dp('8000')], {from: admin}),
+        "SalaryTables.setSalaries: Only payroll manager or timelock"
+      );
+      await expectRevert(
+        this.salaryTables.removeSalaries(CORE_CONTRIBUTOR, dai, ['1'], {from: admin}),
+        "SalaryTables.removeSalaries: Only payroll manager or timelock"
+      );
+
+      const data = this.salaryTables.contract.methods.setSalaries(CORE_CONTRIBUTOR, dai, ['1'], [to18dp('8000')]).encodeABI();
+      const {logs} = await this.timelock.queue(this.salaryTables.address, data, {from: admin});
+      await time.increase(await this.timelock.delay());
+      await this.timelock.execute(logs[0].args._actionId, {from: admin});
+
+      expect(await this.salaryTables.salary(CORE_CONTRIBUTOR, dai, '1')).to.be.bignumber.equal(to18dp('8000'));
+    });
+
+    it('Only the payroll manager can queue salary changes', async () => {
+      await this.accessControls.removePayrollManagerRole(admin, {from: admin});
+
+      const data = this.salaryTables.contract.methods.removeSalaries(CORE_CONTRIBUTOR, dai, ['1']).encodeABI();
+      await expectRevert(
+        this.timelock.queue(this.salaryTables.address, data, {from: admin}),
+        "PayrollTimelock.queue: Missing role for action"
+      );
+    });
+  });
+});
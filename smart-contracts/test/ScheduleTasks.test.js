@@ -0,0 +1,156 @@
+const hre = require('hardhat');
+const {BN, ether, send} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const {
+  ETH,
+  STATUS,
+  getPayroll,
+  getScheduleDetails,
+  getScheduleIds,
+  getSchedulesForBeneficiary,
+  formatDate,
+  formatScheduleDetails,
+} = require('../tasks/schedules');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const PeggedPriceSource = artifacts.require('PeggedPriceSource');
+const PayrollWithFixedTime = artifacts.require('PayrollWithFixedTime');
+
+contract('Schedule tasks tests', function ([admin, dao, beneficiary, beneficiary2]) {
+  const {BigNumber} = hre.ethers;
+
+  const PERIOD_ONE_DAY_IN_SECONDS = new BN('86400');
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  const setNow = async (now) => {
+    await this.payrollWithFixedTime.setNow(now.toString());
+    this.now = BigNumber.from(now.toString());
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addWhitelistRole(dao, {from: admin});
+
+    this.mockDxdToken = await MockERC20.new();
+
+    this.payrollWithFixedTime = await PayrollWithFixedTime.new(
+      [this.mockDxdToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    await this.mockDxdToken.transfer(this.payrollWithFixedTime.address, to18dp('10000'));
+
+    // schedule #0 and #2 for beneficiary, #1 for beneficiary2
+    await this.payrollWithFixedTime.createDxd(beneficiary, '0', to18dp('730'), {from: dao});
+    await this.payrollWithFixedTime.createDxd(beneficiary2, '0', to18dp('100'), {from: dao});
+    await this.payrollWithFixedTime.createDxd(beneficiary, '100', to18dp('200'), {from: dao});
+
+    this.payroll = await getPayroll(hre, this.payrollWithFixedTime.address);
+
+    this.cliff = (await this.payrollWithFixedTime.cliffDurationInDays()).mul(PERIOD_ONE_DAY_IN_SECONDS);
+    this.end = (await this.payrollWithFixedTime.durationInDays()).mul(PERIOD_ONE_DAY_IN_SECONDS);
+
+    await setNow('1');
+  });
+
+  it('Returns the schedule with token metadata and amounts', async () => {
+    const details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+
+    expect(details.id.toString()).to.be.equal('0');
+    expect(details.token).to.be.equal(this.mockDxdToken.address);
+    expect(details.symbol).to.be.equal('MCK');
+    expect(details.decimals).to.be.equal(18);
+    expect(details.beneficiary).to.be.equal(beneficiary);
+    expect(details.cliff.toString()).to.be.equal(this.cliff.toString());
+    expect(details.end.toString()).to.be.equal(this.end.toString());
+    expect(details.amount.toString()).to.be.equal(to18dp('730').toString());
+    expect(details.cancelled).to.be.false;
+  });
+
+  it('Reports pre-cliff, vesting, ended and fully drawn statuses', async () => {
+    expect((await getScheduleDetails(hre, this.payroll, 0, {now: this.now})).status).to.be.equal(STATUS.PRE_CLIFF);
+
+    await setNow(this.cliff.addn(1));
+    let details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+    expect(details.status).to.be.equal(STATUS.VESTING);
+    expect(details.vested.toString()).to.be.equal(details.available.toString());
+
+    await this.payrollWithFixedTime.drawDown('0');
+    details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+    expect(details.available.toString()).to.be.equal('0');
+    expect(details.vested.toString()).to.be.equal(details.drawn.toString());
+
+    // fully vested at the end itself, as in Payroll
+    await setNow(this.end);
+    details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+    expect(details.status).to.be.equal(STATUS.ENDED);
+    expect(details.vested.toString()).to.be.equal(to18dp('730').toString());
+
+    await this.payrollWithFixedTime.drawDown('0');
+    details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+    expect(details.status).to.be.equal(STATUS.FULLY_DRAWN);
+  });
+
+  it('Lists every schedule ID', async () => {
+    expect(await getScheduleIds(this.payroll)).to.be.deep.equal([0, 1, 2]);
+  });
+
+  it('Returns only the schedules belonging to a beneficiary', async () => {
+    const schedules = await getSchedulesForBeneficiary(hre, this.payroll, beneficiary, {now: this.now});
+    expect(schedules.map(({id}) => id.toNumber())).to.be.deep.equal([0, 2]);
+
+    const schedules2 = await getSchedulesForBeneficiary(hre, this.payroll, beneficiary2.toLowerCase(), {now: this.now});
+    expect(schedules2.map(({id}) => id.toNumber())).to.be.deep.equal([1]);
+  });
+
+  it('Formats dates and amounts for humans', async () => {
+    await setNow(this.cliff.addn(1));
+    const details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+
+    const output = formatScheduleDetails(details, hre.ethers);
+    expect(output).to.contain('Schedule #0');
+    expect(output).to.contain('Start:       1970-01-01 00:00:00 UTC');
+    expect(output).to.contain('Cliff:       1971-01-01 00:00:00 UTC');
+    expect(output).to.contain('Amount:      730.0 MCK');
+    expect(output).to.contain(`Status:      ${STATUS.VESTING}`);
+
+    expect(formatDate(BigNumber.from('1614556800'))).to.be.equal('2021-03-01 00:00:00 UTC');
+  });
+
+  it('Flags cancelled schedules', async () => {
+    await this.payrollWithFixedTime.cancelSchedule('0', '1', {from: admin});
+
+    const details = await getScheduleDetails(hre, this.payroll, 0, {now: this.now});
+    expect(details.cancelled).to.be.true;
+    expect(formatScheduleDetails(details, hre.ethers)).to.contain('Schedule #0 (cancelled)');
+  });
+
+  it('Shows native ETH schedules in ETH', async () => {
+    const payrollWithEth = await PayrollWithFixedTime.new(
+      [this.mockDxdToken.address, ETH],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    expect(await payrollWithEth.ETH()).to.be.equal(ETH);
+
+    await send.ether(admin, payrollWithEth.address, ether('200'));
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    await payrollWithEth.setPriceSource(ETH, (await PeggedPriceSource.new()).address, {from: admin});
+    await payrollWithEth.createPayroll(ETH, beneficiary, '1', '100', '0', '1', '0', {from: dao});
+
+    const details = await getScheduleDetails(hre, await getPayroll(hre, payrollWithEth.address), 0, {now: this.now});
+    expect(details.symbol).to.be.equal('ETH');
+    expect(details.decimals).to.be.equal(18);
+    expect(formatScheduleDetails(details, hre.ethers)).to.contain(`Token:       ETH (${ETH})`);
+  });
+});
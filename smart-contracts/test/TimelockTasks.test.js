@@ -0,0 +1,113 @@
+const hre = require('hardhat');
+const {BN, time} = require('@openzeppelin/test-helpers');
+
+const {expect} = require('chai');
+
+const {getPayroll} = require('../tasks/schedules');
+const {getPendingActions, formatPendingAction} = require('../tasks/timelock');
+
+const AccessControls = artifacts.require('AccessControls');
+const MockERC20 = artifacts.require('MockERC20');
+const Payroll = artifacts.require('Payroll');
+const PayrollTimelock = artifacts.require('PayrollTimelock');
+const SalaryTables = artifacts.require('SalaryTables');
+
+contract('Timelock tasks tests', function ([admin, random]) {
+
+  const to18dp = (value) => {
+    return new BN(value).mul(new BN('10').pow(new BN('18')));
+  };
+
+  beforeEach(async () => {
+    this.accessControls = await AccessControls.new({from: admin});
+    await this.accessControls.addTreasurerRole(admin, {from: admin});
+    this.mockDxdToken = await MockERC20.new();
+
+    this.trufflePayroll = await Payroll.new(
+      [this.mockDxdToken.address],
+      this.accessControls.address,
+      ['1'],
+      [to18dp('4000')],
+      {from: admin}
+    );
+    this.timelock = await PayrollTimelock.at(await this.trufflePayroll.timelock());
+
+    this.payroll = await getPayroll(hre, this.trufflePayroll.address);
+  });
+
+  it('Decodes pending Payroll and timelock calls', async () => {
+    const withdrawData = this.trufflePayroll.contract.methods.withdraw(this.mockDxdToken.address, random, to18dp('100')).encodeABI();
+    const setDelayData = this.timelock.contract.methods.setDelay(time.duration.days(7).toString()).encodeABI();
+
+    const {logs: withdrawLogs} = await this.timelock.queue(this.trufflePayroll.address, withdrawData, {from: admin});
+    const {logs: setDelayLogs} = await this.timelock.queue(this.timelock.address, setDelayData, {from: admin});
+
+    const actions = await getPendingActions(hre, this.payroll);
+    expect(actions.length).to.be.equal(2);
+
+    expect(actions[0].id).to.be.equal(withdrawLogs[0].args._actionId);
+    expect(actions[0].target).to.be.equal(this.trufflePayroll.address);
+    expect(actions[0].method).to.be.equal('withdraw');
+    expect(actions[0].args).to.be.deep.equal([
+      {name: '_token', value: this.mockDxdToken.address},
+      {name: '_to', value: random},
+      {name: '_amount', value: to18dp('100').toString()},
+    ]);
+    expect(actions[0].eta.toString()).to.be.equal(withdrawLogs[0].args._eta.toString());
+    expect(actions[0].expires.toString()).to.be.equal(withdrawLogs[0].args._eta.add(time.duration.days(14)).toString());
+
+    expect(actions[1].id).to.be.equal(setDelayLogs[0].args._actionId);
+    expect(actions[1].method).to.be.equal('setDelay');
+    expect(actions[1].args).to.be.deep.equal([{name: '_delay', value: '604800'}]);
+  });
+
+  it('Decodes pending salary table changes', async () => {
+    await this.accessControls.addPayrollManagerRole(admin, {from: admin});
+    const salaryTables = await SalaryTables.new(this.trufflePayroll.address, {from: admin});
+    await this.trufflePayroll.setSalaryTables(salaryTables.address, {from: admin});
+
+    const band = hre.ethers.utils.formatBytes32String('core contributor');
+    const data = salaryTables.contract.methods.removeSalaries(band, this.mockDxdToken.address, ['1']).encodeABI();
+    await this.timelock.queue(salaryTables.address, data, {from: admin});
+
+    const [action] = await getPendingActions(hre, this.payroll);
+    expect(action.target).to.be.equal(salaryTables.address);
+    expect(action.method).to.be.equal('removeSalaries');
+    expect(action.args).to.be.deep.equal([
+      {name: '_band', value: band},
+      {name: '_token', value: this.mockDxdToken.address},
+      {name: '_levels', value: '1'},
+    ]);
+  });
+
+  it('Leaves out executed and cancelled actions', async () => {
+    const data = this.trufflePayroll.contract.methods.whitelistToken(random).encodeABI();
+    const {logs: first} = await this.timelock.queue(this.trufflePayroll.address, data, {from: admin});
+    const {logs: second} = await this.timelock.queue(this.trufflePayroll.address, data, {from: admin});
+
+    await this.timelock.cancel(first[0].args._actionId, {from: admin});
+    await time.increase(await this.timelock.delay());
+    await this.timelock.execute(second[0].args._actionId, {from: admin});
+
+    expect(await getPendingActions(hre, this.payroll)).to.be.deep.equal([]);
+  });
+
+  it('Formats a pending action', async () => {
+    const line = formatPendingAction({
+      id: '0x01',
+      target: this.trufflePayroll.address,
+      method: 'whitelistToken',
+      args: [{name: '_tokenAddress', value: random}],
+      eta: hre.ethers.BigNumber.from(86400),
+      expires: hre.ethers.BigNumber.from(86400 * 15),
+    });
+
+    expect(line).to.be.equal([
+      'Action 0x01',
+      `  Call:    whitelistToken(_tokenAddress=${random})`,
+      `  Target:  ${this.trufflePayroll.address}`,
+      '  Execute: 1970-01-02 00:00:00 UTC',
+      '  Expires: 1970-01-16 00:00:00 UTC',
+    ].join('\n'));
+  });
+});